@@ -4,6 +4,12 @@ import morgan from 'morgan';
 import { connectMongo } from './config/index.js';
 import authRouter from './routes/auth.js';
 import generationsRouter from './routes/generations.js';
+import usersRouter from './routes/users.js';
+import projectsRouter from './routes/projects.js';
+import analyticsRouter from './routes/analytics.js';
+import promptTemplatesRouter from './routes/promptTemplates.js';
+import batchesRouter from './routes/batches.js';
+import webhooksRouter from './routes/webhooks.js';
 import { logger } from './utils/logger.js';
 import e from 'express';
 
@@ -12,11 +18,18 @@ const app = express();
 // CORS configuration
 app.use(cors({
     origin: process.env.CORS_ORIGIN || '*',
-    credentials: true
+    credentials: true,
+    // Generation views carry their content version as ETag (sent back in If-Match on edits)
+    exposedHeaders: ['ETag']
 }));
 
-// body parser - parse request body as JSON
-app.use(express.json({ limit: '10mb' }));
+// body parser - parse request body as JSON (webhooks keep the raw body to check its signature)
+app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/webhooks/')) req.rawBody = buf;
+    }
+}));
 
 //HTTP request loging
 app.use(morgan('dev'));
@@ -39,6 +52,12 @@ connectMongo().catch(err => {
 // Routes
 app.use('/auth', authRouter);
 app.use('/generations', generationsRouter);
+app.use('/users', usersRouter);
+app.use('/projects', projectsRouter);
+app.use('/analytics', analyticsRouter);
+app.use('/prompt-templates', promptTemplatesRouter);
+app.use('/batches', batchesRouter);
+app.use('/webhooks', webhooksRouter);
 
 //Log regitered routes
 logger.info('Registered Routes:');
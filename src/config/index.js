@@ -29,9 +29,138 @@ export const jwtConfig = {
   secret: process.env.JWT_SECRET || 'change-me-in-env'
 };
 
+// Users registering with one of these emails become admins
+export const adminEmails = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
 // JIRA SERVICE
 export const jiraConfig = {
   baseUrl: process.env.JIRA_BASE_URL,
   email: process.env.JIRA_EMAIL,
   apiToken: process.env.JIRA_API_TOKEN
-};
\ No newline at end of file
+};
+
+// JSON object from an environment variable ({} when unset or invalid)
+function parseJsonEnv(name) {
+  if (!process.env[name]) return {};
+  try {
+    return JSON.parse(process.env[name]);
+  } catch {
+    logger.warn(`Ignoring ${name}: not valid JSON`);
+    return {};
+  }
+}
+
+// LLM PROVIDERS
+export const llmConfig = {
+  defaultProvider: process.env.LLM_PROVIDER || 'openai',
+  // Per-model price overrides merged over services/llm/pricing.js, e.g.
+  // LLM_PRICING='{"gpt-4o-mini":{"input":0.15,"cachedInput":0.075,"output":0.6}}' (USD per 1M tokens)
+  pricing: parseJsonEnv('LLM_PRICING'),
+  // Models API clients may request besides each provider's configured model and the models of the price table
+  // (comma-separated, e.g. dated snapshots, other Azure deployments or local models)
+  allowedModels: (process.env.LLM_ALLOWED_MODELS || '')
+    .split(',')
+    .map(model => model.trim())
+    .filter(Boolean),
+  // Output size assumed by cost estimates (the real output is only known after the call)
+  expectedOutputTokens: Number(process.env.LLM_EXPECTED_OUTPUT_TOKENS || 4000),
+  // The fake provider is only selectable outside production unless explicitly enabled
+  enableFake: process.env.LLM_ENABLE_FAKE === 'true' || process.env.NODE_ENV === 'test' || process.env.LLM_PROVIDER === 'fake',
+  openai: {
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+  },
+  azure: {
+    apiKey: process.env.AZURE_OPENAI_API_KEY,
+    endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+    deployment: process.env.AZURE_OPENAI_DEPLOYMENT,
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+    // Deployment names are arbitrary: the underlying model is needed to look up prices and the tokenizer
+    pricingModel: process.env.AZURE_OPENAI_MODEL || 'gpt-4o-mini'
+  },
+  anthropic: {
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    model: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest'
+  },
+  local: {
+    baseUrl: process.env.LOCAL_LLM_BASE_URL,
+    apiKey: process.env.LOCAL_LLM_API_KEY,
+    model: process.env.LOCAL_LLM_MODEL,
+    structuredOutput: process.env.LOCAL_LLM_STRUCTURED_OUTPUT || 'json_object'
+  }
+};
+
+// STORY CLASSIFIER (picks the prompt's test case categories, see services/classificationService.js)
+export const classifierConfig = {
+  // Ask a cheap model when the keyword heuristics are less confident than minConfidence
+  useModel: process.env.STORY_CLASSIFIER_USE_MODEL === 'true',
+  provider: process.env.STORY_CLASSIFIER_PROVIDER || llmConfig.defaultProvider,
+  model: process.env.STORY_CLASSIFIER_MODEL || undefined,
+  minConfidence: Number(process.env.STORY_CLASSIFIER_MIN_CONFIDENCE || 0.6)
+};
+
+// PROMPT CONTEXT LIMITS
+export const contextConfig = {
+  maxComments: Number(process.env.CONTEXT_MAX_COMMENTS || 20),
+  maxCommentChars: Number(process.env.CONTEXT_MAX_COMMENT_CHARS || 2000),
+  maxLinkedIssues: Number(process.env.CONTEXT_MAX_LINKED_ISSUES || 15),
+  maxImages: Number(process.env.CONTEXT_MAX_IMAGES || 4),
+  maxImageBytes: Number(process.env.CONTEXT_MAX_IMAGE_BYTES || 5 * 1024 * 1024),
+  // OpenAI vision detail level: 'low' (fixed cost) or 'high'/'auto'
+  imageDetail: process.env.CONTEXT_IMAGE_DETAIL || 'auto'
+};
+
+// MONTHLY QUOTAS (calendar month, UTC)
+// Unset means unlimited; users and projects can have their own limits (see services/quotaService.js)
+const optionalNumber = value => (value === undefined || value === '' ? null : Number(value));
+
+export const quotaConfig = {
+  user: {
+    monthlySpendUsd: optionalNumber(process.env.QUOTA_USER_MONTHLY_SPEND_USD),
+    monthlyGenerations: optionalNumber(process.env.QUOTA_USER_MONTHLY_GENERATIONS)
+  },
+  project: {
+    monthlySpendUsd: optionalNumber(process.env.QUOTA_PROJECT_MONTHLY_SPEND_USD),
+    monthlyGenerations: optionalNumber(process.env.QUOTA_PROJECT_MONTHLY_GENERATIONS)
+  }
+};
+
+// GENERATION WORKER
+export const workerConfig = {
+  enabled: process.env.GENERATION_WORKER_ENABLED !== 'false',
+  pollIntervalMs: Number(process.env.GENERATION_WORKER_POLL_MS || 2000),
+  concurrency: Number(process.env.GENERATION_WORKER_CONCURRENCY || 2),
+  maxAttempts: Number(process.env.GENERATION_WORKER_MAX_ATTEMPTS || 3),
+  retryDelayMs: Number(process.env.GENERATION_WORKER_RETRY_DELAY_MS || 30000),
+  jobTimeoutMs: Number(process.env.GENERATION_WORKER_JOB_TIMEOUT_MS || 300000),
+  // Jobs left in 'running' longer than this are considered abandoned (e.g. after a crash)
+  staleAfterMs: Number(process.env.GENERATION_WORKER_STALE_MS || 900000)
+};
+
+// BATCH GENERATION
+export const batchConfig = {
+  // Most issues a single batch (JQL, epic or sprint) may generate for
+  maxIssues: Number(process.env.BATCH_MAX_ISSUES || 50)
+};
+
+// JIRA WEBHOOK (automatic generation on workflow transitions, see services/webhookService.js)
+export const webhookConfig = {
+  // Secret configured on the JIRA webhook; requests are signed with it (X-Hub-Signature). Unset disables the endpoint
+  jiraSecret: process.env.JIRA_WEBHOOK_SECRET,
+  // User that webhook-triggered generations are attributed to (created on first use, cannot log in)
+  serviceUserEmail: (process.env.JIRA_WEBHOOK_USER_EMAIL || 'jira-automation@localhost').toLowerCase(),
+  // A trigger does not fire again for the same issue within this window
+  dedupWindowMs: Number(process.env.JIRA_WEBHOOK_DEDUP_MS || 3600000)
+};
+
+// REQUIREMENT DRIFT CHECK (re-fetches issues of completed generations, see workers/driftChecker.js)
+export const driftConfig = {
+  enabled: process.env.DRIFT_CHECK_ENABLED !== 'false',
+  intervalMs: Number(process.env.DRIFT_CHECK_INTERVAL_MS || 6 * 3600000),
+  // Generations checked per run, and how long a check stays fresh
+  batchSize: Number(process.env.DRIFT_CHECK_BATCH_SIZE || 100),
+  recheckAfterMs: Number(process.env.DRIFT_RECHECK_AFTER_MS || 24 * 3600000)
+};
@@ -1,5 +1,9 @@
 import jwt from 'jsonwebtoken';
+import { randomUUID } from 'crypto';
 import { jwtConfig } from '../config/index.js';
+import RefreshToken from '../models/RefreshToken.js';
+import User from '../models/User.js';
+import { logger } from '../utils/logger.js';
 
 export function requireAuth(req, res, next) {
     const header = req.headers.authorization || '';
@@ -12,6 +16,10 @@ export function requireAuth(req, res, next) {
     };
     try {
         const payload = jwt.verify(token, jwtConfig.secret);
+        // Refresh tokens are only valid on /auth/refresh
+        if (payload.type === 'refresh') {
+            return res.status(401).json({ success: false, error: 'Invalid token' });
+        }
         req.user = { userId: payload.sub, email: payload.email, name: payload.name };
         return next();
     } catch (e) {
@@ -25,7 +33,7 @@ export function issueAccessToken(user) {
         {
             sub: String(user._id),
             email: user.email,
-            mame: user.name
+            name: user.name
         },
         jwtConfig.secret,
         {
@@ -34,16 +42,104 @@ export function issueAccessToken(user) {
     );
 }
 
-//function to issue refresh token
-export function issueRefreshToken(user) {
-    return jwt.sign(
+//function to issue refresh token (stored server-side so it can be rotated and revoked)
+export async function issueRefreshToken(user, { familyId = randomUUID() } = {}) {
+    const jti = randomUUID();
+    const token = jwt.sign(
         {
             sub: String(user._id),
-            type: 'refresh'
+            type: 'refresh',
+            fam: familyId
         },
         jwtConfig.secret,
         {
-            expiresIn: jwtConfig.refreshTokenTtlSec
+            expiresIn: jwtConfig.refreshTokenTtlSec,
+            jwtid: jti
         }
     );
-}
\ No newline at end of file
+
+    await RefreshToken.create({
+        jti,
+        familyId,
+        user: user._id,
+        expiresAt: new Date(Date.now() + jwtConfig.refreshTokenTtlSec * 1000)
+    });
+
+    return { token, jti };
+}
+
+function decodeRefreshToken(refreshToken) {
+    try {
+        const payload = jwt.verify(refreshToken, jwtConfig.secret);
+        if (payload.type !== 'refresh' || !payload.jti) return null;
+        return payload;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Revoke every token of a refresh-token family
+async function revokeFamily(familyId, reason) {
+    await RefreshToken.updateMany(
+        { familyId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+}
+
+//function to exchange a refresh token for a new token pair (rotation)
+export async function rotateRefreshToken(refreshToken) {
+    const payload = decodeRefreshToken(refreshToken);
+    if (!payload) {
+        return { success: false, error: 'Invalid refresh token' };
+    }
+
+    const record = await RefreshToken.findOne({ jti: payload.jti });
+    if (!record || record.revokedAt) {
+        return { success: false, error: 'Refresh token revoked' };
+    }
+
+    // Mark as rotated atomically so a token can only be exchanged once
+    const claimed = await RefreshToken.findOneAndUpdate(
+        { jti: payload.jti, rotatedAt: null, revokedAt: null },
+        { $set: { rotatedAt: new Date() } },
+        { new: true }
+    );
+    if (!claimed) {
+        // A rotated token was presented again: assume it was stolen and end the session
+        logger.warn(`Refresh token reuse detected for user ${record.user}, revoking family ${record.familyId}`);
+        await revokeFamily(record.familyId, 'reuse_detected');
+        return { success: false, error: 'Refresh token reuse detected' };
+    }
+
+    const user = await User.findById(record.user);
+    if (!user) {
+        await revokeFamily(record.familyId, 'user_missing');
+        return { success: false, error: 'User not found' };
+    }
+
+    const accessToken = issueAccessToken(user);
+    const next = await issueRefreshToken(user, { familyId: record.familyId });
+    claimed.replacedBy = next.jti;
+    await claimed.save();
+
+    return { success: true, user, accessToken, refreshToken: next.token };
+}
+
+//function to revoke the session a refresh token belongs to (or all sessions of its user)
+export async function revokeRefreshToken(refreshToken, { allSessions = false } = {}) {
+    const payload = decodeRefreshToken(refreshToken);
+    if (!payload) {
+        return { success: false, error: 'Invalid refresh token' };
+    }
+
+    if (allSessions) {
+        await RefreshToken.updateMany(
+            { user: payload.sub, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: 'logout_all' } }
+        );
+    } else {
+        const record = await RefreshToken.findOne({ jti: payload.jti });
+        if (record) await revokeFamily(record.familyId, 'logout');
+    }
+    return { success: true };
+}
@@ -0,0 +1,175 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Project from '../models/Project.js';
+import Generation from '../models/Generation.js';
+
+// Actions each role may perform on generations
+const ROLE_PERMISSIONS = {
+    admin: ['read', 'create', 'update', 'publish', 'delete', 'manageMembers', 'manageSettings'],
+    qa_lead: ['read', 'create', 'update', 'publish', 'delete', 'manageMembers', 'manageSettings'],
+    member: ['read', 'create', 'update', 'publish', 'delete'],
+    viewer: ['read']
+};
+
+// Roles allowed to act on generations they don't own (within their project)
+const PROJECT_WIDE_ROLES = ['admin', 'qa_lead'];
+
+// Project administration actions, limited to admins and the project's own leads
+const PROJECT_ADMIN_ACTIONS = ['manageMembers', 'manageSettings'];
+
+export function roleAllows(role, action) {
+    return (ROLE_PERMISSIONS[role] || []).includes(action);
+}
+
+// Load the caller's global role (cached on the request)
+export async function loadUserRole(req) {
+    if (req.user.role) return req.user.role;
+    const user = await User.findById(req.user.userId).select('role');
+    req.user.role = user?.role || 'member';
+    return req.user.role;
+}
+
+// Effective role of a user inside a project: admins stay admins, otherwise membership wins over the global role
+export function getProjectRole(user, project) {
+    if (user.role === 'admin') return 'admin';
+    const membership = project?.members?.find(m => m.email === user.email?.toLowerCase());
+    return membership ? membership.role : user.role;
+}
+
+export function isProjectMember(user, project) {
+    if (user.role === 'admin') return true;
+    return Boolean(project?.members?.some(m => m.email === user.email?.toLowerCase()));
+}
+
+// Project ids where the user has an explicit membership
+export async function getMemberProjectIds(email) {
+    const projects = await Project.find({ 'members.email': email?.toLowerCase() }).select('_id');
+    return projects.map(p => p._id);
+}
+
+// Project ids where the user acts as a lead (qa_lead through membership, or a global qa_lead who is a member)
+export async function getLeadProjectIds(user) {
+    const projects = await Project.find({ 'members.email': user.email?.toLowerCase() }).select('_id members');
+    return projects
+        .filter(project => PROJECT_WIDE_ROLES.includes(getProjectRole(user, project)))
+        .map(project => project._id);
+}
+
+// Whether `user` may perform `action` on generation `gen` (project is the populated gen.project or null)
+export function canAccessGeneration(user, gen, project, action) {
+    const role = getProjectRole(user, project);
+    const isMember = isProjectMember(user, project);
+
+    if (action === 'read') {
+        const isOwner = gen.email === user.email;
+        const isPublishedAndCompleted = gen.published && gen.status === 'completed';
+        const isReviewer = Boolean(gen.review?.reviewers?.some(r => r.email === user.email?.toLowerCase()));
+        return isOwner || isPublishedAndCompleted || isMember || isReviewer;
+    }
+
+    if (!roleAllows(role, action)) return false;
+    if (gen.email === user.email) return true;
+    return PROJECT_WIDE_ROLES.includes(role) && isMember;
+}
+
+/*
+* Whether `user` may perform `action` within `project`. Every action needs membership (admins always pass);
+* administration actions also need a lead role inside the project.
+* `canReadProject` additionally lets users read projects they generated in.
+*/
+export function canPerformProjectAction(user, project, action) {
+    const role = getProjectRole(user, project);
+    if (!isProjectMember(user, project)) return false;
+    if (PROJECT_ADMIN_ACTIONS.includes(action) && !PROJECT_WIDE_ROLES.includes(role)) return false;
+    return roleAllows(role, action);
+}
+
+// Whether the user may see the project: members, plus users who have generated in it (as in the project list)
+export async function canReadProject(user, project) {
+    if (canPerformProjectAction(user, project, 'read')) return true;
+    return Boolean(await Generation.exists({ project: project._id, email: user.email }));
+}
+
+/*
+* Require one of the given global roles.
+* Usage: router.get('/', requireAuth, requireRole('admin'), handler)
+*/
+export function requireRole(...roles) {
+    return async (req, res, next) => {
+        try {
+            const role = await loadUserRole(req);
+            if (!roles.includes(role)) {
+                return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+            }
+            return next();
+        } catch (e) {
+            next(e);
+        }
+    };
+}
+
+/*
+* Load the generation from `req.params.id` and check `action` on it.
+* Responds 404 when the caller cannot even see it, 403 when they can see but not perform the action.
+* On success the document is available as `req.generation`.
+*/
+export function authorizeGeneration(action) {
+    return async (req, res, next) => {
+        try {
+            if (!mongoose.isValidObjectId(req.params.id)) {
+                return res.status(404).json({ success: false, error: 'Not found' });
+            }
+            const gen = await Generation.findById(req.params.id);
+            if (!gen) {
+                return res.status(404).json({ success: false, error: 'Not found' });
+            }
+
+            await loadUserRole(req);
+            const project = gen.project ? await Project.findById(gen.project) : null;
+
+            if (!canAccessGeneration(req.user, gen, project, 'read')) {
+                return res.status(404).json({ success: false, error: 'Not found' });
+            }
+            if (action !== 'read' && !canAccessGeneration(req.user, gen, project, action)) {
+                return res.status(403).json({ success: false, error: `You are not allowed to ${action} this generation` });
+            }
+
+            req.generation = gen;
+            req.project = project;
+            return next();
+        } catch (e) {
+            next(e);
+        }
+    };
+}
+
+/*
+* Load the project from `req.params.projectKey` and require `action` within it.
+* On success the document is available as `req.project`.
+*/
+export function authorizeProject(action) {
+    return async (req, res, next) => {
+        try {
+            const project = await Project.findOne({ projectKey: String(req.params.projectKey).toUpperCase() });
+            if (!project) {
+                return res.status(404).json({ success: false, error: 'Project not found' });
+            }
+
+            await loadUserRole(req);
+            if (!canPerformProjectAction(req.user, project, action)) {
+                // Projects the caller cannot read are hidden, as in the project list
+                if (!await canReadProject(req.user, project)) {
+                    return res.status(404).json({ success: false, error: 'Project not found' });
+                }
+                if (action !== 'read') {
+                    return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+                }
+            }
+
+            req.project = project;
+            return next();
+        } catch (e) {
+            next(e);
+        }
+    };
+}
@@ -0,0 +1,67 @@
+import { getGenerationTestCases } from '../utils/testCaseUtils.js';
+import { getVersionContent } from '../services/contentService.js';
+
+// Expose a generation's content version as its ETag (clients send it back in If-Match)
+export function setVersionETag(res, gen) {
+    res.set('ETag', `"${gen.currentVersion || 1}"`);
+}
+
+// Version number from an If-Match header ("3", W/"3" or 3) or an expectedVersion field; null when missing
+function readExpectedVersion(req) {
+    const header = req.get('If-Match');
+    const raw = header !== undefined
+        ? header.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1')
+        : req.body?.expectedVersion;
+    if (raw === undefined || raw === null || raw === '') return null;
+    const version = Number(raw);
+    return Number.isInteger(version) && version > 0 ? version : NaN;
+}
+
+/*
+* 409 response for an edit based on a version that is no longer current.
+* Sends both the version the client edited and the current one, so it can merge or retry.
+*/
+export function sendVersionConflict(res, gen, expectedVersion) {
+    const currentVersion = gen.currentVersion || 1;
+    const current = (gen.versions || []).find(v => v.version === currentVersion);
+    setVersionETag(res, gen);
+    return res.status(409).json({
+        success: false,
+        error: `Generation was updated to version ${currentVersion} since version ${expectedVersion} was loaded`,
+        conflict: {
+            expected: {
+                version: expectedVersion,
+                content: getVersionContent(gen, expectedVersion)
+            },
+            current: {
+                version: currentVersion,
+                content: gen.result?.markdown?.content || '',
+                testCases: getGenerationTestCases(gen),
+                updatedBy: current?.updatedBy || gen.email,
+                updatedAt: current?.updatedAt || gen.updatedAt
+            }
+        }
+    });
+}
+
+/*
+* Content edits must say which version they are based on (If-Match header or expectedVersion body field).
+* Use after authorizeGeneration; sets req.expectedVersion for saveContentUpdate().
+*/
+export function requireContentVersion(req, res, next) {
+    const expectedVersion = readExpectedVersion(req);
+    if (expectedVersion === null) {
+        return res.status(428).json({
+            success: false,
+            error: 'Send the version being edited in an If-Match header or an expectedVersion field'
+        });
+    }
+    if (Number.isNaN(expectedVersion)) {
+        return res.status(400).json({ success: false, error: 'If-Match / expectedVersion must be a version number' });
+    }
+    if (expectedVersion !== (req.generation.currentVersion || 1)) {
+        return sendVersionConflict(res, req.generation, expectedVersion);
+    }
+    req.expectedVersion = expectedVersion;
+    return next();
+}
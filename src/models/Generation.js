@@ -15,8 +15,13 @@ const markdownSchema = new mongoose.Schema({
 
 // Jira ticket schema
 const jiraTicketSchema = new mongoose.Schema({
+  issueKey: { type: String },
   issueUrl: { type: String },
   issueType: { type: String },
+  // Test case the issue was created from (e.g. "TC-003") and the content version it came from
+  testCaseId: { type: String },
+  testCaseTitle: { type: String },
+  version: { type: Number },
   createAt: { type: Date }
 }, {
   _id: false
@@ -28,7 +33,27 @@ const pdfAttachmentSchema = new mongoose.Schema({
   attachmentId: { type: String },
   filename: { type: String },
   attachedAt: { type: Date },
-  commentId: { type: String }
+  commentId: { type: String },
+  // Content version that was pushed to JIRA, and whether the markdown or the PDF export was attached
+  version: { type: Number },
+  format: { type: String, enum: ['md', 'pdf'] },
+  pushedBy: { type: String }
+}, {
+  _id: false
+});
+
+// Structured test case
+const testCaseSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  title: { type: String, required: true },
+  category: { type: String },
+  priority: { type: String, enum: ['High', 'Medium', 'Low'], default: 'Medium' },
+  preconditions: [{ type: String }],
+  steps: [{ type: String }],
+  expected: { type: String },
+  tags: [{ type: String }],
+  // Acceptance criteria the test case covers
+  acceptanceCriteria: [{ type: String }]
 }, {
   _id: false
 });
@@ -44,6 +69,51 @@ const versionSchema = new mongoose.Schema({
   _id: false
 });
 
+// Reviewer assigned to a generation and their latest decision
+const reviewerSchema = new mongoose.Schema({
+  email: { type: String, required: true, lowercase: true },
+  assignedAt: { type: Date, default: Date.now },
+  assignedBy: { type: String },
+  decision: { type: String, enum: ['approved', 'changes_requested'] },
+  decidedAt: { type: Date }
+}, {
+  _id: false
+});
+
+// Reviewer comment anchored to a test case (by id) of a given content version
+const reviewCommentSchema = new mongoose.Schema({
+  testCaseId: { type: String, required: true },
+  version: { type: Number },
+  body: { type: String, required: true },
+  author: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+  resolved: { type: Boolean, default: false },
+  resolvedAt: { type: Date },
+  resolvedBy: { type: String }
+});
+
+// One review status change
+const reviewEventSchema = new mongoose.Schema({
+  from: { type: String },
+  to: { type: String, required: true },
+  action: { type: String, required: true },
+  by: { type: String, required: true },
+  at: { type: Date, default: Date.now },
+  version: { type: Number },
+  notes: { type: String }
+}, {
+  _id: false
+});
+
+// A requirement that changed in JIRA after generation: the value then and now
+const driftChangeSchema = new mongoose.Schema({
+  field: { type: String, enum: ['title', 'description', 'acceptanceCriteria', 'otherContext'], required: true },
+  before: { type: String },
+  after: { type: String }
+}, {
+  _id: false
+});
+
 /* 
 Main schema - generation schema
 */
@@ -57,28 +127,117 @@ const generationSchema = new mongoose.Schema({
     index: true
   },
   mode: { type: String, enum: ['manual', 'auto'] },
-  status: { type: String, enum: ['pending', 'running', 'completed', 'failed'] },
+  // LLM provider/model used (or requested, until the generation runs)
+  provider: { type: String },
+  model: { type: String },
+  // Prompt template (and version) that produced the prompt; scope 'builtin' for the built-in prompts
+  promptTemplate: {
+    templateId: { type: mongoose.Schema.Types.ObjectId, ref: 'PromptTemplate' },
+    name: { type: String },
+    version: { type: Number },
+    scope: { type: String, enum: ['builtin', 'global', 'project'] }
+  },
+  // Story type that picked the prompt's test case categories (see services/classificationService.js)
+  classification: {
+    storyType: { type: String, enum: ['ui', 'api', 'data', 'infra'] },
+    confidence: { type: Number },
+    source: { type: String, enum: ['heuristic', 'model', 'request'] },
+    // Classifier model that answered, and its cost (included in the generation's cost)
+    provider: { type: String },
+    model: { type: String },
+    cost: { type: Number }
+  },
+  status: { type: String, enum: ['pending', 'queued', 'running', 'completed', 'failed'], index: true },
   createdAt: { type: Date, default: Date.now },
   startedAt: { type: Date },
+  // Background worker bookkeeping (async generations)
+  attempts: { type: Number, default: 0 },
+  runAfter: { type: Date },
+  lockedBy: { type: String },
+  lockedAt: { type: Date },
   completedAt: { type: Date },
   generationTimeSeconds: { type: Number },
   cost: { type: Number },
+  // Batch (JQL, epic or sprint) the generation was created by
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GenerationBatch',
+    index: true
+  },
+  // Generation (and its content version) this one was copied from instead of calling the model
+  forkedFrom: {
+    generation: { type: mongoose.Schema.Types.ObjectId, ref: 'Generation' },
+    version: { type: Number }
+  },
+  // What started the generation when it was not a user request (JIRA webhook trigger rule and delivery)
+  trigger: {
+    source: { type: String, enum: ['webhook'] },
+    rule: { type: String },
+    event: { type: String },
+    deliveryId: { type: String }
+  },
+  // Prelight cost estimate; counts against quotas until the real cost is known
+  estimatedCost: { type: Number },
+  // Admin who let this generation through although it exceeded a quota
+  quotaOverriddenBy: { type: String },
   tokenUsage: {
     promptTokens: { type: Number },
+    // Prompt tokens served from the provider's prompt cache (billed at the cached input rate)
+    cachedTokens: { type: Number },
     completionTokens: { type: Number },
     totalTokens: { type: Number }
   },
   result: {
     markdown: { type: markdownSchema }
   },
+  // Structured test cases; result.markdown is rendered from them
+  testCases: [testCaseSchema],
   jiraTickets: [jiraTicketSchema],
   pdfAttachments: [pdfAttachmentSchema],
   error: { type: String },
   published: { type: Boolean, default: false, index: true },
   publishedAt: { type: Date },
   publishedBy: { type: String },
+  // Review lifecycle: draft -> in_review -> changes_requested / approved -> published (see services/reviewService.js)
+  review: {
+    status: {
+      type: String,
+      enum: ['draft', 'in_review', 'changes_requested', 'approved', 'published'],
+      default: 'draft',
+      index: true
+    },
+    reviewers: [reviewerSchema],
+    comments: [reviewCommentSchema],
+    history: [reviewEventSchema],
+    // Content version that was approved; publishing needs it to still be the current one
+    approvedVersion: { type: Number },
+    approvedBy: { type: String },
+    approvedAt: { type: Date }
+  },
+  // JIRA context the test cases were generated from (see services/driftService.js)
+  contextSnapshot: {
+    hash: { type: String },
+    title: { type: String },
+    description: { type: String },
+    acceptanceCriteria: { type: String },
+    context: { type: String },
+    capturedAt: { type: Date }
+  },
+  // Requirement drift: set when the issue changed after generation
+  drift: {
+    stale: { type: Boolean, default: false, index: true },
+    checkedAt: { type: Date },
+    detectedAt: { type: Date },
+    changes: [driftChangeSchema],
+    // Last check failure (e.g. the issue was deleted)
+    error: { type: String }
+  },
   versions: [versionSchema],
   currentVersion: { type: Number, default: 1 }
 }, { timestamps: true })
 
+// Monthly usage lookups (quotas)
+generationSchema.index({ email: 1, createdAt: -1 });
+generationSchema.index({ project: 1, createdAt: -1 });
+
 export default mongoose.model('Generation', generationSchema);
\ No newline at end of file
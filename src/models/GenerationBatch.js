@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// Issue that was matched by the batch query but not generated for
+const skippedIssueSchema = new mongoose.Schema({
+  issueKey: { type: String, required: true },
+  reason: { type: String }
+}, {
+  _id: false
+});
+
+/*
+Batch of generations created from one JIRA query (JQL, epic or sprint).
+Progress and results are aggregated from the generations pointing back to it (Generation.batch).
+*/
+const generationBatchSchema = new mongoose.Schema({
+  email: { type: String, required: true, index: true },
+  source: {
+    type: { type: String, enum: ['jql', 'epic', 'sprint'], required: true },
+    // The JQL query, epic key or sprint id as given
+    value: { type: String, required: true },
+    // JQL that was run
+    jql: { type: String, required: true }
+  },
+  mode: { type: String, enum: ['manual', 'auto'], default: 'manual' },
+  // Requested LLM (each issue falls back to its project's setting, then the default)
+  provider: { type: String },
+  model: { type: String },
+  issueKeys: [{ type: String }],
+  generations: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Generation' }],
+  skipped: [skippedIssueSchema],
+  estimatedTokens: { type: Number },
+  estimatedCost: { type: Number },
+  // Admin who let this batch through although it exceeded a quota
+  quotaOverriddenBy: { type: String }
+}, { timestamps: true });
+
+generationBatchSchema.index({ email: 1, createdAt: -1 });
+
+export default mongoose.model('GenerationBatch', generationBatchSchema);
@@ -1,6 +1,58 @@
 import mongoose from "mongoose";
 
 
+// Project membership - overrides the user's global role inside this project
+const memberSchema = new mongoose.Schema({
+    email: { type: String, required: true, lowercase: true },
+    role: { type: String, enum: ['qa_lead', 'member', 'viewer'], required: true },
+    addedAt: { type: Date, default: Date.now },
+    addedBy: { type: String }
+}, {
+    _id: false
+});
+
+// Which JIRA fields feed the prompt context for this project
+const extraFieldSchema = new mongoose.Schema({
+    fieldId: { type: String, required: true },
+    label: { type: String }
+}, {
+    _id: false
+});
+
+const jiraFieldMappingSchema = new mongoose.Schema({
+    // First non-empty field wins
+    acceptanceCriteria: { type: [String], default: undefined },
+    storyPoints: { type: String },
+    components: { type: String },
+    extraContext: { type: [extraFieldSchema], default: undefined }
+}, {
+    _id: false
+});
+
+// Project terminology, available to prompt templates as {{glossary}}
+const glossaryEntrySchema = new mongoose.Schema({
+    term: { type: String, required: true, trim: true },
+    definition: { type: String, required: true, trim: true }
+}, {
+    _id: false
+});
+
+// Webhook trigger: generate when an issue moves to (or is created in) one of `statuses`
+// and matches the issue type and label filters (empty filters match everything)
+const webhookTriggerSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    enabled: { type: Boolean, default: true },
+    statuses: { type: [String], required: true },
+    issueTypes: { type: [String], default: [] },
+    // The issue needs at least one of these labels
+    labels: { type: [String], default: [] },
+    mode: { type: String, enum: ['manual', 'auto'], default: 'manual' },
+    provider: { type: String },
+    model: { type: String }
+}, {
+    _id: false
+});
+
 const projectSchema = new mongoose.Schema({
     projectKey: {
         type: String,
@@ -20,7 +72,23 @@ const projectSchema = new mongoose.Schema({
     firstGeneratedAt: { type: Date },
     lastGeneratedAt: { type: Date },
     totalGenerations: { type: Number, default: 0 },
-    createdBy: { type: String }
+    createdBy: { type: String },
+    members: [memberSchema],
+    jiraFields: { type: jiraFieldMappingSchema, default: () => ({}) },
+    glossary: [glossaryEntrySchema],
+    // Default LLM provider/model for this project's generations
+    llm: {
+        provider: { type: String },
+        model: { type: String }
+    },
+    // Monthly limits; unset fields fall back to the QUOTA_PROJECT_* defaults
+    quota: {
+        monthlySpendUsd: { type: Number, min: 0 },
+        monthlyGenerations: { type: Number, min: 0 }
+    },
+    webhookTriggers: [webhookTriggerSchema]
 }, { timestamps: true });
 
+projectSchema.index({ 'members.email': 1 });
+
 export default mongoose.model('Project', projectSchema)
\ No newline at end of file
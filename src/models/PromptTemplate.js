@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// One saved revision of a template's text
+const templateVersionSchema = new mongoose.Schema({
+  version: { type: Number, required: true },
+  systemPrompt: { type: String, required: true },
+  userPrompt: { type: String, required: true },
+  notes: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  createdBy: { type: String }
+}, {
+  _id: false
+});
+
+// Prompt template for a generation mode, global (project: null) or scoped to one project.
+// systemPrompt/userPrompt hold the current text ({{variable}} placeholders); versions keep every revision.
+const promptTemplateSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: { type: String },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null,
+    index: true
+  },
+  mode: { type: String, enum: ['manual', 'auto'], required: true },
+  // At most one active template per scope and mode; it is used for new generations
+  active: { type: Boolean, default: false },
+  systemPrompt: { type: String, required: true },
+  userPrompt: { type: String, required: true },
+  version: { type: Number, default: 1 },
+  versions: [templateVersionSchema],
+  createdBy: { type: String },
+  updatedBy: { type: String }
+}, { timestamps: true });
+
+promptTemplateSchema.index({ project: 1, mode: 1, name: 1 }, { unique: true });
+promptTemplateSchema.index({ project: 1, mode: 1, active: 1 });
+
+export default mongoose.model('PromptTemplate', promptTemplateSchema);
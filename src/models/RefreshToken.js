@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// One document per issued refresh token. Tokens issued by rotating each other share a familyId,
+// so reuse of an already-rotated token can revoke the whole session.
+const refreshTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  familyId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  expiresAt: { type: Date, required: true },
+  rotatedAt: { type: Date, default: null },
+  replacedBy: { type: String },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String }
+}, { timestamps: true });
+
+// Let MongoDB purge expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+/*
+Model spend outside of a generation's own run: refinements and regenerations of an existing generation
+and story classification. Each call is a dated record, so quotas and analytics count it in the period
+it was spent in (a generation's own cost counts in the period it was created in).
+*/
+const spendRecordSchema = new mongoose.Schema({
+  kind: { type: String, enum: ['refinement', 'regeneration', 'classification'], required: true },
+  // User who made the call (their quota pays for it)
+  email: { type: String, required: true, index: true },
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', index: true },
+  generation: { type: mongoose.Schema.Types.ObjectId, ref: 'Generation', index: true },
+  issueKey: { type: String },
+  mode: { type: String, enum: ['manual', 'auto'] },
+  provider: { type: String },
+  model: { type: String },
+  cost: { type: Number, default: 0 },
+  tokenUsage: {
+    promptTokens: { type: Number },
+    cachedTokens: { type: Number },
+    completionTokens: { type: Number },
+    totalTokens: { type: Number }
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+spendRecordSchema.index({ createdAt: 1 });
+
+export default mongoose.model('SpendRecord', spendRecordSchema);
@@ -14,6 +14,16 @@ const userSchema = new mongoose.Schema({
   },
   passwordHash: { 
     type: String 
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'qa_lead', 'member', 'viewer'],
+    default: 'member'
+  },
+  // Monthly limits; unset fields fall back to the QUOTA_USER_* defaults
+  quota: {
+    monthlySpendUsd: { type: Number, min: 0 },
+    monthlyGenerations: { type: Number, min: 0 }
   }
 }, { timestamps: true });
 
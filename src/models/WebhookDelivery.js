@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+// Received JIRA webhook deliveries, kept for a week to drop redelivered events and to audit what they triggered
+const webhookDeliverySchema = new mongoose.Schema({
+  deliveryId: { type: String, required: true, unique: true },
+  event: { type: String },
+  issueKey: { type: String, index: true },
+  outcome: { type: String, enum: ['received', 'ignored', 'duplicate', 'skipped', 'enqueued', 'failed'], default: 'received' },
+  reason: { type: String },
+  rule: { type: String },
+  generation: { type: mongoose.Schema.Types.ObjectId, ref: 'Generation' },
+  receivedAt: { type: Date, default: Date.now, expires: 7 * 24 * 3600 }
+});
+
+export default mongoose.model('WebhookDelivery', webhookDeliverySchema);
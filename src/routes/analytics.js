@@ -0,0 +1,107 @@
+import { Router } from "express";
+import { requireAuth } from "../middleware/auth.js";
+import { loadUserRole, getLeadProjectIds } from "../middleware/authorize.js";
+import {
+    INTERVALS,
+    BREAKDOWN_DIMENSIONS,
+    parseAnalyticsFilters,
+    getSummary,
+    getTimeSeries,
+    getBreakdown,
+    metricsToCsvRow
+} from "../services/analyticsService.js";
+import { toCsv } from "../utils/csvUtils.js";
+
+const router = Router();
+
+// Generations the caller may aggregate: admins see everything,
+// others their own generations plus those of projects they lead
+async function getAnalyticsScope(req) {
+    if (await loadUserRole(req) === 'admin') return {};
+    const leadProjectIds = await getLeadProjectIds(req.user);
+    return {
+        $or: [
+            { email: req.user.email },
+            { project: { $in: leadProjectIds } }
+        ]
+    };
+}
+
+// Parse filters and scope, or respond with the error. Returns null when a response was sent.
+async function prepareQuery(req, res) {
+    const { value, error, status } = await parseAnalyticsFilters(req.query);
+    if (error) {
+        res.status(status).json({ success: false, error });
+        return null;
+    }
+    return { scope: await getAnalyticsScope(req), filters: value };
+}
+
+function sendCsv(res, filename, rows) {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(toCsv(rows));
+}
+
+// Get /analytics/summary - totals for the date range
+// Query: from, to, projectKey, email, mode, provider, model, status, format=csv
+router.get('/summary', requireAuth, async (req, res, next) => {
+    try {
+        const query = await prepareQuery(req, res);
+        if (!query) return;
+
+        const summary = await getSummary(query.scope, query.filters);
+        if (req.query.format === 'csv') {
+            return sendCsv(res, 'analytics_summary.csv', [{
+                from: summary.range.from,
+                to: summary.range.to,
+                ...metricsToCsvRow(summary.metrics)
+            }]);
+        }
+        return res.json({ success: true, data: summary });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Get /analytics/timeseries - metrics per day, week or month (?interval=)
+router.get('/timeseries', requireAuth, async (req, res, next) => {
+    try {
+        const interval = req.query.interval || 'day';
+        if (!INTERVALS.includes(interval)) {
+            return res.status(400).json({ success: false, error: `interval must be one of: ${INTERVALS.join(', ')}` });
+        }
+        const query = await prepareQuery(req, res);
+        if (!query) return;
+
+        const timeSeries = await getTimeSeries(query.scope, query.filters, interval);
+        if (req.query.format === 'csv') {
+            return sendCsv(res, `analytics_${interval}.csv`, timeSeries.series.map(metricsToCsvRow));
+        }
+        return res.json({ success: true, data: timeSeries });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Get /analytics/breakdown?by=project|user|mode|provider|model|status - metrics per group
+router.get('/breakdown', requireAuth, async (req, res, next) => {
+    try {
+        const by = req.query.by;
+        if (!BREAKDOWN_DIMENSIONS.includes(by)) {
+            return res.status(400).json({ success: false, error: `by must be one of: ${BREAKDOWN_DIMENSIONS.join(', ')}` });
+        }
+        const query = await prepareQuery(req, res);
+        if (!query) return;
+
+        const breakdown = await getBreakdown(query.scope, query.filters, by);
+        if (req.query.format === 'csv') {
+            return sendCsv(res, `analytics_by_${by}.csv`, breakdown.rows.map(metricsToCsvRow));
+        }
+        return res.json({ success: true, data: breakdown });
+    } catch (e) {
+        next(e);
+    }
+});
+
+export default router;
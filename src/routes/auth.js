@@ -1,6 +1,13 @@
 import { Router } from "express";
 import User from "../models/User.js";
-import { issueAccessToken, issueRefreshToken } from "../middleware/auth.js";
+import { adminEmails } from "../config/index.js";
+import {
+    requireAuth,
+    issueAccessToken,
+    issueRefreshToken,
+    rotateRefreshToken,
+    revokeRefreshToken
+} from "../middleware/auth.js";
 
 
 const router = Router();
@@ -25,7 +32,8 @@ router.post('/register', async (req, res, next) => {
                 error: 'Email already registered'
             });
         }
-        const user = new User({ email, name });
+        const role = adminEmails.includes(String(email).toLowerCase()) ? 'admin' : undefined;
+        const user = new User({ email, name, role });
         // Hash and set password
         await user.setPassword(password);
 
@@ -34,7 +42,7 @@ router.post('/register', async (req, res, next) => {
 
         // Generate tokens
         const accessToken = issueAccessToken(user);
-        const refreshToken = issueRefreshToken(user);
+        const { token: refreshToken } = await issueRefreshToken(user);
 
         // Return success response with tokens
         return res.json({
@@ -45,7 +53,8 @@ router.post('/register', async (req, res, next) => {
                 user: {
                     id: user._id,
                     email: user.email,
-                    name: user.name
+                    name: user.name,
+                    role: user.role
                 }
             }
         });
@@ -74,7 +83,7 @@ router.post('/login', async (req, res, next) => {
         }
 
         const accessToken = issueAccessToken(user);
-        const refreshToken = issueRefreshToken(user);
+        const { token: refreshToken } = await issueRefreshToken(user);
         return res.json({
             success: true,
             data: {
@@ -83,7 +92,8 @@ router.post('/login', async (req, res, next) => {
                 user: {
                     id: user._id,
                     email: user.email,
-                    name: user.name
+                    name: user.name,
+                    role: user.role
                 }
             }
         })
@@ -91,4 +101,96 @@ router.post('/login', async (req, res, next) => {
         next(error)
     }
 });
+
+// Post /auth/refresh - exchange a refresh token for a new token pair
+router.post('/refresh', async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body || {};
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                error: 'refreshToken is required'
+            });
+        }
+
+        const result = await rotateRefreshToken(refreshToken);
+        if (!result.success) {
+            return res.status(401).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        const { user } = result;
+        return res.json({
+            success: true,
+            data: {
+                accessToken: result.accessToken,
+                refreshToken: result.refreshToken,
+                user: {
+                    id: user._id,
+                    email: user.email,
+                    name: user.name,
+                    role: user.role
+                }
+            }
+        });
+    } catch (error) {
+        next(error)
+    }
+});
+
+// Post /auth/logout - revoke the session of a refresh token (all sessions with `all: true`)
+router.post('/logout', async (req, res, next) => {
+    try {
+        const { refreshToken, all = false } = req.body || {};
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                error: 'refreshToken is required'
+            });
+        }
+
+        const result = await revokeRefreshToken(refreshToken, { allSessions: all === true });
+        if (!result.success) {
+            return res.status(401).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        return res.json({ success: true, message: 'Logged out successfully' });
+    } catch (error) {
+        next(error)
+    }
+});
+
+// Get /auth/me - current user profile
+router.get('/me', requireAuth, async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        return res.json({
+            success: true,
+            data: {
+                user: {
+                    id: user._id,
+                    email: user.email,
+                    name: user.name,
+                    role: user.role,
+                    createdAt: user.createdAt
+                }
+            }
+        });
+    } catch (error) {
+        next(error)
+    }
+});
+
 export default router;
\ No newline at end of file
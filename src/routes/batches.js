@@ -0,0 +1,194 @@
+import { Router } from "express";
+import mongoose from "mongoose";
+import GenerationBatch from "../models/GenerationBatch.js";
+import User from "../models/User.js";
+import { requireAuth } from "../middleware/auth.js";
+import { loadUserRole, getProjectRole, roleAllows } from "../middleware/authorize.js";
+import { logger } from "../utils/logger.js";
+import { isProviderAllowed, isModelAllowed } from "../services/llm/index.js";
+import { getJiraService } from "../services/generationService.js";
+import { describeViolations } from "../services/quotaService.js";
+import {
+    parseBatchSource,
+    findBatchIssues,
+    prelightBatch,
+    checkBatchQuota,
+    serializePrelightIssue,
+    createBatch,
+    getBatchProgress,
+    serializeBatch
+} from "../services/batchService.js";
+
+const router = Router();
+
+/*
+* Resolve the batch source, search JIRA and estimate every matched issue.
+* Responds with an error and returns null when the batch cannot be built.
+*/
+async function buildBatchPrelight(req, res) {
+    const { autoMode = false, provider, model } = req.body || {};
+    const { value: source, error } = parseBatchSource(req.body);
+    if (error) {
+        res.status(400).json({ success: false, error });
+        return null;
+    }
+    if (provider !== undefined && !isProviderAllowed(provider)) {
+        res.status(400).json({ success: false, error: `Unknown LLM provider: ${provider}` });
+        return null;
+    }
+    // Without a provider the model is checked against each issue's project provider (see prelightBatch)
+    if (provider !== undefined && !isModelAllowed(provider, model)) {
+        res.status(400).json({ success: false, error: `Model ${model} is not available for LLM provider ${provider}` });
+        return null;
+    }
+
+    const jira = getJiraService();
+    const found = await findBatchIssues(jira, source);
+    if (found.error) {
+        res.status(found.status).json({ success: false, error: found.error });
+        return null;
+    }
+    if (found.issueKeys.length === 0) {
+        res.status(404).json({ success: false, error: 'No issues match this batch', source });
+        return null;
+    }
+
+    const prelight = await prelightBatch(jira, found.issueKeys, { autoMode, provider, model });
+
+    // Viewers (globally or in the issue's project) cannot generate
+    await loadUserRole(req);
+    const forbidden = prelight.issues.filter(issue => !roleAllows(getProjectRole(req.user, issue.project), 'create'));
+    if (forbidden.length > 0) {
+        res.status(403).json({
+            success: false,
+            error: `You are not allowed to create generations for: ${forbidden.map(issue => issue.issueKey).join(', ')}`
+        });
+        return null;
+    }
+
+    const user = await User.findById(req.user.userId).select('quota');
+    const quota = await checkBatchQuota({ email: req.user.email, user, issues: prelight.issues });
+    return { source, truncated: found.truncated, prelight, quota, autoMode, provider, model };
+}
+
+// Prelight response body (shared by the prelight and create endpoints)
+function prelightData({ source, truncated, prelight, quota }) {
+    return {
+        source,
+        truncated,
+        issues: prelight.issues.map(serializePrelightIssue),
+        failed: prelight.failed,
+        totals: prelight.totals,
+        quota: {
+            allowed: quota.allowed,
+            violations: quota.violations,
+            user: quota.status.user,
+            projects: quota.status.projects
+        }
+    };
+}
+
+// Post /batches/prelight - issues matched by a JQL query, epic or sprint with combined token and cost estimate
+router.post('/prelight', requireAuth, async (req, res, next) => {
+    try {
+        const built = await buildBatchPrelight(req, res);
+        if (!built) return;
+        return res.json({ success: true, data: prelightData(built) });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Post /batches - queue one generation per matched issue under a new batch
+router.post('/', requireAuth, async (req, res, next) => {
+    try {
+        const { overrideQuota = false } = req.body || {};
+        if (overrideQuota && await loadUserRole(req) !== 'admin') {
+            return res.status(403).json({ success: false, error: 'Only admins can override quotas' });
+        }
+
+        const built = await buildBatchPrelight(req, res);
+        if (!built) return;
+        if (built.prelight.issues.length === 0) {
+            return res.status(400).json({ success: false, error: 'None of the matched issues could be prepared', data: prelightData(built) });
+        }
+
+        const { quota } = built;
+        if (!quota.allowed) {
+            if (!overrideQuota) {
+                return res.status(402).json({
+                    success: false,
+                    error: `Quota exceeded: ${describeViolations(quota.violations)}`,
+                    quota: prelightData(built).quota
+                });
+            }
+            logger.warn(`Quota override by ${req.user.email} for batch ${built.source.jql}: ${describeViolations(quota.violations)}`);
+        }
+
+        const batch = await createBatch({
+            email: req.user.email,
+            source: built.source,
+            autoMode: built.autoMode,
+            provider: built.provider,
+            model: built.model,
+            prelight: built.prelight,
+            quotaOverriddenBy: quota.allowed ? undefined : req.user.email
+        });
+
+        return res.status(201).json({
+            success: true,
+            data: {
+                batch: serializeBatch(batch),
+                truncated: built.truncated,
+                progress: await getBatchProgress(batch)
+            }
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Get /batches - the caller's batches, newest first (admins: all, or ?email=)
+router.get('/', requireAuth, async (req, res, next) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+        const filter = await loadUserRole(req) === 'admin'
+            ? (req.query.email ? { email: String(req.query.email).toLowerCase() } : {})
+            : { email: req.user.email };
+
+        const batches = await GenerationBatch.find(filter).sort({ createdAt: -1 }).limit(limit);
+        const items = [];
+        for (const batch of batches) {
+            const { generations, ...progress } = await getBatchProgress(batch);
+            items.push({ ...serializeBatch(batch), progress });
+        }
+        return res.json({ success: true, data: { batches: items } });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Get /batches/:id - batch with aggregated progress and per-issue results
+router.get('/:id', requireAuth, async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ success: false, error: 'Not found' });
+        }
+        const batch = await GenerationBatch.findById(req.params.id);
+        if (!batch || (batch.email !== req.user.email && await loadUserRole(req) !== 'admin')) {
+            return res.status(404).json({ success: false, error: 'Not found' });
+        }
+
+        return res.json({
+            success: true,
+            data: {
+                batch: serializeBatch(batch),
+                progress: await getBatchProgress(batch)
+            }
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+export default router;
@@ -1,52 +1,167 @@
 import { Router } from "express";
-import JiraService from '../services/jiraService.js'
+import mongoose from "mongoose";
 import { requireAuth } from "../middleware/auth.js";
+import {
+    authorizeGeneration,
+    requireRole,
+    loadUserRole,
+    getProjectRole,
+    roleAllows,
+    canAccessGeneration,
+    getMemberProjectIds
+} from "../middleware/authorize.js";
 import { logger } from "../utils/logger.js";
-import OpenAIService from "../services/openAiService.js";
+import { contextConfig, driftConfig } from "../config/index.js";
+import { isProviderAllowed, isModelAllowed, resolveProviderSelection, listProviders, getLLMProvider } from "../services/llm/index.js";
 import Generation from '../models/Generation.js'
-import { extractProject, findOrCreateProject } from '../utils/projectUtils.js'
+import Project from '../models/Project.js'
+import User from '../models/User.js'
+import { extractProject, updateProjectStats } from '../utils/projectUtils.js'
 import { generateExcelBuffer } from '../services/excelService.js';
+import { generatePdfBuffer, pdfFilename } from '../services/pdfService.js';
+import { pushGenerationToJira, ATTACHMENT_FORMATS } from '../services/jiraPushService.js';
+import { applyContentUpdate, saveContentUpdate, diffVersions, restoreVersion } from '../services/contentService.js';
+import { requireContentVersion, sendVersionConflict, setVersionETag } from '../middleware/contentVersion.js';
+import { checkQuota, describeViolations, recordSpend } from '../services/quotaService.js';
+import {
+    applyReviewAction,
+    setReviewers,
+    addReviewComment,
+    setCommentResolved,
+    getReviewStatus,
+    isReviewer,
+    serializeReview,
+    checkCurrentVersionApproved
+} from '../services/reviewService.js';
+import { getGenerationTestCases, normalizeTestCase, nextTestCaseId } from '../utils/testCaseUtils.js';
+import {
+    getJiraService,
+    jiraErrorStatus,
+    generateForIssue,
+    createGeneration,
+    forkGeneration,
+    findExistingGenerations,
+    serializeExistingGeneration,
+    estimateIssueGeneration,
+    estimateGenerationCost,
+    buildCompletionUpdate,
+    buildFailureUpdate,
+    GenerationError
+} from '../services/generationService.js';
+import { STORY_TYPES, classifyStory, readStoryFeatures } from '../services/classificationService.js';
+import { checkGenerationDrift, runDriftCheck, serializeDrift, buildDriftInstructions } from '../services/driftService.js';
+import {
+    publishGenerationEvent,
+    subscribeGenerationEvents,
+    getGenerationSnapshot,
+    generationProgress
+} from '../services/generationEvents.js';
 
 const router = Router();
-let jiraService = null;
-let openAiService = null;
-export function getJiraService() {
-    if (!jiraService) {
-        try {
-            jiraService = new JiraService();
-        } catch (error) {
-            throw new Error('JIRA service not configured. Please set JIRA_EMAIL and JIRA_API_TOKEN in .env');
-        }
+
+const MAX_REFINE_INSTRUCTIONS = 4000;
+
+// POST /:id/review/:action route names -> review actions (publishing goes through PUT /:id/publish)
+const REVIEW_ROUTE_ACTIONS = {
+    submit: 'submit',
+    approve: 'approve',
+    'request-changes': 'request_changes',
+    withdraw: 'withdraw'
+};
+
+// Version number from a route parameter ("current" = the generation's current version), or null when invalid
+function parseVersionParam(value, gen) {
+    if (value === 'current') return gen.currentVersion || 1;
+    const version = Number(value);
+    return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+// Save a content edit of req.generation (see requireContentVersion); on a concurrent edit responds 409 and returns false
+async function saveContentEdit(req, res) {
+    const gen = req.generation;
+    if (await saveContentUpdate(gen, req.expectedVersion)) {
+        setVersionETag(res, gen);
+        return true;
     }
-    return jiraService
+    const latest = await Generation.findById(gen._id);
+    if (!latest) {
+        res.status(404).json({ success: false, error: 'Not found' });
+    } else {
+        sendVersionConflict(res, latest, req.expectedVersion);
+    }
+    return false;
 }
 
-export function getOpenAiService() {
-    if (!openAiService) {
-        try {
-            openAiService = new OpenAIService();
-        } catch (err) {
-            throw new Error(err.message);
+// Reviewers and users who may edit a generation can comment on it
+function canComment(req, gen) {
+    return isReviewer(gen, req.user.email) || canAccessGeneration(req.user, gen, req.project, 'update');
+}
+
+/*
+* Existing generation of `issueKey` the caller asked to reuse or fork (see POST /testcases).
+* Responds with an error and returns null when it cannot be used.
+*/
+async function loadSourceGeneration(req, res, id, issueKey) {
+    const gen = mongoose.isValidObjectId(id) ? await Generation.findById(id) : null;
+    const project = gen?.project ? await Project.findById(gen.project) : null;
+    await loadUserRole(req);
+    if (!gen || !canAccessGeneration(req.user, gen, project, 'read')) {
+        res.status(404).json({ success: false, error: `Generation not found: ${id}` });
+        return null;
+    }
+    if (gen.issueKey?.toLowerCase() !== issueKey.trim().toLowerCase()) {
+        res.status(400).json({ success: false, error: `Generation ${id} is for ${gen.issueKey}, not ${issueKey}` });
+        return null;
+    }
+    if (gen.status === 'failed') {
+        res.status(409).json({ success: false, error: `Generation ${id} failed and cannot be reused` });
+        return null;
+    }
+    return gen;
+}
+
+/*
+* Check the caller's and project's quotas before a model call. Responds 402 (or 403 for a non-admin override)
+* and returns null when the call must not go ahead; otherwise returns the checkQuota() result.
+*/
+async function enforceQuota(req, res, { project, estimatedCost, overrideQuota = false, generations = 1, label }) {
+    if (overrideQuota && await loadUserRole(req) !== 'admin') {
+        res.status(403).json({ success: false, error: 'Only admins can override quotas' });
+        return null;
+    }
+
+    const user = await User.findById(req.user.userId).select('quota');
+    const quota = await checkQuota({ email: req.user.email, user, project, estimatedCost, generations });
+    if (!quota.allowed) {
+        if (!overrideQuota) {
+            res.status(402).json({
+                success: false,
+                error: `Quota exceeded: ${describeViolations(quota.violations)}`,
+                quota: {
+                    violations: quota.violations,
+                    user: quota.status.user,
+                    project: quota.status.project
+                }
+            });
+            return null;
         }
+        logger.warn(`Quota override by ${req.user.email} for ${label}: ${describeViolations(quota.violations)}`);
     }
-    return openAiService
+    return quota;
 }
 
 router.post('/prelight', requireAuth, async (req, res, next) => {
-    const { issueKey } = req.body;
+    const { issueKey, autoMode = false, provider, model } = req.body;
     if (!issueKey) {
         return res.status(400).json({ success: false, error: 'issueKey required' });
     }
+    if (provider !== undefined && !isProviderAllowed(provider)) {
+        return res.status(400).json({ success: false, error: `Unknown LLM provider: ${provider}` });
+    }
     const jira = getJiraService();
     const issueResult = await jira.getIssue(issueKey);
     if (!issueResult.success) {
-        // Return appropriate status code based on error type
-        const statusCode = issueResult.error.includes('authentication') || issueResult.error.includes('forbidden')
-            ? 401
-            : issueResult.error.includes('not found')
-                ? 404
-                : 500;
-        return res.status(statusCode).json({ success: false, error: issueResult.error || 'Issue not found in JIRA' });
+        return res.status(jiraErrorStatus(issueResult.error)).json({ success: false, error: issueResult.error || 'Issue not found in JIRA' });
     }
     const issue = issueResult.issue;
     const fields = issue.fields;
@@ -56,191 +171,220 @@ router.post('/prelight', requireAuth, async (req, res, next) => {
 
     // Count attachments
     const attachments = fields.attachment || [];
-    const imageAttachments = attachments.filter(att => att.mimeType?.startsWith('image/'));
 
-    // UI detection: use improved keyword analysis + OpenAI
-    // const openai = getOpenAIService();
-    // const openaiCheckFn = async (context) => {
-    //     return await openai.checkIfUiStory(context);
-    // };
+    // Story type (UI, API, data/batch, infra): keyword heuristics and image attachments, then the classifier model if unsure
+    const classification = await classifyStory(readStoryFeatures(jira, issue));
+    logger.info(`Story classification for ${issueKey}: ${classification.storyType} (${classification.confidence}, ${classification.source})`);
 
-    // const isUiStory = await checkIfUiStory(issue, openaiCheckFn, jira.extractTextFromADF.bind(jira));
-    // logger.info(`UI detection for ${issueKey}: ${isUiStory ? 'UI story' : 'Not UI story'}`);
+    // Tokenize the exact prompt the selected model will receive and price it with that model's rates
+    const projectKey = extractProject(issueKey);
+    const project = projectKey ? await Project.findOne({ projectKey }) : null;
+    if (classification.cost) {
+        await recordSpend({ kind: 'classification', email: req.user.email, project, issueKey, result: classification });
+    }
+    const selection = resolveProviderSelection({ provider, model }, project);
+    let llm;
+    try {
+        llm = getLLMProvider(selection.provider, { model: selection.model });
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    const { imageAttachments, skippedImages, estimate } = await estimateIssueGeneration(jira, issue, {
+        issueKey,
+        autoMode,
+        llm,
+        storyType: classification.storyType
+    });
 
-    // Estimate tokens (rough approximation: 1 token ≈ 4 characters)
-    const contextText = `${summary} ${description}`;
-    const contextLength = contextText.length;
-    const estimatedTokens = Math.ceil(contextLength / 4) + (imageAttachments.length * 200); // ~200 tokens per image
+    // Whether this generation would fit in the caller's and project's monthly quotas
+    const user = await User.findById(req.user.userId).select('quota');
+    const quota = await checkQuota({ email: req.user.email, user, project, estimatedCost: estimate.cost });
 
-    // Estimate cost (gpt-4o-mini pricing: $0.15/1M input tokens, $0.60/1M output tokens)
-    const estimatedCost = (estimatedTokens / 1000000) * 0.15 + (8000 / 1000000) * 0.60; // Assume ~8k output tokens
+    // Generations of this issue the caller could reuse or fork instead of paying for a new one
+    const existing = await findExistingGenerations(issueKey, req.user.email);
 
     // return prelight data
     return res.json({
-        isUiStory: true,
+        isUiStory: classification.storyType === 'ui',
+        // Pass classification.storyType to POST /testcases to generate with these categories (otherwise it classifies again)
+        classification,
         issueKey,
         title: summary || 'N/A',
         description,
         attachments: attachments.length,
-        estimatedTokens,
-        estimatedCost: estimatedCost.toFixed(4)
-    })
-
-    // Check for existing generations with the same issueKey (case-insensitive)
-    const normalizedIssueKey = issueKey.trim();
-    const issueKeyRegex = new RegExp(`^${normalizedIssueKey.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
-
-    // First, check for published generations (visible to all users)
-    // const existingPublished = await Generation.findOne({
-    //     issueKey: issueKeyRegex,
-    //     published: true,
-    //     status: 'completed'
-    // }).sort({ createdAt: -1 }); // Get the most recent one
+        comments: fields.comment?.comments?.length || 0,
+        linkedIssues: fields.issuelinks?.length || 0,
+        images: {
+            included: imageAttachments.map(att => att.filename),
+            skipped: skippedImages,
+            limit: contextConfig.maxImages,
+            maxBytes: contextConfig.maxImageBytes
+        },
+        estimatedTokens: estimate.promptTokens,
+        estimatedCost: estimate.cost.toFixed(4),
+        estimate,
+        quota: {
+            allowed: quota.allowed,
+            violations: quota.violations,
+            user: quota.status.user,
+            project: quota.status.project
+        },
+        existingGenerations: existing.map(gen => serializeExistingGeneration(gen, req.user.email))
+    });
 })
 
+// List the LLM providers that can be selected for a generation
+router.get('/providers', requireAuth, async (req, res, next) => {
+    try {
+        return res.json({ success: true, data: { providers: listProviders() } });
+    } catch (e) {
+        next(e);
+    }
+});
+
 router.post('/testcases', requireAuth, async (req, res, next) => {
     try {
-        const { issueKey, async: isAsync = false, autoMode = false } = req.body || {};
+        const {
+            issueKey,
+            async: isAsync = false,
+            autoMode = false,
+            provider,
+            model,
+            overrideQuota = false,
+            reuseGenerationId,
+            forkGenerationId,
+            storyType
+        } = req.body || {};
         if (!issueKey) {
             return res.status(400).json({ success: false, error: 'issueKey required' });
         }
+        if (reuseGenerationId && forkGenerationId) {
+            return res.status(400).json({ success: false, error: 'Provide either reuseGenerationId or forkGenerationId, not both' });
+        }
+        if (provider !== undefined && !isProviderAllowed(provider)) {
+            return res.status(400).json({ success: false, error: `Unknown LLM provider: ${provider}` });
+        }
+        if (model !== undefined && typeof model !== 'string') {
+            return res.status(400).json({ success: false, error: 'model must be a string' });
+        }
+        if (storyType !== undefined && !STORY_TYPES.includes(storyType)) {
+            return res.status(400).json({ success: false, error: `storyType must be one of: ${STORY_TYPES.join(', ')}` });
+        }
 
-        // Extract project key and find/create project
+        // Reuse an existing generation of the issue (see the prelight's existingGenerations): nothing is created
+        if (reuseGenerationId) {
+            const existing = await loadSourceGeneration(req, res, reuseGenerationId, issueKey);
+            if (!existing) return;
+            return res.json({
+                success: true,
+                data: {
+                    generationId: String(existing._id),
+                    issueKey: existing.issueKey,
+                    status: existing.status,
+                    reused: true,
+                    markdown: existing.result?.markdown,
+                    generationTimeSeconds: existing.generationTimeSeconds,
+                    cost: 0
+                }
+            });
+        }
+
+        // Extract project key (the project is created with the generation)
         const projectKey = extractProject(issueKey);
-        let project = null;
 
-        if (projectKey) {
-            try {
-                project = await findOrCreateProject(projectKey, req.user.email);
-                logger.info(`Associated generation with project: ${projectKey}`);
-            } catch (projectError) {
-                logger.warn(`Failed to find/create project ${projectKey}: ${projectError.message}. Continuing without project.`);
-            }
+        // Viewers (globally or in this project) cannot generate
+        await loadUserRole(req);
+        const existingProject = projectKey ? await Project.findOne({ projectKey }) : null;
+        if (!roleAllows(getProjectRole(req.user, existingProject), 'create')) {
+            return res.status(403).json({ success: false, error: 'You are not allowed to create generations in this project' });
         }
 
-        // Create generation document
-        const generation = new Generation({
-            issueKey,
-            email: req.user.email,
-            project: project ? project._id : undefined,
-            mode: autoMode ? 'auto' : 'manual',
-            status: isAsync ? 'queued' : 'running',
-            startedAt: isAsync ? undefined : new Date()
-        });
-        await generation.save();
-
-        // Update project stats
-        if (project) {
-            const Project = (await import('../models/Project.js')).default;
-            const updatedProject = await Project.findById(project._id);
-            if (updatedProject) {
-                updatedProject.totalGenerations = await Generation.countDocuments({ project: project._id });
-                await updatedProject.save();
+        // Fork: copy an existing generation's test cases into a new generation of the caller's, without a model call
+        if (forkGenerationId) {
+            const source = await loadSourceGeneration(req, res, forkGenerationId, issueKey);
+            if (!source) return;
+            if (source.status !== 'completed') {
+                return res.status(409).json({ success: false, error: `Generation ${forkGenerationId} is not completed yet` });
             }
-        }
+            const quota = await enforceQuota(req, res, { project: existingProject, estimatedCost: 0, overrideQuota, label: `fork of ${source._id}` });
+            if (!quota) return;
 
-        // Handle async mode
-        if (isAsync) {
+            const generation = await forkGeneration(source, {
+                email: req.user.email,
+                quotaOverriddenBy: quota.allowed ? undefined : req.user.email
+            });
             return res.json({
                 success: true,
                 data: {
                     generationId: String(generation._id),
-                    status: 'queued'
+                    issueKey: generation.issueKey,
+                    status: generation.status,
+                    forkedFrom: generation.forkedFrom,
+                    markdown: generation.result.markdown,
+                    generationTimeSeconds: 0,
+                    cost: 0
                 }
             });
         }
 
-        // Sync: Fetch JIRA data and generate
-        const startTime = Date.now();
-
-        // Fetch issue from JIRA
-        const jira = getJiraService();
-        const issueResult = await jira.getIssue(issueKey);
-
-        if (!issueResult.success) {
-            generation.status = 'failed';
-            generation.error = issueResult.error || 'Failed to fetch JIRA issue';
-            generation.completedAt = new Date();
-            await generation.save();
-            return res.status(404).json({ success: false, error: issueResult.error });
+        // LLM selection: request > project setting > default
+        const llm = resolveProviderSelection({ provider, model }, existingProject);
+        if (!isModelAllowed(llm.provider, llm.model)) {
+            return res.status(400).json({ success: false, error: `Model ${llm.model} is not available for LLM provider ${llm.provider}` });
         }
 
-        const issue = issueResult.issue;
-        const fields = issue.fields;
+        // Enforce monthly quotas with the prelight estimate before anything is created or sent to the model
+        const estimate = await estimateGenerationCost({ issueKey, autoMode, ...llm, storyType });
+        const estimatedCost = estimate?.cost || 0;
+        const quota = await enforceQuota(req, res, { project: existingProject, estimatedCost, overrideQuota, label: issueKey });
+        if (!quota) return;
 
-        // Build context from JIRA issue data
-        const summary = fields.summary || '';
-        const description = jira.extractTextFromADF(fields.description) || '';
+        const generation = await createGeneration({
+            issueKey,
+            email: req.user.email,
+            autoMode,
+            provider: llm.provider,
+            model: llm.model,
+            estimatedCost,
+            quotaOverriddenBy: quota.allowed ? undefined : req.user.email,
+            queued: isAsync,
+            storyType
+        });
 
-        // Extract acceptance criteria
-        let acceptanceCriteria = '';
-        if (fields.customfield_10026) {
-            acceptanceCriteria = jira.extractTextFromADF(fields.customfield_10026) || '';
-        } else if (fields.customfield_10016) {
-            acceptanceCriteria = jira.extractTextFromADF(fields.customfield_10016) || '';
+        // Handle async mode
+        if (isAsync) {
+            return res.json({
+                success: true,
+                data: {
+                    generationId: String(generation._id),
+                    status: 'queued'
+                }
+            });
         }
 
-        // Build context string
-        const context = `Title: ${summary}
-
-Description:
-${description}
-
-${acceptanceCriteria ? `Acceptance Criteria:\n${acceptanceCriteria}` : ''}`;
-
-        // Generate test cases using OpenAI
-        let markdownContent;
-        let tokenUsage = null;
-        let cost = null;
-
+        // Sync: Fetch JIRA data, generate and save the result
         try {
-            const openai = getOpenAiService();
-            const openaiImages = [];
-
-            logger.info(`Generating test cases with OpenAI (mode: ${autoMode ? 'auto' : 'manual'})`);
-            const result = await openai.generateTestCases(context, issueKey, autoMode, openaiImages);
-
-            // Handle response format
-            if (typeof result === 'string') {
-                markdownContent = result;
-            } else {
-                markdownContent = result.content;
-                tokenUsage = result.tokenUsage;
-                cost = result.cost;
-            }
-
-            // Ensure we have a proper title
-            if (!markdownContent.startsWith('#')) {
-                markdownContent = `# Test Cases for ${issueKey}: ${summary || 'Untitled'}\n\n${markdownContent}`;
-            }
-        } catch (error) {
-            logger.error(`OpenAI generation failed: ${error.message}`);
-            generation.status = 'failed';
-            generation.error = `OpenAI generation failed: ${error.message}`;
-            generation.completedAt = new Date();
+            const result = await generateForIssue({ issueKey, autoMode, ...llm, storyType }, { onProgress: generationProgress(generation._id) });
+            publishGenerationEvent(generation._id, { type: 'phase', phase: 'saving' });
+            generation.set(buildCompletionUpdate(generation, result));
             await generation.save();
-            return res.status(500).json({ success: false, error: error.message || 'Failed to generate test cases' });
-        }
-
-        // Calculate generation time
-        const generationTimeSeconds = (Date.now() - startTime) / 1000;
-
-        // Update generation document
-        generation.status = 'completed';
-        generation.completedAt = new Date();
-        generation.generationTimeSeconds = Math.round(generationTimeSeconds * 100) / 100;
-        generation.cost = cost;
-        generation.tokenUsage = tokenUsage;
-        generation.result = {
-            markdown: {
-                filename: `${issueKey}_testcases_${generation._id}.md`,
-                content: markdownContent
-            }
-        };
-        generation.currentVersion = 1;
-        generation.versions = [];
+        } catch (error) {
+            // Mark the generation failed whatever went wrong, so stale-job recovery never requeues it
+            generation.set(buildFailureUpdate(error));
+            await generation.save().catch(err => logger.error(`Failed to mark generation ${generation._id} as failed: ${err.message}`));
+            publishGenerationEvent(generation._id, { type: 'error', status: 'failed', error: error.message });
+            if (!(error instanceof GenerationError)) throw error;
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
 
-        await generation.save();
+        publishGenerationEvent(generation._id, {
+            type: 'done',
+            status: 'completed',
+            markdown: generation.result.markdown,
+            cost: generation.cost,
+            tokenUsage: generation.tokenUsage,
+            generationTimeSeconds: generation.generationTimeSeconds
+        });
 
         // Return success response
         logger.info({
@@ -268,20 +412,126 @@ ${acceptanceCriteria ? `Acceptance Criteria:\n${acceptanceCriteria}` : ''}`;
     }
 });
 
-router.get('/:id/view', requireAuth, async (req, res, next) => {
+// Run a drift check now over generations not checked recently (the drift checker job does this periodically)
+router.post('/drift-check', requireAuth, requireRole('admin'), async (req, res, next) => {
     try {
-        const gen = await Generation.findById(req.params.id)
-        if (!gen) {
-            return res.status(404).json({ success: false, error: 'Not found' });
-        }
+        const limit = Math.min(Math.max(parseInt(req.body?.limit, 10) || driftConfig.batchSize, 1), 500);
+        return res.json({ success: true, data: await runDriftCheck({ limit }) });
+    } catch (e) {
+        next(e);
+    }
+});
 
-        const isOwner = gen.email === req.user.email;
-        const isPublisAndCompleted = gen.published && gen.status === 'completed';
+// Poll the status of a generation (used for async generations)
+router.get('/:id/status', requireAuth, authorizeGeneration('read'), async (req, res, next) => {
+    try {
+        const gen = req.generation;
 
-        if (!isOwner && !isPublisAndCompleted) {
-            return res.status(404).json({ success: false, error: 'Not found' });
+        return res.json({
+            success: true,
+            data: {
+                generationId: String(gen._id),
+                issueKey: gen.issueKey,
+                status: gen.status,
+                attempts: gen.attempts || 0,
+                nextAttemptAt: gen.status === 'queued' ? gen.runAfter : undefined,
+                error: gen.error,
+                createdAt: gen.createdAt,
+                startedAt: gen.startedAt,
+                completedAt: gen.completedAt,
+                generationTimeSeconds: gen.generationTimeSeconds,
+                cost: gen.cost
+            }
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Stream generation progress as Server-Sent Events.
+// Clients create the generation with `async: true` and then open this stream.
+router.get('/:id/stream', requireAuth, authorizeGeneration('read'), async (req, res, next) => {
+    try {
+        const gen = req.generation;
+
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.setHeader('X-Accel-Buffering', 'no');
+        res.flushHeaders();
+
+        const send = (event, data) => {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+        const sendFinal = doc => {
+            if (doc.status === 'completed') {
+                send('done', {
+                    status: 'completed',
+                    markdown: doc.result?.markdown,
+                    cost: doc.cost,
+                    tokenUsage: doc.tokenUsage,
+                    generationTimeSeconds: doc.generationTimeSeconds
+                });
+            } else {
+                send('error', { status: 'failed', error: doc.error });
+            }
+        };
+
+        // Already finished: send the result and close
+        if (gen.status === 'completed' || gen.status === 'failed') {
+            sendFinal(gen);
+            return res.end();
         }
 
+        let closed = false;
+        let heartbeat;
+        let poller;
+        let unsubscribe = () => {};
+        const close = () => {
+            if (closed) return;
+            closed = true;
+            clearInterval(heartbeat);
+            clearInterval(poller);
+            unsubscribe();
+            res.end();
+        };
+
+        unsubscribe = subscribeGenerationEvents(gen._id, event => {
+            const { type, ...data } = event;
+            send(type, data);
+            if (type === 'done' || type === 'error') close();
+        });
+
+        // Catch up on progress made before the client connected
+        const snapshot = getGenerationSnapshot(gen._id);
+        send('status', { status: gen.status, phase: snapshot?.phase || null });
+        if (snapshot?.content) send('token', { delta: snapshot.content });
+
+        heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+        // The job may be running in another process: fall back to polling the database
+        poller = setInterval(async () => {
+            try {
+                const current = await Generation.findById(gen._id);
+                if (!closed && current && (current.status === 'completed' || current.status === 'failed')) {
+                    sendFinal(current);
+                    close();
+                }
+            } catch (error) {
+                logger.warn(`Stream poll failed for generation ${gen._id}: ${error.message}`);
+            }
+        }, 5000);
+
+        req.on('close', close);
+    } catch (e) {
+        next(e);
+    }
+});
+
+router.get('/:id/view', requireAuth, authorizeGeneration('read'), async (req, res, next) => {
+    try {
+        const gen = req.generation;
+
         if (gen.status !== 'completed') {
             return res.status(400).json({ success: false, error: 'Generation not completed yet' });
         }
@@ -290,11 +540,13 @@ router.get('/:id/view', requireAuth, async (req, res, next) => {
             ? gen.versions[gen.versions.length - 1]
             : null;
         const projectKey = gen.issueKey ? extractProject(gen.issueKey) : null;
+        setVersionETag(res, gen);
         return res.json({
             success: true,
             data: {
                 email: gen.email,
                 content: gen.result?.markdown?.content || '',
+                testCases: getGenerationTestCases(gen),
                 filename: gen.result?.markdown?.filename || 'output.md',
                 format: 'markdown',
                 issueKey: gen.issueKey,
@@ -303,6 +555,8 @@ router.get('/:id/view', requireAuth, async (req, res, next) => {
                 published: gen.published || false,
                 publishedAt: gen.publishedAt,
                 publishedBy: gen.publishedBy,
+                reviewStatus: getReviewStatus(gen),
+                drift: serializeDrift(gen),
                 currentVersion: gen.currentVersion || 1,
                 versions: gen.versions || [],
                 lastUpdatedBy: latestVersion?.updatedBy || gen.email,
@@ -314,61 +568,345 @@ router.get('/:id/view', requireAuth, async (req, res, next) => {
     }
 });
 
-// Update generation content (only owner can update)
-router.put('/:id/content', requireAuth, async (req, res, next) => {
+// Compare two versions of a generation ("current" can stand for the current version)
+router.get('/:id/versions/:a/diff/:b', requireAuth, authorizeGeneration('read'), async (req, res, next) => {
+    try {
+        const gen = req.generation;
+        if (gen.status !== 'completed') {
+            return res.status(400).json({ success: false, error: 'Generation not completed yet' });
+        }
+
+        const from = parseVersionParam(req.params.a, gen);
+        const to = parseVersionParam(req.params.b, gen);
+        if (!from || !to) {
+            return res.status(400).json({ success: false, error: 'Versions must be positive integers or "current"' });
+        }
+
+        const diff = diffVersions(gen, from, to);
+        if (!diff) {
+            return res.status(404).json({ success: false, error: 'Version not found' });
+        }
+
+        return res.json({ success: true, data: diff });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Restore an old version as a new current version
+router.post('/:id/versions/:v/restore', requireAuth, authorizeGeneration('update'), requireContentVersion, async (req, res, next) => {
+    try {
+        const gen = req.generation;
+        if (gen.status !== 'completed') {
+            return res.status(400).json({ success: false, error: 'Can only update completed generations' });
+        }
+
+        const version = parseVersionParam(req.params.v, gen);
+        if (!version) {
+            return res.status(400).json({ success: false, error: 'Version must be a positive integer' });
+        }
+        if (version === (gen.currentVersion || 1)) {
+            return res.status(400).json({ success: false, error: `Version ${version} is already the current version` });
+        }
+
+        const { restored, error } = restoreVersion(gen, version, req.user.email);
+        if (error) {
+            return res.status(404).json({ success: false, error });
+        }
+        if (restored && !await saveContentEdit(req, res)) return;
+
+        return res.json({
+            success: true,
+            data: {
+                restored,
+                restoredFrom: version,
+                content: gen.result.markdown.content,
+                testCases: getGenerationTestCases(gen),
+                currentVersion: gen.currentVersion || 1
+            }
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Update generation content (owner, or a lead of the generation's project)
+router.put('/:id/content', requireAuth, authorizeGeneration('update'), requireContentVersion, async (req, res, next) => {
     try {
         const { content } = req.body;
         if (typeof content !== 'string') {
             return res.status(400).json({ success: false, error: 'content must be a string' });
         }
 
-        const gen = await Generation.findById(req.params.id);
-        if (!gen || gen.email !== req.user.email) {
-            return res.status(404).json({ success: false, error: 'Not found' });
+        const gen = req.generation;
+
+        if (gen.status !== 'completed') {
+            return res.status(400).json({ success: false, error: 'Can only update completed generations' });
         }
 
+        applyContentUpdate(gen, { content }, req.user.email);
+
+        if (!await saveContentEdit(req, res)) return;
+
+        return res.json({
+            success: true,
+            data: {
+                content: gen.result.markdown.content,
+                currentVersion: gen.currentVersion || 1
+            }
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+/*
+* Run a refinement of req.generation (the model revises its test cases following `instructions`) and save the
+* result as a new version. `prepare(gen, result)` can adjust the document before it is saved.
+* The call's spend is recorded as a `kind` spend record ('refinement' or 'regeneration').
+* Responds with the refined content, or with an error.
+*/
+async function runRefinement(req, res, { kind = 'refinement', instructions, notes, provider, model, overrideQuota = false, prepare }) {
+    const gen = req.generation;
+
+    // LLM selection: request > the model that produced the generation > project setting > default
+    const llm = provider || !gen.provider
+        ? resolveProviderSelection({ provider, model }, req.project)
+        : { provider: gen.provider, model: model || gen.model || undefined };
+    if (!isModelAllowed(llm.provider, llm.model)) {
+        return res.status(400).json({ success: false, error: `Model ${llm.model} is not available for LLM provider ${llm.provider}` });
+    }
+    const autoMode = gen.mode === 'auto';
+    const refine = { testCases: getGenerationTestCases(gen), instructions };
+    // Keep the categories the generation was written with
+    const storyType = gen.classification?.storyType;
+
+    const estimate = await estimateGenerationCost({ issueKey: gen.issueKey, autoMode, ...llm, refine, storyType });
+    const quota = await enforceQuota(req, res, {
+        project: req.project,
+        estimatedCost: estimate?.cost || 0,
+        overrideQuota,
+        generations: 0,
+        label: `refinement of ${gen.issueKey}`
+    });
+    if (!quota) return;
+
+    let result;
+    try {
+        result = await generateForIssue({ issueKey: gen.issueKey, autoMode, ...llm, refine, storyType });
+    } catch (error) {
+        if (!(error instanceof GenerationError)) throw error;
+        logger.warn(`Refinement of generation ${gen._id} failed: ${error.message}`);
+        return res.status(error.status).json({ success: false, error: error.message });
+    }
+
+    // The model call is billed to the caller in the month it was made, even when its result is not saved
+    let saved;
+    try {
+        applyContentUpdate(gen, { testCases: result.testCases }, req.user.email, { notes });
+        if (prepare) prepare(gen, result);
+        saved = await saveContentEdit(req, res);
+    } finally {
+        await recordSpend({ kind, email: req.user.email, project: req.project, generation: gen, result });
+    }
+    if (!saved) return;
+
+    return res.json({
+        success: true,
+        data: {
+            content: gen.result.markdown.content,
+            testCases: getGenerationTestCases(gen),
+            currentVersion: gen.currentVersion || 1,
+            provider: result.provider,
+            model: result.model,
+            cost: result.cost,
+            tokenUsage: result.tokenUsage,
+            drift: serializeDrift(gen)
+        }
+    });
+}
+
+// Refine generation - revise the test cases with reviewer instructions; the result becomes a new version
+router.post('/:id/refine', requireAuth, authorizeGeneration('update'), requireContentVersion, async (req, res, next) => {
+    try {
+        const { instructions, provider, model, overrideQuota = false } = req.body;
+        if (typeof instructions !== 'string' || !instructions.trim()) {
+            return res.status(400).json({ success: false, error: 'instructions is required' });
+        }
+        if (instructions.length > MAX_REFINE_INSTRUCTIONS) {
+            return res.status(400).json({ success: false, error: `instructions must be at most ${MAX_REFINE_INSTRUCTIONS} characters` });
+        }
+        if (provider !== undefined && !isProviderAllowed(provider)) {
+            return res.status(400).json({ success: false, error: `Unknown LLM provider: ${provider}` });
+        }
+        if (req.generation.status !== 'completed') {
+            return res.status(400).json({ success: false, error: 'Can only refine completed generations' });
+        }
+
+        return await runRefinement(req, res, {
+            instructions: instructions.trim(),
+            notes: `Refined: ${instructions.trim()}`,
+            provider,
+            model,
+            overrideQuota
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Re-check the JIRA issue of a generation for requirement changes since it was generated
+router.post('/:id/drift-check', requireAuth, authorizeGeneration('read'), async (req, res, next) => {
+    try {
+        if (req.generation.status !== 'completed') {
+            return res.status(400).json({ success: false, error: 'Generation not completed yet' });
+        }
+        return res.json({ success: true, data: await checkGenerationDrift(req.generation) });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Regenerate a stale generation for its changed requirements only; the result becomes a new version
+router.post('/:id/regenerate-changes', requireAuth, authorizeGeneration('update'), requireContentVersion, async (req, res, next) => {
+    try {
+        const { provider, model, overrideQuota = false } = req.body || {};
+        if (provider !== undefined && !isProviderAllowed(provider)) {
+            return res.status(400).json({ success: false, error: `Unknown LLM provider: ${provider}` });
+        }
+        const gen = req.generation;
+        if (gen.status !== 'completed') {
+            return res.status(400).json({ success: false, error: 'Generation not completed yet' });
+        }
+        if (!gen.drift?.stale || !gen.drift.changes?.length) {
+            return res.status(400).json({ success: false, error: 'The requirements of this generation have not changed' });
+        }
+
+        const changes = gen.drift.changes.map(({ field, before, after }) => ({ field, before, after }));
+        return await runRefinement(req, res, {
+            kind: 'regeneration',
+            instructions: buildDriftInstructions(changes, { maxLength: MAX_REFINE_INSTRUCTIONS }),
+            notes: `Regenerated for changed requirements: ${changes.map(c => c.field).join(', ')}`,
+            provider,
+            model,
+            overrideQuota,
+            // The new version is written against the current issue: it becomes the baseline for drift checks
+            prepare: (doc, result) => {
+                doc.contextSnapshot = result.contextSnapshot;
+                doc.drift = { stale: false, checkedAt: new Date(), changes: [] };
+            }
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// List the structured test cases of a generation
+router.get('/:id/testcases', requireAuth, authorizeGeneration('read'), async (req, res, next) => {
+    try {
+        const gen = req.generation;
+        if (gen.status !== 'completed') {
+            return res.status(400).json({ success: false, error: 'Generation not completed yet' });
+        }
+
+        setVersionETag(res, gen);
+        return res.json({
+            success: true,
+            data: {
+                testCases: getGenerationTestCases(gen),
+                currentVersion: gen.currentVersion || 1
+            }
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Add a test case
+router.post('/:id/testcases', requireAuth, authorizeGeneration('update'), requireContentVersion, async (req, res, next) => {
+    try {
+        const gen = req.generation;
         if (gen.status !== 'completed') {
             return res.status(400).json({ success: false, error: 'Can only update completed generations' });
         }
 
-        // Track version: save current content as a version before updating
-        const currentContent = gen.result?.markdown?.content || '';
-        if (currentContent && currentContent !== content) {
-            // Initialize versions array if needed
-            if (!gen.versions) gen.versions = [];
+        const testCases = getGenerationTestCases(gen);
+        const { value, error } = normalizeTestCase(req.body, { id: nextTestCaseId(testCases) });
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
 
-            // Get the current version number (defaults to 1 if not set)
-            const currentVersionNum = gen.currentVersion || 1;
+        testCases.push(value);
+        applyContentUpdate(gen, { testCases }, req.user.email);
+        if (!await saveContentEdit(req, res)) return;
 
-            // Save the current content as a version (only if we haven't already saved this version)
-            const versionExists = gen.versions.some(v => v.version === currentVersionNum);
-            if (!versionExists) {
-                gen.versions.push({
-                    version: currentVersionNum,
-                    content: currentContent,
-                    updatedAt: new Date(),
-                    updatedBy: req.user.email
-                });
-                logger.info(`Saved version ${currentVersionNum} to versions array for generation ${req.params.id}`);
+        return res.status(201).json({
+            success: true,
+            data: {
+                testCase: value,
+                currentVersion: gen.currentVersion || 1
             }
+        });
+    } catch (e) {
+        next(e);
+    }
+});
 
-            // Increment version for the new content
-            gen.currentVersion = currentVersionNum + 1;
+// Update a test case (fields not sent are kept)
+router.put('/:id/testcases/:testCaseId', requireAuth, authorizeGeneration('update'), requireContentVersion, async (req, res, next) => {
+    try {
+        const gen = req.generation;
+        if (gen.status !== 'completed') {
+            return res.status(400).json({ success: false, error: 'Can only update completed generations' });
+        }
 
-            logger.info(`Updating generation ${req.params.id} to version ${gen.currentVersion}`);
+        const testCases = getGenerationTestCases(gen);
+        const index = testCases.findIndex(tc => tc.id === req.params.testCaseId);
+        if (index === -1) {
+            return res.status(404).json({ success: false, error: 'Test case not found' });
         }
 
-        // Update the markdown content
-        if (!gen.result) gen.result = {};
-        if (!gen.result.markdown) gen.result.markdown = {};
-        gen.result.markdown.content = content;
+        const { value, error } = normalizeTestCase({ ...testCases[index], ...req.body }, { id: testCases[index].id });
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
 
-        await gen.save();
+        testCases[index] = value;
+        applyContentUpdate(gen, { testCases }, req.user.email);
+        if (!await saveContentEdit(req, res)) return;
+
+        return res.json({
+            success: true,
+            data: {
+                testCase: value,
+                currentVersion: gen.currentVersion || 1
+            }
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Delete a test case
+router.delete('/:id/testcases/:testCaseId', requireAuth, authorizeGeneration('update'), requireContentVersion, async (req, res, next) => {
+    try {
+        const gen = req.generation;
+        if (gen.status !== 'completed') {
+            return res.status(400).json({ success: false, error: 'Can only update completed generations' });
+        }
+
+        const testCases = getGenerationTestCases(gen);
+        const remaining = testCases.filter(tc => tc.id !== req.params.testCaseId);
+        if (remaining.length === testCases.length) {
+            return res.status(404).json({ success: false, error: 'Test case not found' });
+        }
+
+        applyContentUpdate(gen, { testCases: remaining }, req.user.email);
+        if (!await saveContentEdit(req, res)) return;
 
         return res.json({
             success: true,
             data: {
-                content: gen.result.markdown.content,
                 currentVersion: gen.currentVersion || 1
             }
         });
@@ -378,32 +916,25 @@ router.put('/:id/content', requireAuth, async (req, res, next) => {
 });
 
 // Publish/Unpublish generation
-router.put('/:id/publish', requireAuth, async (req, res, next) => {
+router.put('/:id/publish', requireAuth, authorizeGeneration('publish'), async (req, res, next) => {
     try {
         const { published } = req.body;
         if (typeof published !== 'boolean') {
             return res.status(400).json({ success: false, error: 'published must be a boolean' });
         }
 
-        const gen = await Generation.findById(req.params.id);
-        if (!gen || gen.email !== req.user.email) {
-            return res.status(404).json({ success: false, error: 'Not found' });
-        }
+        const gen = req.generation;
 
         if (gen.status !== 'completed') {
             return res.status(400).json({ success: false, error: 'Can only publish completed generations' });
         }
 
-        gen.published = published;
-        if (published) {
-            gen.publishedAt = new Date();
-            gen.publishedBy = req.user.email;
-            logger.info(`Generation ${req.params.id} published by ${req.user.email}`);
-        } else {
-            gen.publishedAt = undefined;
-            gen.publishedBy = undefined;
-            logger.info(`Generation ${req.params.id} unpublished by ${req.user.email}`);
+        // Only approved generations can be published (see services/reviewService.js)
+        const { error, status } = applyReviewAction(gen, published ? 'publish' : 'unpublish', req.user.email);
+        if (error) {
+            return res.status(status).json({ success: false, error, review: serializeReview(gen) });
         }
+        logger.info(`Generation ${req.params.id} ${published ? 'published' : 'unpublished'} by ${req.user.email}`);
 
         await gen.save();
 
@@ -412,7 +943,8 @@ router.put('/:id/publish', requireAuth, async (req, res, next) => {
             data: {
                 published: gen.published,
                 publishedAt: gen.publishedAt,
-                publishedBy: gen.publishedBy
+                publishedBy: gen.publishedBy,
+                reviewStatus: getReviewStatus(gen)
             }
         });
     } catch (e) {
@@ -420,20 +952,197 @@ router.put('/:id/publish', requireAuth, async (req, res, next) => {
     }
 });
 
-router.get('/:id/download', requireAuth, async (req, res, next) => {
+// Get review state - status, reviewers, anchored comments and history
+router.get('/:id/review', requireAuth, authorizeGeneration('read'), async (req, res, next) => {
     try {
-        const gen = await Generation.findById(req.params.id);
-        if (!gen) {
-            return res.status(404).json({ success: false, error: 'Not found' });
+        return res.json({ success: true, data: serializeReview(req.generation) });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Assign reviewers (replaces the list); reviewers must be users allowed to edit generations in the project
+router.put('/:id/review/reviewers', requireAuth, authorizeGeneration('update'), async (req, res, next) => {
+    try {
+        const gen = req.generation;
+        const { reviewers } = req.body;
+
+        const { value, error } = setReviewers(gen, reviewers, req.user.email);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const users = await User.find({ email: { $in: value.map(r => r.email) } }).select('email role');
+        for (const reviewer of value) {
+            const user = users.find(u => u.email === reviewer.email);
+            if (!user) {
+                return res.status(400).json({ success: false, error: `User not found: ${reviewer.email}` });
+            }
+            if (!roleAllows(getProjectRole(user, req.project), 'update')) {
+                return res.status(400).json({ success: false, error: `${reviewer.email} is not allowed to review generations` });
+            }
         }
 
-        const isOwner = gen.email === req.user.email;
-        const isPublishedAndCompleted = gen.published && gen.status === 'completed';
+        await gen.save();
+        logger.info(`Reviewers of generation ${gen._id} set by ${req.user.email}: ${value.map(r => r.email).join(', ')}`);
+
+        return res.json({ success: true, data: serializeReview(gen) });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Add a comment on a test case (assigned reviewers and editors of the generation)
+router.post('/:id/review/comments', requireAuth, authorizeGeneration('read'), async (req, res, next) => {
+    try {
+        const gen = req.generation;
+        if (!canComment(req, gen)) {
+            return res.status(403).json({ success: false, error: 'Only reviewers and editors can comment on this generation' });
+        }
+
+        const { value, error } = addReviewComment(gen, req.body || {}, req.user.email);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        await gen.save();
+
+        return res.status(201).json({ success: true, data: { comment: value } });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Resolve or reopen a comment
+router.put('/:id/review/comments/:commentId', requireAuth, authorizeGeneration('read'), async (req, res, next) => {
+    try {
+        const gen = req.generation;
+        if (!canComment(req, gen)) {
+            return res.status(403).json({ success: false, error: 'Only reviewers and editors can update comments on this generation' });
+        }
+
+        const { resolved } = req.body || {};
+        if (typeof resolved !== 'boolean') {
+            return res.status(400).json({ success: false, error: 'resolved must be a boolean' });
+        }
+
+        const comment = setCommentResolved(gen, req.params.commentId, resolved, req.user.email);
+        if (!comment) {
+            return res.status(404).json({ success: false, error: 'Comment not found' });
+        }
+        await gen.save();
+
+        return res.json({ success: true, data: { comment } });
+    } catch (e) {
+        next(e);
+    }
+});
 
-        if (!isOwner && !isPublishedAndCompleted) {
+// Review actions - submit and withdraw (editors), approve and request changes (assigned reviewers)
+router.post('/:id/review/:action', requireAuth, authorizeGeneration('read'), async (req, res, next) => {
+    try {
+        const action = REVIEW_ROUTE_ACTIONS[req.params.action];
+        if (!action) {
             return res.status(404).json({ success: false, error: 'Not found' });
         }
 
+        const gen = req.generation;
+        if (gen.status !== 'completed') {
+            return res.status(400).json({ success: false, error: 'Can only review completed generations' });
+        }
+        if (['submit', 'withdraw'].includes(action) && !canAccessGeneration(req.user, gen, req.project, 'update')) {
+            return res.status(403).json({ success: false, error: `You are not allowed to ${action} this generation` });
+        }
+
+        const { notes } = req.body || {};
+        if (notes !== undefined && typeof notes !== 'string') {
+            return res.status(400).json({ success: false, error: 'notes must be a string' });
+        }
+
+        const { error, status } = applyReviewAction(gen, action, req.user.email, {
+            notes: notes?.trim(),
+            isAdmin: req.user.role === 'admin'
+        });
+        if (error) {
+            return res.status(status).json({ success: false, error });
+        }
+
+        await gen.save();
+        logger.info(`Generation ${gen._id} review: ${action} by ${req.user.email} (now ${gen.review.status})`);
+
+        return res.json({ success: true, data: serializeReview(gen) });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Push generated test cases to JIRA (comment, markdown or PDF attachment and/or one issue per test case)
+router.post('/:id/push-to-jira', requireAuth, authorizeGeneration('publish'), async (req, res, next) => {
+    try {
+        const {
+            comment = true,
+            attachment = true,
+            attachmentFormat = 'md',
+            issues = false,
+            issueType = 'Sub-task',
+            linkType = 'Relates',
+            force = false
+        } = req.body || {};
+
+        const gen = req.generation;
+        if (gen.status !== 'completed') {
+            return res.status(400).json({ success: false, error: 'Can only push completed generations' });
+        }
+        if (!comment && !attachment && !issues) {
+            return res.status(400).json({ success: false, error: 'Nothing to push: enable comment, attachment or issues' });
+        }
+        if (!ATTACHMENT_FORMATS.includes(attachmentFormat)) {
+            return res.status(400).json({ success: false, error: `attachmentFormat must be one of: ${ATTACHMENT_FORMATS.join(', ')}` });
+        }
+        // Checked up front: a bad value would only fail in JIRA after the comment and attachment were written
+        for (const [field, value] of Object.entries({ issueType, linkType })) {
+            if (typeof value !== 'string' || !value.trim()) {
+                return res.status(400).json({ success: false, error: `${field} must be a non-empty string` });
+            }
+        }
+        // Like publishing, pushing to JIRA needs the current version approved (see services/reviewService.js)
+        const unapproved = checkCurrentVersionApproved(gen);
+        if (unapproved.error) {
+            return res.status(unapproved.status).json({ success: false, error: unapproved.error, review: serializeReview(gen) });
+        }
+
+        const summary = await pushGenerationToJira(gen, {
+            comment: Boolean(comment),
+            attachment: Boolean(attachment),
+            attachmentFormat,
+            project: req.project,
+            issues: Boolean(issues),
+            issueType: issueType.trim(),
+            linkType: linkType.trim(),
+            force: Boolean(force),
+            userEmail: req.user.email
+        });
+        await gen.save();
+
+        const pushedSomething = summary.comment || summary.attachment || summary.issues.length > 0;
+        const status = !pushedSomething && summary.errors.length > 0 ? 502 : 200;
+
+        return res.status(status).json({
+            success: status === 200,
+            data: {
+                ...summary,
+                jiraTickets: gen.jiraTickets,
+                pdfAttachments: gen.pdfAttachments
+            }
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+router.get('/:id/download', requireAuth, authorizeGeneration('read'), async (req, res, next) => {
+    try {
+        const gen = req.generation;
+
         if (gen.status !== 'completed') {
             return res.status(400).json({ success: false, error: 'Not completed' });
         }
@@ -475,7 +1184,8 @@ router.get('/:id/download', requireAuth, async (req, res, next) => {
         }
 
         if (format === 'pdf') {
-            buffer = gen.result?.pdf?.buffer; // hoặc generatePdfBuffer(gen)
+            buffer = await generatePdfBuffer(gen, { project: req.project });
+            filename = pdfFilename(gen);
         }
 
         if (!buffer) {
@@ -498,18 +1208,10 @@ router.get('/:id/download', requireAuth, async (req, res, next) => {
     }
 });
 
-// Delete generation (only owner can delete)
-router.delete('/:id', requireAuth, async (req, res, next) => {
+// Delete generation (owner, or a lead of the generation's project)
+router.delete('/:id', requireAuth, authorizeGeneration('delete'), async (req, res, next) => {
     try {
-        const gen = await Generation.findById(req.params.id);
-        if (!gen) {
-            return res.status(404).json({ success: false, error: 'Generation not found' });
-        }
-
-        // Only the owner can delete their generation
-        if (gen.email !== req.user.email) {
-            return res.status(403).json({ success: false, error: 'You can only delete your own generations' });
-        }
+        const gen = req.generation;
 
         // Check if it's published - warn but allow deletion
         if (gen.published) {
@@ -518,6 +1220,9 @@ router.delete('/:id', requireAuth, async (req, res, next) => {
 
         // Delete the generation
         await Generation.findByIdAndDelete(req.params.id);
+        if (gen.project) {
+            await updateProjectStats(gen.project, -1);
+        }
 
         logger.info(`Generation ${req.params.id} deleted by ${req.user.email}`);
         return res.json({ success: true, message: 'Generation deleted successfully' });
@@ -546,16 +1251,26 @@ router.get('/', requireAuth, async (req, res, next) => {
         } else if (filterType === 'published') {
             // Only published generations
             filter = { published: true, status: 'completed' };
+        } else if (await loadUserRole(req) === 'admin') {
+            // Admins see everything
+            filter = {};
         } else {
-            // Default: user's own OR published ones from all users
+            // Default: user's own OR published ones from all users OR anything in the user's projects
+            const memberProjectIds = await getMemberProjectIds(req.user.email);
             filter = {
                 $or: [
                     { email: req.user.email },
-                    { published: true, status: 'completed' }
+                    { published: true, status: 'completed' },
+                    { project: { $in: memberProjectIds } }
                 ]
             };
         }
 
+        // Only generations whose JIRA requirements changed since they were generated
+        if (req.query.stale === 'true') {
+            filter = { $and: [filter, { 'drift.stale': true }] };
+        }
+
         // Fetch generations with pagination
         const [generations, total] = await Promise.all([
             Generation.find(filter)
@@ -0,0 +1,459 @@
+import { Router } from "express";
+import Project from "../models/Project.js";
+import Generation from "../models/Generation.js";
+import { requireAuth } from "../middleware/auth.js";
+import {
+    authorizeProject,
+    requireRole,
+    loadUserRole,
+    getMemberProjectIds,
+    isProjectMember
+} from "../middleware/authorize.js";
+import { logger } from "../utils/logger.js";
+import { getJiraService, resolveFieldMapping } from "../services/generationService.js";
+import { getQuotaStatus, parseQuotaUpdate } from "../services/quotaService.js";
+import { getProjectStats, statsFor, serializeProject, parseLlmSettings } from "../services/projectService.js";
+import { parseTriggerRules } from "../services/webhookService.js";
+
+const router = Router();
+
+const MEMBER_ROLES = Project.schema.path('members').schema.path('role').enumValues;
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_GLOSSARY_ENTRIES = 200;
+
+function parsePagination(query) {
+    const page = Math.max(1, parseInt(query.page || '1', 10));
+    const limit = Math.min(50, Math.max(1, parseInt(query.limit || '10', 10)));
+    return { page, limit, skip: (page - 1) * limit };
+}
+
+// Get /projects - projects visible to the caller, with generation stats
+// Admins see every project; others the projects they are a member of or generated in
+router.get('/', requireAuth, async (req, res, next) => {
+    try {
+        const { page, limit, skip } = parsePagination(req.query);
+
+        let filter = {};
+        if (await loadUserRole(req) !== 'admin') {
+            const [memberProjectIds, generatedProjectIds] = await Promise.all([
+                getMemberProjectIds(req.user.email),
+                Generation.distinct('project', { email: req.user.email, project: { $ne: null } })
+            ]);
+            filter = { _id: { $in: [...memberProjectIds, ...generatedProjectIds] } };
+        }
+        if (typeof req.query.search === 'string' && req.query.search.trim()) {
+            const pattern = new RegExp(req.query.search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+            filter.$or = [{ projectKey: pattern }, { name: pattern }];
+        }
+
+        const [projects, total] = await Promise.all([
+            Project.find(filter)
+                .sort({ lastGeneratedAt: -1, projectKey: 1 })
+                .skip(skip)
+                .limit(limit),
+            Project.countDocuments(filter)
+        ]);
+        const stats = await getProjectStats(projects.map(project => project._id));
+
+        return res.json({
+            success: true,
+            data: {
+                projects: projects.map(project => serializeProject(project, statsFor(stats, project))),
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Get /projects/:projectKey - project detail with settings and stats
+router.get('/:projectKey', requireAuth, authorizeProject('read'), async (req, res, next) => {
+    try {
+        const project = req.project;
+        const stats = await getProjectStats([project._id]);
+
+        return res.json({
+            success: true,
+            data: {
+                ...serializeProject(project, statsFor(stats, project)),
+                members: project.members || [],
+                settings: {
+                    llm: project.llm || {},
+                    jiraFields: project.jiraFields || {},
+                    glossary: project.glossary || [],
+                    quota: project.quota || {}
+                }
+            }
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Put /projects/:projectKey - update name, description and glossary (LLM settings: PUT /projects/:projectKey/llm)
+router.put('/:projectKey', requireAuth, authorizeProject('manageSettings'), async (req, res, next) => {
+    try {
+        const { name, description, glossary, llm } = req.body || {};
+        const project = req.project;
+
+        if (llm !== undefined) {
+            return res.status(400).json({ success: false, error: `Set the LLM settings with PUT /projects/${project.projectKey}/llm` });
+        }
+
+        for (const [field, value, max] of [['name', name, MAX_NAME_LENGTH], ['description', description, MAX_DESCRIPTION_LENGTH]]) {
+            if (value === undefined) continue;
+            if (value !== null && typeof value !== 'string') {
+                return res.status(400).json({ success: false, error: `${field} must be a string or null` });
+            }
+            if (value && value.length > max) {
+                return res.status(400).json({ success: false, error: `${field} must be at most ${max} characters` });
+            }
+            project[field] = value ? value.trim() : null;
+        }
+
+        if (glossary !== undefined) {
+            const valid = Array.isArray(glossary) && glossary.length <= MAX_GLOSSARY_ENTRIES && glossary.every(entry =>
+                entry && typeof entry.term === 'string' && entry.term.trim() &&
+                typeof entry.definition === 'string' && entry.definition.trim());
+            if (!valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: `glossary must be an array of at most ${MAX_GLOSSARY_ENTRIES} { term, definition } entries`
+                });
+            }
+            project.glossary = glossary.map(({ term, definition }) => ({ term, definition }));
+        }
+
+        await project.save();
+        logger.info(`Project ${project.projectKey} updated by ${req.user.email}`);
+
+        const stats = await getProjectStats([project._id]);
+        return res.json({ success: true, data: serializeProject(project, statsFor(stats, project)) });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Get /projects/:projectKey/generations - the project's generations, newest first (?status=, page, limit)
+// Members see all of them; others only their own and published ones
+router.get('/:projectKey/generations', requireAuth, authorizeProject('read'), async (req, res, next) => {
+    try {
+        const { page, limit, skip } = parsePagination(req.query);
+
+        const filter = { project: req.project._id };
+        if (req.query.status) filter.status = String(req.query.status);
+        if (!isProjectMember(req.user, req.project)) {
+            filter.$or = [
+                { email: req.user.email },
+                { published: true, status: 'completed' }
+            ];
+        }
+
+        const [generations, total] = await Promise.all([
+            Generation.find(filter)
+                .select('-result -versions')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            Generation.countDocuments(filter)
+        ]);
+
+        return res.json({
+            success: true,
+            data: {
+                projectKey: req.project.projectKey,
+                generations,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Get /projects/:projectKey/members - list project memberships
+router.get('/:projectKey/members', requireAuth, authorizeProject('read'), async (req, res, next) => {
+    try {
+        return res.json({
+            success: true,
+            data: {
+                projectKey: req.project.projectKey,
+                members: req.project.members || []
+            }
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Put /projects/:projectKey/members - add a member or change their project role
+router.put('/:projectKey/members', requireAuth, authorizeProject('manageMembers'), async (req, res, next) => {
+    try {
+        const { email, role } = req.body || {};
+        if (!email || !MEMBER_ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                error: `email and role (${MEMBER_ROLES.join(', ')}) are required`
+            });
+        }
+
+        const project = req.project;
+        const normalizedEmail = String(email).trim().toLowerCase();
+        const existing = project.members.find(m => m.email === normalizedEmail);
+        if (existing) {
+            existing.role = role;
+        } else {
+            project.members.push({ email: normalizedEmail, role, addedBy: req.user.email });
+        }
+        await project.save();
+
+        logger.info(`Project ${project.projectKey}: ${normalizedEmail} set to ${role} by ${req.user.email}`);
+        return res.json({
+            success: true,
+            data: {
+                projectKey: project.projectKey,
+                members: project.members
+            }
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Delete /projects/:projectKey/members/:email - remove a member
+router.delete('/:projectKey/members/:email', requireAuth, authorizeProject('manageMembers'), async (req, res, next) => {
+    try {
+        const project = req.project;
+        const normalizedEmail = req.params.email.trim().toLowerCase();
+        const before = project.members.length;
+        project.members = project.members.filter(m => m.email !== normalizedEmail);
+
+        if (project.members.length === before) {
+            return res.status(404).json({ success: false, error: 'Member not found' });
+        }
+        await project.save();
+
+        logger.info(`Project ${project.projectKey}: ${normalizedEmail} removed by ${req.user.email}`);
+        return res.json({
+            success: true,
+            data: {
+                projectKey: project.projectKey,
+                members: project.members
+            }
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Get /projects/:projectKey/jira-fields - JIRA fields available for mapping
+router.get('/:projectKey/jira-fields', requireAuth, authorizeProject('manageSettings'), async (req, res, next) => {
+    try {
+        const jira = getJiraService();
+        const result = await jira.getFields();
+        if (!result.success) {
+            return res.status(502).json({ success: false, error: result.error });
+        }
+
+        const search = typeof req.query.search === 'string' ? req.query.search.toLowerCase() : '';
+        const fields = result.fields
+            .filter(field => !search || field.name?.toLowerCase().includes(search) || field.id.toLowerCase().includes(search))
+            .map(field => ({
+                id: field.id,
+                name: field.name,
+                custom: Boolean(field.custom),
+                type: field.schema?.type || null,
+                customType: field.schema?.custom || null
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        return res.json({ success: true, data: { fields } });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Get /projects/:projectKey/field-mapping - configured and effective JIRA field mapping
+router.get('/:projectKey/field-mapping', requireAuth, authorizeProject('read'), async (req, res, next) => {
+    try {
+        return res.json({
+            success: true,
+            data: {
+                projectKey: req.project.projectKey,
+                configured: req.project.jiraFields || {},
+                effective: resolveFieldMapping(req.project)
+            }
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Put /projects/:projectKey/field-mapping - choose which JIRA fields feed the prompt
+router.put('/:projectKey/field-mapping', requireAuth, authorizeProject('manageSettings'), async (req, res, next) => {
+    try {
+        const { acceptanceCriteria, storyPoints, components, extraContext } = req.body || {};
+
+        if (acceptanceCriteria !== undefined && (!Array.isArray(acceptanceCriteria) || acceptanceCriteria.some(id => typeof id !== 'string'))) {
+            return res.status(400).json({ success: false, error: 'acceptanceCriteria must be an array of field ids' });
+        }
+        if (extraContext !== undefined && (!Array.isArray(extraContext) || extraContext.some(f => !f || typeof f.fieldId !== 'string'))) {
+            return res.status(400).json({ success: false, error: 'extraContext must be an array of { fieldId, label }' });
+        }
+        for (const [name, value] of Object.entries({ storyPoints, components })) {
+            if (value !== undefined && value !== null && typeof value !== 'string') {
+                return res.status(400).json({ success: false, error: `${name} must be a field id or null` });
+            }
+        }
+
+        const mapping = {
+            acceptanceCriteria: acceptanceCriteria ?? req.project.jiraFields?.acceptanceCriteria,
+            storyPoints: storyPoints === undefined ? req.project.jiraFields?.storyPoints : storyPoints || undefined,
+            components: components === undefined ? req.project.jiraFields?.components : components || undefined,
+            extraContext: extraContext
+                ? extraContext.map(({ fieldId, label }) => ({ fieldId, label }))
+                : req.project.jiraFields?.extraContext
+        };
+
+        // Reject field ids JIRA doesn't know about
+        const jira = getJiraService();
+        const available = await jira.getFields();
+        if (available.success) {
+            const known = new Set(available.fields.map(field => field.id));
+            const requested = [
+                ...(mapping.acceptanceCriteria || []),
+                mapping.storyPoints,
+                mapping.components,
+                ...(mapping.extraContext || []).map(f => f.fieldId)
+            ].filter(Boolean);
+            const unknown = requested.filter(id => !known.has(id));
+            if (unknown.length > 0) {
+                return res.status(400).json({ success: false, error: `Unknown JIRA field(s): ${unknown.join(', ')}` });
+            }
+        } else {
+            logger.warn(`Could not validate JIRA fields for ${req.project.projectKey}: ${available.error}`);
+        }
+
+        req.project.jiraFields = mapping;
+        await req.project.save();
+
+        logger.info(`Project ${req.project.projectKey}: JIRA field mapping updated by ${req.user.email}`);
+        return res.json({
+            success: true,
+            data: {
+                projectKey: req.project.projectKey,
+                configured: req.project.jiraFields,
+                effective: resolveFieldMapping(req.project)
+            }
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Put /projects/:projectKey/llm - default LLM provider/model for the project (null provider resets)
+router.put('/:projectKey/llm', requireAuth, authorizeProject('manageSettings'), async (req, res, next) => {
+    try {
+        const { provider } = req.body || {};
+        const { value, error } = parseLlmSettings(req.body || {});
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        req.project.llm = value;
+        await req.project.save();
+
+        logger.info(`Project ${req.project.projectKey}: LLM set to ${provider || 'default'} by ${req.user.email}`);
+        return res.json({
+            success: true,
+            data: {
+                projectKey: req.project.projectKey,
+                llm: req.project.llm
+            }
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Get /projects/:projectKey/webhook-triggers - rules that start a generation from JIRA webhook events
+router.get('/:projectKey/webhook-triggers', requireAuth, authorizeProject('read'), async (req, res, next) => {
+    try {
+        return res.json({
+            success: true,
+            data: {
+                projectKey: req.project.projectKey,
+                triggers: req.project.webhookTriggers || []
+            }
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Put /projects/:projectKey/webhook-triggers - replace the trigger rules
+router.put('/:projectKey/webhook-triggers', requireAuth, authorizeProject('manageSettings'), async (req, res, next) => {
+    try {
+        const { value, error } = parseTriggerRules(req.body?.triggers);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        req.project.webhookTriggers = value;
+        await req.project.save();
+
+        logger.info(`Project ${req.project.projectKey}: ${value.length} webhook trigger(s) set by ${req.user.email}`);
+        return res.json({
+            success: true,
+            data: {
+                projectKey: req.project.projectKey,
+                triggers: req.project.webhookTriggers
+            }
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Get /projects/:projectKey/quota - the project's monthly usage against its quota
+router.get('/:projectKey/quota', requireAuth, authorizeProject('read'), async (req, res, next) => {
+    try {
+        const { period, project } = await getQuotaStatus({ email: req.user.email, project: req.project });
+        return res.json({ success: true, data: { period, ...project } });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Put /projects/:projectKey/quota - set the project's monthly limits; null resets a limit to the default (admin only)
+router.put('/:projectKey/quota', requireAuth, requireRole('admin'), authorizeProject('manageSettings'), async (req, res, next) => {
+    try {
+        const { value: update, error } = parseQuotaUpdate(req.body || {});
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const project = await Project.findByIdAndUpdate(req.project._id, update, { new: true });
+        logger.info(`Project ${project.projectKey} quota updated by ${req.user.email}`);
+
+        const { period, project: status } = await getQuotaStatus({ email: req.user.email, project });
+        return res.json({ success: true, data: { period, ...status } });
+    } catch (e) {
+        next(e);
+    }
+});
+
+export default router;
@@ -0,0 +1,399 @@
+import { Router } from "express";
+import mongoose from "mongoose";
+import PromptTemplate from "../models/PromptTemplate.js";
+import Project from "../models/Project.js";
+import { requireAuth } from "../middleware/auth.js";
+import { loadUserRole, canPerformProjectAction, canReadProject } from "../middleware/authorize.js";
+import { logger } from "../utils/logger.js";
+import { contextConfig } from "../config/index.js";
+import { isProviderAllowed, resolveProviderSelection, getLLMProvider } from "../services/llm/index.js";
+import { getJiraService, jiraErrorStatus, buildIssuePrompt, findProjectForIssue } from "../services/generationService.js";
+import {
+    TEMPLATE_VARIABLES,
+    getBuiltinTemplate,
+    templateContent,
+    validateTemplate,
+    buildPromptVariables
+} from "../services/promptTemplateService.js";
+
+const router = Router();
+
+const MODES = PromptTemplate.schema.path('mode').enumValues;
+
+// Template as listed (without the version history)
+function serializeTemplate(template, projectKey = null) {
+    return {
+        id: template._id,
+        name: template.name,
+        description: template.description,
+        scope: template.project ? 'project' : 'global',
+        projectKey,
+        mode: template.mode,
+        active: template.active,
+        version: template.version,
+        systemPrompt: template.systemPrompt,
+        userPrompt: template.userPrompt,
+        createdBy: template.createdBy,
+        updatedBy: template.updatedBy,
+        createdAt: template.createdAt,
+        updatedAt: template.updatedAt
+    };
+}
+
+// Global templates are managed by admins, project templates by the project's leads
+async function canManageTemplates(req, project) {
+    const role = await loadUserRole(req);
+    if (!project) return role === 'admin';
+    return canPerformProjectAction(req.user, project, 'manageSettings');
+}
+
+// Global templates are visible to everyone, project templates to the users who can see the project
+async function canReadTemplates(req, project) {
+    if (!project) return true;
+    await loadUserRole(req);
+    return canReadProject(req.user, project);
+}
+
+// Load the template from req.params.id, or respond 404. Returns { template, project } or null.
+async function loadTemplate(req, res) {
+    const template = mongoose.isValidObjectId(req.params.id) ? await PromptTemplate.findById(req.params.id) : null;
+    if (!template) {
+        res.status(404).json({ success: false, error: 'Template not found' });
+        return null;
+    }
+    const project = template.project ? await Project.findById(template.project) : null;
+    return { template, project };
+}
+
+// Only one template per scope and mode is active
+async function deactivateOthers(template) {
+    await PromptTemplate.updateMany(
+        { project: template.project, mode: template.mode, active: true, _id: { $ne: template._id } },
+        { $set: { active: false } }
+    );
+}
+
+// Get /prompt-templates/builtin - built-in prompts and the variables templates can use
+router.get('/builtin', requireAuth, async (req, res, next) => {
+    try {
+        const templates = {};
+        for (const mode of MODES) {
+            const { systemPrompt, userPrompt } = getBuiltinTemplate(mode);
+            templates[mode] = { systemPrompt, userPrompt };
+        }
+        return res.json({ success: true, data: { variables: TEMPLATE_VARIABLES, templates } });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Get /prompt-templates?projectKey=&mode= - global templates, plus the project's when projectKey is given
+router.get('/', requireAuth, async (req, res, next) => {
+    try {
+        let project = null;
+        if (req.query.projectKey) {
+            project = await Project.findOne({ projectKey: String(req.query.projectKey).toUpperCase() });
+            if (!project || !await canReadTemplates(req, project)) {
+                return res.status(404).json({ success: false, error: 'Project not found' });
+            }
+        }
+
+        const filter = { project: project ? { $in: [project._id, null] } : null };
+        if (req.query.mode) filter.mode = String(req.query.mode);
+
+        const templates = await PromptTemplate.find(filter)
+            .select('-versions')
+            .sort({ project: -1, mode: 1, name: 1 });
+
+        return res.json({
+            success: true,
+            data: {
+                templates: templates.map(t => serializeTemplate(t, t.project ? project.projectKey : null))
+            }
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Post /prompt-templates - create a template { name, mode, systemPrompt, userPrompt?, projectKey?, description?, active?, notes? }
+router.post('/', requireAuth, async (req, res, next) => {
+    try {
+        const { name, mode, systemPrompt, userPrompt, projectKey, description, active = false, notes } = req.body || {};
+        if (typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ success: false, error: 'name is required' });
+        }
+        if (!MODES.includes(mode)) {
+            return res.status(400).json({ success: false, error: `mode must be one of: ${MODES.join(', ')}` });
+        }
+
+        const content = { systemPrompt, userPrompt: userPrompt ?? getBuiltinTemplate(mode).userPrompt };
+        const { errors, warnings } = validateTemplate(content);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: errors.join('; ') });
+        }
+
+        let project = null;
+        if (projectKey) {
+            project = await Project.findOne({ projectKey: String(projectKey).toUpperCase() });
+            if (!project) {
+                return res.status(404).json({ success: false, error: 'Project not found' });
+            }
+        }
+        if (!await canManageTemplates(req, project)) {
+            return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+        }
+
+        const exists = await PromptTemplate.exists({ project: project?._id || null, mode, name: name.trim() });
+        if (exists) {
+            return res.status(409).json({ success: false, error: `A ${mode} template named "${name.trim()}" already exists` });
+        }
+
+        const template = new PromptTemplate({
+            name,
+            description,
+            project: project?._id || null,
+            mode,
+            active: Boolean(active),
+            ...content,
+            version: 1,
+            versions: [{ version: 1, ...content, notes, createdBy: req.user.email }],
+            createdBy: req.user.email,
+            updatedBy: req.user.email
+        });
+        await template.save();
+        if (template.active) await deactivateOthers(template);
+
+        logger.info(`Prompt template "${template.name}" (${mode}, ${projectKey || 'global'}) created by ${req.user.email}`);
+        return res.status(201).json({
+            success: true,
+            data: { template: serializeTemplate(template, project?.projectKey), warnings }
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Get /prompt-templates/:id - template with its version history
+router.get('/:id', requireAuth, async (req, res, next) => {
+    try {
+        const loaded = await loadTemplate(req, res);
+        if (!loaded) return;
+        const { template, project } = loaded;
+        if (!await canReadTemplates(req, project)) {
+            return res.status(404).json({ success: false, error: 'Template not found' });
+        }
+
+        return res.json({
+            success: true,
+            data: {
+                template: serializeTemplate(template, project?.projectKey),
+                versions: [...template.versions].sort((a, b) => b.version - a.version)
+            }
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Put /prompt-templates/:id - update; new prompt text is saved as a new version
+// Body: { name?, description?, systemPrompt?, userPrompt?, active?, notes? }
+router.put('/:id', requireAuth, async (req, res, next) => {
+    try {
+        const loaded = await loadTemplate(req, res);
+        if (!loaded) return;
+        const { template, project } = loaded;
+        if (!await canManageTemplates(req, project)) {
+            return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+        }
+
+        const { name, description, systemPrompt, userPrompt, active, notes } = req.body || {};
+        let warnings = [];
+
+        if (systemPrompt !== undefined || userPrompt !== undefined) {
+            const content = {
+                systemPrompt: systemPrompt ?? template.systemPrompt,
+                userPrompt: userPrompt ?? template.userPrompt
+            };
+            const validation = validateTemplate(content);
+            if (validation.errors.length > 0) {
+                return res.status(400).json({ success: false, error: validation.errors.join('; ') });
+            }
+            warnings = validation.warnings;
+
+            if (content.systemPrompt !== template.systemPrompt || content.userPrompt !== template.userPrompt) {
+                template.version += 1;
+                template.systemPrompt = content.systemPrompt;
+                template.userPrompt = content.userPrompt;
+                template.versions.push({ version: template.version, ...content, notes, createdBy: req.user.email });
+            }
+        }
+        if (name !== undefined) {
+            if (typeof name !== 'string' || !name.trim()) {
+                return res.status(400).json({ success: false, error: 'name must be a non-empty string' });
+            }
+            template.name = name;
+        }
+        if (description !== undefined) template.description = description;
+        if (active !== undefined) template.active = Boolean(active);
+        template.updatedBy = req.user.email;
+
+        await template.save();
+        if (template.active) await deactivateOthers(template);
+
+        logger.info(`Prompt template "${template.name}" updated to v${template.version} by ${req.user.email}`);
+        return res.json({
+            success: true,
+            data: { template: serializeTemplate(template, project?.projectKey), warnings }
+        });
+    } catch (e) {
+        if (e.code === 11000) {
+            return res.status(409).json({ success: false, error: 'A template with this name already exists for this scope and mode' });
+        }
+        next(e);
+    }
+});
+
+// Post /prompt-templates/:id/restore - make an old version current again (saved as a new version)
+router.post('/:id/restore', requireAuth, async (req, res, next) => {
+    try {
+        const loaded = await loadTemplate(req, res);
+        if (!loaded) return;
+        const { template, project } = loaded;
+        if (!await canManageTemplates(req, project)) {
+            return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+        }
+
+        const version = Number(req.body?.version);
+        const saved = template.versions.find(v => v.version === version);
+        if (!saved) {
+            return res.status(404).json({ success: false, error: `Version ${req.body?.version} not found` });
+        }
+
+        template.version += 1;
+        template.systemPrompt = saved.systemPrompt;
+        template.userPrompt = saved.userPrompt;
+        template.versions.push({
+            version: template.version,
+            systemPrompt: saved.systemPrompt,
+            userPrompt: saved.userPrompt,
+            notes: `Restored from version ${version}`,
+            createdBy: req.user.email
+        });
+        template.updatedBy = req.user.email;
+        await template.save();
+
+        logger.info(`Prompt template "${template.name}" restored to v${version} by ${req.user.email}`);
+        return res.json({ success: true, data: { template: serializeTemplate(template, project?.projectKey) } });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Delete /prompt-templates/:id
+router.delete('/:id', requireAuth, async (req, res, next) => {
+    try {
+        const loaded = await loadTemplate(req, res);
+        if (!loaded) return;
+        const { template, project } = loaded;
+        if (!await canManageTemplates(req, project)) {
+            return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+        }
+
+        await PromptTemplate.findByIdAndDelete(template._id);
+        logger.info(`Prompt template "${template.name}" deleted by ${req.user.email}`);
+        return res.json({ success: true, message: 'Template deleted successfully' });
+    } catch (e) {
+        next(e);
+    }
+});
+
+/*
+* Post /prompt-templates/preview - render the messages a generation would send, without calling the model.
+* Body: { issueKey, autoMode?, provider?, model? } plus one of:
+* - templateId (and optional version) to preview a saved template
+* - systemPrompt/userPrompt to preview unsaved text
+* - nothing, to preview the template that is active for the issue's project
+*/
+router.post('/preview', requireAuth, async (req, res, next) => {
+    try {
+        const { issueKey, autoMode = false, templateId, version, systemPrompt, userPrompt, provider, model } = req.body || {};
+        if (!issueKey) {
+            return res.status(400).json({ success: false, error: 'issueKey required' });
+        }
+        if (provider !== undefined && !isProviderAllowed(provider)) {
+            return res.status(400).json({ success: false, error: `Unknown LLM provider: ${provider}` });
+        }
+
+        let template;
+        let warnings = [];
+        if (systemPrompt !== undefined || userPrompt !== undefined) {
+            const content = {
+                systemPrompt: systemPrompt ?? getBuiltinTemplate(autoMode ? 'auto' : 'manual').systemPrompt,
+                userPrompt: userPrompt ?? getBuiltinTemplate(autoMode ? 'auto' : 'manual').userPrompt
+            };
+            const validation = validateTemplate(content);
+            if (validation.errors.length > 0) {
+                return res.status(400).json({ success: false, error: validation.errors.join('; ') });
+            }
+            warnings = validation.warnings;
+            template = { ...content, ref: { templateId: null, name: 'draft', version: null, scope: 'draft' } };
+        } else if (templateId) {
+            const saved = mongoose.isValidObjectId(templateId) ? await PromptTemplate.findById(templateId) : null;
+            const savedProject = saved?.project ? await Project.findById(saved.project) : null;
+            const readable = saved && await canReadTemplates(req, savedProject);
+            template = readable && templateContent(saved, version ? Number(version) : undefined);
+            if (!template) {
+                return res.status(404).json({ success: false, error: 'Template or version not found' });
+            }
+        }
+
+        // The preview shows the project's active template and settings
+        const project = await findProjectForIssue(issueKey);
+        if (project && !await canReadTemplates(req, project)) {
+            return res.status(404).json({ success: false, error: 'Project not found' });
+        }
+
+        const jira = getJiraService();
+        const issueResult = await jira.getIssue(issueKey);
+        if (!issueResult.success) {
+            return res.status(jiraErrorStatus(issueResult.error)).json({ success: false, error: issueResult.error });
+        }
+
+        const selection = resolveProviderSelection({ provider, model }, project);
+        let llm;
+        try {
+            llm = getLLMProvider(selection.provider, { model: selection.model });
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+
+        const built = await buildIssuePrompt(jira, issueResult.issue, { issueKey, autoMode, template });
+        // Images are represented by their file name; the real request carries the downloaded data
+        const images = built.imageAttachments.map(att => ({ url: `attachment:${att.filename}`, detail: contextConfig.imageDetail }));
+        const request = llm.buildRequest(built.context, issueKey, autoMode, images, { prompt: built.prompt });
+
+        return res.json({
+            success: true,
+            data: {
+                issueKey,
+                template: built.promptTemplate,
+                variables: buildPromptVariables({
+                    issueKey,
+                    autoMode,
+                    project: built.project,
+                    ...built,
+                    storyType: built.classification.storyType
+                }),
+                classification: built.classification,
+                messages: llm.buildMessages(request),
+                estimate: llm.estimate(built.context, issueKey, autoMode, images, { prompt: built.prompt }),
+                warnings
+            }
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+export default router;
@@ -0,0 +1,142 @@
+import { Router } from "express";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Project from "../models/Project.js";
+import { requireAuth } from "../middleware/auth.js";
+import { requireRole } from "../middleware/authorize.js";
+import { logger } from "../utils/logger.js";
+import { getQuotaStatus, parseQuotaUpdate } from "../services/quotaService.js";
+
+const router = Router();
+
+const ROLES = User.schema.path('role').enumValues;
+
+// Get /users - list users (admin only)
+router.get('/', requireAuth, requireRole('admin'), async (req, res, next) => {
+    try {
+        const users = await User.find()
+            .select('email name role createdAt')
+            .sort({ email: 1 });
+
+        return res.json({
+            success: true,
+            data: {
+                users: users.map(user => ({
+                    id: user._id,
+                    email: user.email,
+                    name: user.name,
+                    role: user.role,
+                    createdAt: user.createdAt
+                }))
+            }
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Get /users/me/quota - the caller's monthly usage against their quota (and a project's with ?projectKey=)
+router.get('/me/quota', requireAuth, async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.userId).select('email quota');
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        let project = null;
+        if (req.query.projectKey) {
+            project = await Project.findOne({ projectKey: String(req.query.projectKey).toUpperCase() });
+            if (!project) {
+                return res.status(404).json({ success: false, error: 'Project not found' });
+            }
+        }
+
+        const status = await getQuotaStatus({ email: user.email, user, project });
+        return res.json({ success: true, data: status });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Get /users/:id/quota - a user's monthly usage against their quota (admin only)
+router.get('/:id/quota', requireAuth, requireRole('admin'), async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        const user = await User.findById(req.params.id).select('email quota');
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        const status = await getQuotaStatus({ email: user.email, user });
+        return res.json({ success: true, data: { email: user.email, ...status } });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Put /users/:id/quota - set a user's monthly limits; null resets a limit to the default (admin only)
+router.put('/:id/quota', requireAuth, requireRole('admin'), async (req, res, next) => {
+    try {
+        const { value: update, error } = parseQuotaUpdate(req.body || {});
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        const user = await User.findByIdAndUpdate(req.params.id, update, { new: true }).select('email quota');
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        logger.info(`User ${user.email} quota updated by ${req.user.email}`);
+        const status = await getQuotaStatus({ email: user.email, user });
+        return res.json({ success: true, data: { email: user.email, ...status } });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// Put /users/:id/role - change a user's global role (admin only)
+router.put('/:id/role', requireAuth, requireRole('admin'), async (req, res, next) => {
+    try {
+        const { role } = req.body || {};
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                error: `role must be one of: ${ROLES.join(', ')}`
+            });
+        }
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        // Prevent admins from locking themselves out
+        if (req.params.id === req.user.userId && role !== 'admin') {
+            return res.status(400).json({ success: false, error: 'You cannot remove your own admin role' });
+        }
+
+        const user = await User.findByIdAndUpdate(req.params.id, { role }, { new: true });
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        logger.info(`User ${user.email} role set to ${role} by ${req.user.email}`);
+        return res.json({
+            success: true,
+            data: {
+                id: user._id,
+                email: user.email,
+                name: user.name,
+                role: user.role
+            }
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+export default router;
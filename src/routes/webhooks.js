@@ -0,0 +1,26 @@
+import { Router } from "express";
+import { webhookConfig } from "../config/index.js";
+import { logger } from "../utils/logger.js";
+import { verifyJiraSignature, handleJiraEvent } from "../services/webhookService.js";
+
+const router = Router();
+
+// Post /webhooks/jira - JIRA issue events (signed with JIRA_WEBHOOK_SECRET); matching trigger rules queue a generation
+router.post('/jira', async (req, res, next) => {
+    try {
+        if (!webhookConfig.jiraSecret) {
+            return res.status(503).json({ success: false, error: 'JIRA webhook is not configured' });
+        }
+        if (!verifyJiraSignature(req.rawBody, req.get('X-Hub-Signature'), webhookConfig.jiraSecret)) {
+            logger.warn(`Rejected JIRA webhook with invalid signature from ${req.ip}`);
+            return res.status(401).json({ success: false, error: 'Invalid signature' });
+        }
+
+        const result = await handleJiraEvent(req.body, { deliveryId: req.get('X-Atlassian-Webhook-Identifier') });
+        return res.status(result.outcome === 'enqueued' ? 202 : 200).json({ success: true, data: result });
+    } catch (e) {
+        next(e);
+    }
+});
+
+export default router;
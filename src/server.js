@@ -4,6 +4,9 @@ dotenv.config();
 import { createServer } from 'http';
 import app from './app.js';
 import { logger } from './utils/logger.js';
+import GenerationWorker from './workers/generationWorker.js';
+import DriftChecker from './workers/driftChecker.js';
+import { workerConfig, driftConfig } from './config/index.js';
 
 const PORT = process.env.PORT || 3000;
 const server = createServer(app);
@@ -11,4 +14,20 @@ const server = createServer(app);
 server.listen(PORT, () => {
     logger.info(`🚀 Server is running on http://localhost:${PORT}`);
     logger.info(`🌐 Health check: http://localhost:${PORT}/serverStatus`);
-});
\ No newline at end of file
+});
+
+// Background jobs: async generations and requirement drift checks
+const jobs = [];
+if (workerConfig.enabled) jobs.push(new GenerationWorker());
+if (driftConfig.enabled) jobs.push(new DriftChecker());
+
+if (jobs.length > 0) {
+    jobs.forEach(job => job.start());
+
+    const shutdown = () => {
+        jobs.forEach(job => job.stop());
+        server.close(() => process.exit(0));
+    };
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
+}
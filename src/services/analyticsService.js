@@ -0,0 +1,261 @@
+import Generation from '../models/Generation.js';
+import Project from '../models/Project.js';
+import SpendRecord from '../models/SpendRecord.js';
+
+export const INTERVALS = ['day', 'week', 'month'];
+export const BREAKDOWN_DIMENSIONS = ['project', 'user', 'mode', 'provider', 'model', 'status'];
+
+const DEFAULT_RANGE_DAYS = 30;
+// Upper bound on time series buckets (e.g. a multi-year range by day)
+const MAX_SERIES_POINTS = 1000;
+const PERCENTILES = [0.5, 0.9, 0.95, 0.99];
+// Latency percentiles come from a histogram of log-scale buckets: bucket i holds latencies from
+// LATENCY_MIN_SECONDS * LATENCY_BUCKET_RATIO^i up to the next bucket (faster ones fall in bucket 0)
+const LATENCY_MIN_SECONDS = 0.1;
+const LATENCY_BUCKET_RATIO = 1.05;
+
+// Group key expression for each breakdown dimension
+const DIMENSION_KEYS = {
+    project: '$project',
+    user: '$email',
+    mode: '$mode',
+    provider: '$provider',
+    model: { provider: '$provider', model: '$model' },
+    // Spend records have no status; they are listed by kind (refinement, regeneration, classification)
+    status: { $ifNull: ['$status', '$kind'] }
+};
+
+const countIf = condition => ({ $sum: { $cond: [condition, 1, 0] } });
+const sumOf = field => ({ $sum: { $ifNull: [field, 0] } });
+
+// Latency histogram bucket of a generation (null for spend records and unfinished generations)
+const LATENCY_BUCKET = {
+    $cond: [
+        { $isNumber: '$generationTimeSeconds' },
+        {
+            $floor: {
+                $log: [
+                    { $divide: [{ $max: ['$generationTimeSeconds', LATENCY_MIN_SECONDS] }, LATENCY_MIN_SECONDS] },
+                    LATENCY_BUCKET_RATIO
+                ]
+            }
+        },
+        null
+    ]
+};
+
+// Accumulators shared by every analytics query (the time series' $dateTrunc needs MongoDB 5.0+)
+const METRIC_ACCUMULATORS = {
+    generations: countIf({ $ne: ['$spendRecord', true] }),
+    completed: countIf({ $eq: ['$status', 'completed'] }),
+    failed: countIf({ $eq: ['$status', 'failed'] }),
+    spendUsd: sumOf('$cost'),
+    promptTokens: sumOf('$tokenUsage.promptTokens'),
+    cachedTokens: sumOf('$tokenUsage.cachedTokens'),
+    completionTokens: sumOf('$tokenUsage.completionTokens'),
+    totalTokens: sumOf('$tokenUsage.totalTokens'),
+    latencySeconds: sumOf('$generationTimeSeconds'),
+    latencyCount: countIf({ $isNumber: '$generationTimeSeconds' })
+};
+
+/*
+* $group stages computing the metrics per `key`: first per key and latency bucket, then per key with the
+* bucket counts as its latency histogram, so a group holds at most one entry per bucket however many
+* generations it covers.
+*/
+function groupMetrics(key) {
+    const totals = Object.fromEntries(Object.keys(METRIC_ACCUMULATORS).map(name => [name, { $sum: `$${name}` }]));
+    return [
+        { $group: { _id: { key, latencyBucket: LATENCY_BUCKET }, ...METRIC_ACCUMULATORS } },
+        {
+            $group: {
+                _id: '$_id.key',
+                ...totals,
+                latencyHistogram: { $push: { bucket: '$_id.latencyBucket', count: '$latencyCount' } }
+            }
+        }
+    ];
+}
+
+const round = (value, digits = 2) => (typeof value === 'number' ? Number(value.toFixed(digits)) : null);
+
+// Nearest-rank percentiles from a latency histogram, each reported as the middle of its bucket (within 2.5%)
+function percentiles(histogram = []) {
+    const buckets = histogram.filter(entry => entry.bucket !== null && entry.count > 0).sort((a, b) => a.bucket - b.bucket);
+    const total = buckets.reduce((sum, entry) => sum + entry.count, 0);
+    if (total === 0) return [];
+    return PERCENTILES.map(p => {
+        const rank = Math.max(Math.ceil(p * total), 1);
+        let seen = 0;
+        const { bucket } = buckets.find(entry => (seen += entry.count) >= rank);
+        return LATENCY_MIN_SECONDS * Math.pow(LATENCY_BUCKET_RATIO, bucket + 0.5);
+    });
+}
+
+// Turn a $group result into the metrics returned by the API
+function formatMetrics(group = {}) {
+    const finished = (group.completed || 0) + (group.failed || 0);
+    const [p50, p90, p95, p99] = percentiles(group.latencyHistogram);
+    return {
+        generations: group.generations || 0,
+        completed: group.completed || 0,
+        failed: group.failed || 0,
+        // Share of finished generations that failed (queued/running ones are not counted)
+        failureRate: finished ? round(group.failed / finished, 4) : 0,
+        spendUsd: round(group.spendUsd || 0, 6),
+        tokens: {
+            prompt: group.promptTokens || 0,
+            cached: group.cachedTokens || 0,
+            completion: group.completionTokens || 0,
+            total: group.totalTokens || 0
+        },
+        latencySeconds: {
+            avg: group.latencyCount ? round(group.latencySeconds / group.latencyCount) : null,
+            p50: round(p50),
+            p90: round(p90),
+            p95: round(p95),
+            p99: round(p99)
+        }
+    };
+}
+
+/*
+* Parse the shared query filters: from, to (ISO dates), projectKey, email, mode, provider, model, status.
+* The range defaults to the last 30 days. Returns { value: { match, range } } or { error, status }.
+*/
+export async function parseAnalyticsFilters(query = {}) {
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+        return { error: 'from and to must be valid dates', status: 400 };
+    }
+    if (from > to) {
+        return { error: 'from must be before to', status: 400 };
+    }
+
+    const match = { createdAt: { $gte: from, $lte: to } };
+    if (query.projectKey) {
+        const project = await Project.findOne({ projectKey: String(query.projectKey).toUpperCase() }).select('_id');
+        if (!project) {
+            return { error: 'Project not found', status: 404 };
+        }
+        match.project = project._id;
+    }
+    if (query.email) match.email = String(query.email).toLowerCase();
+    for (const field of ['mode', 'provider', 'model', 'status']) {
+        if (query[field]) match[field] = String(query[field]);
+    }
+
+    return { value: { match, range: { from, to } } };
+}
+
+// Combine the caller's visibility scope with the query filters
+function buildMatch(scope, match) {
+    return Object.keys(scope).length ? { $and: [scope, match] } : match;
+}
+
+/*
+* First stages of every analytics query: the matching generations plus the matching spend records
+* (refinements, regenerations, classification - see models/SpendRecord.js), which add to spend and tokens
+* in the period they were spent in but are not generations.
+*/
+function matchGenerationsAndSpend(scope, match) {
+    const filter = buildMatch(scope, match);
+    return [
+        { $match: filter },
+        {
+            $unionWith: {
+                coll: SpendRecord.collection.collectionName,
+                pipeline: [{ $match: filter }, { $set: { spendRecord: true } }]
+            }
+        }
+    ];
+}
+
+// Totals over the whole range
+export async function getSummary(scope, { match, range }) {
+    const [group] = await Generation.aggregate([
+        ...matchGenerationsAndSpend(scope, match),
+        ...groupMetrics(null)
+    ]);
+    return { range, metrics: formatMetrics(group) };
+}
+
+// Start of the UTC day/week (Monday)/month containing `date`
+function truncateDate(date, interval) {
+    const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    if (interval === 'week') {
+        d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+    } else if (interval === 'month') {
+        d.setUTCDate(1);
+    }
+    return d;
+}
+
+function nextBucket(date, interval) {
+    const d = new Date(date);
+    if (interval === 'day') d.setUTCDate(d.getUTCDate() + 1);
+    else if (interval === 'week') d.setUTCDate(d.getUTCDate() + 7);
+    else d.setUTCMonth(d.getUTCMonth() + 1);
+    return d;
+}
+
+// Metrics per day/week/month (UTC); buckets without generations are included with zero values.
+// `truncated` is set when the range holds more than MAX_SERIES_POINTS buckets.
+export async function getTimeSeries(scope, { match, range }, interval = 'day') {
+    const groups = await Generation.aggregate([
+        ...matchGenerationsAndSpend(scope, match),
+        ...groupMetrics({ $dateTrunc: { date: '$createdAt', unit: interval, startOfWeek: 'monday', timezone: 'UTC' } }),
+        { $sort: { _id: 1 } }
+    ]);
+
+    const byBucket = new Map(groups.map(group => [group._id.getTime(), group]));
+    const series = [];
+    let bucket = truncateDate(range.from, interval);
+    for (; bucket <= range.to && series.length < MAX_SERIES_POINTS; bucket = nextBucket(bucket, interval)) {
+        series.push({ period: bucket, ...formatMetrics(byBucket.get(bucket.getTime())) });
+    }
+    return { range, interval, series, truncated: bucket <= range.to };
+}
+
+// Metrics grouped by one dimension, most expensive first
+export async function getBreakdown(scope, { match, range }, by) {
+    const groups = await Generation.aggregate([
+        ...matchGenerationsAndSpend(scope, match),
+        ...groupMetrics(DIMENSION_KEYS[by]),
+        { $sort: { spendUsd: -1, generations: -1 } }
+    ]);
+
+    // Show project keys instead of ids
+    let projectKeys = new Map();
+    if (by === 'project') {
+        const ids = groups.map(group => group._id).filter(Boolean);
+        const projects = await Project.find({ _id: { $in: ids } }).select('projectKey');
+        projectKeys = new Map(projects.map(p => [String(p._id), p.projectKey]));
+    }
+
+    const rows = groups.map(group => {
+        let key = group._id ?? null;
+        if (by === 'project') key = key ? projectKeys.get(String(key)) || String(key) : null;
+        if (by === 'model') key = group._id?.model ? `${group._id.provider || 'unknown'}/${group._id.model}` : null;
+        return { key, ...formatMetrics(group) };
+    });
+    return { range, by, rows };
+}
+
+// Flatten a metrics row for CSV export
+export function metricsToCsvRow(row) {
+    const { tokens, latencySeconds, ...rest } = row;
+    return {
+        ...rest,
+        promptTokens: tokens.prompt,
+        cachedTokens: tokens.cached,
+        completionTokens: tokens.completion,
+        totalTokens: tokens.total,
+        avgLatencySeconds: latencySeconds.avg,
+        p50LatencySeconds: latencySeconds.p50,
+        p90LatencySeconds: latencySeconds.p90,
+        p95LatencySeconds: latencySeconds.p95,
+        p99LatencySeconds: latencySeconds.p99
+    };
+}
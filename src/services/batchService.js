@@ -0,0 +1,261 @@
+import Generation from '../models/Generation.js';
+import GenerationBatch from '../models/GenerationBatch.js';
+import Project from '../models/Project.js';
+import { batchConfig } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { extractProject } from '../utils/projectUtils.js';
+import { getLLMProvider, resolveProviderSelection } from './llm/index.js';
+import { estimateIssueGeneration, createGeneration } from './generationService.js';
+import { checkQuota } from './quotaService.js';
+
+export const BATCH_SOURCES = ['jql', 'epic', 'sprint'];
+
+const IN_PROGRESS_STATUSES = ['pending', 'queued', 'running'];
+
+/*
+* Batch source from a request: exactly one of `jql`, `epicKey` (issues whose parent is the epic) or `sprintId`.
+* Returns { value: { type, value, jql } } or { error }.
+*/
+export function parseBatchSource({ jql, epicKey, sprintId } = {}) {
+    const given = [jql, epicKey, sprintId].filter(v => v !== undefined && v !== null && v !== '');
+    if (given.length !== 1) {
+        return { error: 'Provide exactly one of: jql, epicKey, sprintId' };
+    }
+    if (jql !== undefined && jql !== null && jql !== '') {
+        if (typeof jql !== 'string' || !jql.trim()) {
+            return { error: 'jql must be a non-empty string' };
+        }
+        return { value: { type: 'jql', value: jql.trim(), jql: jql.trim() } };
+    }
+    if (epicKey !== undefined && epicKey !== null && epicKey !== '') {
+        const key = typeof epicKey === 'string' ? epicKey.trim().toUpperCase() : '';
+        if (!/^[A-Z][A-Z0-9]*-\d+$/.test(key)) {
+            return { error: 'epicKey must be an issue key, e.g. ABC-123' };
+        }
+        return { value: { type: 'epic', value: key, jql: `parent = ${key} ORDER BY key ASC` } };
+    }
+    const id = Number(sprintId);
+    if (!Number.isInteger(id) || id <= 0) {
+        return { error: 'sprintId must be a positive integer' };
+    }
+    return { value: { type: 'sprint', value: String(id), jql: `sprint = ${id} ORDER BY key ASC` } };
+}
+
+/*
+* Issue keys matched by a batch source, capped at batchConfig.maxIssues.
+* Returns { issueKeys, truncated } or { error, status }.
+*/
+export async function findBatchIssues(jira, source) {
+    const result = await jira.search(source.jql, { fields: ['summary'], maxResults: batchConfig.maxIssues });
+    if (!result.success) {
+        return { error: result.error || 'JIRA search failed', status: result.status === 400 ? 400 : 502 };
+    }
+    return { issueKeys: result.issues.map(issue => issue.key), truncated: result.truncated };
+}
+
+/*
+* Combined prelight for a batch: fetch each issue and estimate its prompt tokens and cost with the LLM it would use
+* (request > project setting > default). Issues that cannot be fetched or estimated are listed in `failed`.
+* Returns { issues: [{ issueKey, title, projectKey, project, provider, model, promptTokens, estimatedCost }], failed, totals }.
+*/
+export async function prelightBatch(jira, issueKeys, { autoMode = false, provider, model } = {}) {
+    const projects = new Map();
+    const issues = [];
+    const failed = [];
+
+    for (const issueKey of issueKeys) {
+        const projectKey = extractProject(issueKey);
+        if (!projects.has(projectKey)) {
+            projects.set(projectKey, projectKey ? await Project.findOne({ projectKey }) : null);
+        }
+        const project = projects.get(projectKey);
+
+        const issueResult = await jira.getIssue(issueKey);
+        if (!issueResult.success) {
+            failed.push({ issueKey, error: issueResult.error || 'Issue not found in JIRA' });
+            continue;
+        }
+
+        try {
+            const selection = resolveProviderSelection({ provider, model }, project);
+            const llm = getLLMProvider(selection.provider, { model: selection.model });
+            const { summary, estimate } = await estimateIssueGeneration(jira, issueResult.issue, { issueKey, autoMode, llm });
+            issues.push({
+                issueKey,
+                title: summary,
+                projectKey,
+                project,
+                provider: selection.provider,
+                model: estimate.model,
+                promptTokens: estimate.promptTokens,
+                estimatedCost: estimate.cost
+            });
+        } catch (error) {
+            failed.push({ issueKey, error: error.message });
+        }
+    }
+
+    const totals = {
+        issues: issues.length,
+        promptTokens: issues.reduce((sum, issue) => sum + issue.promptTokens, 0),
+        estimatedCost: Number(issues.reduce((sum, issue) => sum + issue.estimatedCost, 0).toFixed(6))
+    };
+    return { issues, failed, totals };
+}
+
+/*
+* Quota check for a batch: the user's quota against the whole batch, each project's against its own issues.
+* Returns { allowed, violations, status: { user, projects } }.
+*/
+export async function checkBatchQuota({ email, user, issues }) {
+    const totalCost = issues.reduce((sum, issue) => sum + issue.estimatedCost, 0);
+    const userCheck = await checkQuota({ email, user, estimatedCost: totalCost, generations: issues.length });
+    const violations = [...userCheck.violations];
+    const projects = [];
+
+    const groups = new Map();
+    for (const issue of issues) {
+        if (!issue.project) continue;
+        const key = String(issue.project._id);
+        if (!groups.has(key)) groups.set(key, { project: issue.project, issues: [] });
+        groups.get(key).issues.push(issue);
+    }
+    for (const { project, issues: projectIssues } of groups.values()) {
+        const projectCheck = await checkQuota({
+            email,
+            user,
+            project,
+            estimatedCost: projectIssues.reduce((sum, issue) => sum + issue.estimatedCost, 0),
+            generations: projectIssues.length
+        });
+        violations.push(...projectCheck.violations.filter(v => v.scope === 'project').map(v => ({ ...v, projectKey: project.projectKey })));
+        projects.push(projectCheck.status.project);
+    }
+
+    return { allowed: violations.length === 0, violations, status: { user: userCheck.status.user, projects } };
+}
+
+// Prelight issue as returned by the API (without the project document)
+export function serializePrelightIssue({ project, ...issue }) {
+    return { ...issue, estimatedCost: Number(issue.estimatedCost.toFixed(6)) };
+}
+
+/*
+* Create the batch record and one queued generation per prelighted issue (the generation worker runs them).
+* `failed` issues from the prelight are recorded as skipped. The batch is saved before its generations are queued;
+* if queueing fails part way, the generations still queued are failed so none runs for a batch the caller saw fail.
+*/
+export async function createBatch({ email, source, autoMode = false, provider, model, prelight, quotaOverriddenBy }) {
+    const batch = new GenerationBatch({
+        email,
+        source,
+        mode: autoMode ? 'auto' : 'manual',
+        provider,
+        model,
+        issueKeys: prelight.issues.map(issue => issue.issueKey),
+        skipped: prelight.failed.map(({ issueKey, error }) => ({ issueKey, reason: error })),
+        estimatedTokens: prelight.totals.promptTokens,
+        estimatedCost: prelight.totals.estimatedCost,
+        quotaOverriddenBy
+    });
+
+    await batch.save();
+
+    try {
+        for (const issue of prelight.issues) {
+            const generation = await createGeneration({
+                issueKey: issue.issueKey,
+                email,
+                autoMode,
+                provider: issue.provider,
+                model: issue.model,
+                estimatedCost: issue.estimatedCost,
+                quotaOverriddenBy,
+                batch: batch._id
+            });
+            batch.generations.push(generation._id);
+        }
+        await batch.save();
+    } catch (error) {
+        logger.error(`Batch ${batch._id} could not be queued: ${error.message}`);
+        await Generation.updateMany(
+            { batch: batch._id, status: 'queued' },
+            { $set: { status: 'failed', error: `Batch creation failed: ${error.message}`, completedAt: new Date() } }
+        ).catch(err => logger.error(`Failed to cancel the generations of batch ${batch._id}: ${err.message}`));
+        await GenerationBatch.updateOne({ _id: batch._id }, { $set: { generations: batch.generations } })
+            .catch(err => logger.error(`Failed to save batch ${batch._id}: ${err.message}`));
+        throw error;
+    }
+
+    logger.info(`Batch ${batch._id} (${source.type}: ${source.value}) queued ${batch.generations.length} generation(s) for ${email}`);
+    return batch;
+}
+
+/*
+* Aggregated progress of a batch from its generations.
+* status: running while any generation is in progress, then completed / completed_with_errors / failed.
+*/
+export async function getBatchProgress(batch) {
+    const generations = await Generation.find({ batch: batch._id })
+        .select('issueKey status cost estimatedCost error tokenUsage completedAt')
+        .sort({ issueKey: 1 })
+        .lean();
+
+    const counts = { queued: 0, running: 0, completed: 0, failed: 0 };
+    let cost = 0;
+    let totalTokens = 0;
+    for (const gen of generations) {
+        const key = gen.status === 'pending' ? 'queued' : gen.status;
+        counts[key] = (counts[key] || 0) + 1;
+        cost += gen.cost || 0;
+        totalTokens += gen.tokenUsage?.totalTokens || 0;
+    }
+
+    const total = generations.length;
+    const finished = counts.completed + counts.failed;
+    let status = 'completed';
+    if (generations.some(gen => IN_PROGRESS_STATUSES.includes(gen.status))) {
+        status = 'running';
+    } else if (total > 0 && counts.failed === total) {
+        status = 'failed';
+    } else if (counts.failed > 0) {
+        status = 'completed_with_errors';
+    }
+
+    return {
+        status,
+        total,
+        finished,
+        percent: total ? Math.round((finished / total) * 100) : 100,
+        counts,
+        cost: Number(cost.toFixed(6)),
+        totalTokens,
+        generations: generations.map(gen => ({
+            id: gen._id,
+            issueKey: gen.issueKey,
+            status: gen.status,
+            cost: gen.cost,
+            estimatedCost: gen.estimatedCost,
+            error: gen.error,
+            completedAt: gen.completedAt
+        }))
+    };
+}
+
+// Batch summary as returned by the API
+export function serializeBatch(batch) {
+    return {
+        id: batch._id,
+        email: batch.email,
+        source: batch.source,
+        mode: batch.mode,
+        provider: batch.provider,
+        model: batch.model,
+        issueKeys: batch.issueKeys,
+        skipped: batch.skipped,
+        estimatedTokens: batch.estimatedTokens,
+        estimatedCost: batch.estimatedCost,
+        quotaOverriddenBy: batch.quotaOverriddenBy,
+        createdAt: batch.createdAt
+    };
+}
@@ -0,0 +1,176 @@
+import { classifierConfig } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { getLLMProvider } from './llm/index.js';
+import { CATEGORY_SETS, DEFAULT_STORY_TYPE, STORY_CLASSIFIER_PROMPT } from './llm/prompts.js';
+
+// Story types; each has its own set of test case categories in the prompt
+export const STORY_TYPES = Object.keys(CATEGORY_SETS);
+
+// Keywords hinting at each story type, matched as whole words (case-insensitive)
+const KEYWORDS = {
+    ui: [
+        'ui', 'ux', 'screen', 'page', 'button', 'modal', 'dialog', 'form', 'layout', 'mockup', 'wireframe', 'figma',
+        'design', 'css', 'responsive', 'click', 'dropdown', 'tooltip', 'frontend', 'front-end', 'icon', 'menu',
+        'navigation', 'toast', 'banner', 'dark mode', 'accessibility', 'mobile view'
+    ],
+    api: [
+        'api', 'endpoint', 'rest', 'graphql', 'grpc', 'request', 'response', 'payload', 'status code', 'http', 'webhook',
+        'json', 'swagger', 'openapi', 'backend', 'back-end', 'microservice', 'integration', 'oauth', 'rate limit'
+    ],
+    data: [
+        'batch', 'etl', 'migration', 'import', 'export', 'csv', 'report', 'sql', 'database', 'table', 'column',
+        'schema', 'cron', 'scheduled', 'job', 'data warehouse', 'aggregation', 'backfill', 'kafka', 'data pipeline'
+    ],
+    infra: [
+        'infrastructure', 'infra', 'deploy', 'deployment', 'kubernetes', 'k8s', 'docker', 'terraform', 'helm',
+        'ci/cd', 'monitoring', 'alert', 'alerting', 'logging', 'aws', 'gcp', 'load balancer', 'dns', 'ssl',
+        'certificate', 'autoscaling', 'scaling', 'backup', 'disaster recovery', 'nginx', 'firewall', 'vpc'
+    ]
+};
+
+// Weight of a keyword found in each part of the issue (labels and components are deliberate tags)
+const WEIGHTS = { summary: 3, labels: 4, components: 4, description: 1 };
+
+// Screenshots or mockups attached to the issue count towards UI
+const IMAGE_WEIGHT = 4;
+
+// Occurrences of one keyword in the description that still add to its score
+const MAX_DESCRIPTION_HITS = 3;
+
+// Score at which the heuristics are fully confident (given no competing type)
+const CONFIDENT_SCORE = 12;
+
+const MATCHERS = Object.fromEntries(Object.entries(KEYWORDS).map(([type, words]) => [
+    type,
+    words.map(word => ({
+        word,
+        pattern: new RegExp(`(?<![\\w-])${word.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')}(?![\\w-])`, 'gi')
+    }))
+]));
+
+/*
+* What the classifier looks at in a JIRA issue: summary, description (text), label and component names
+* and the number of image attachments.
+*/
+export function readStoryFeatures(jira, issue) {
+    const fields = issue.fields || {};
+    return {
+        summary: fields.summary || '',
+        description: jira.extractTextFromADF(fields.description) || '',
+        labels: fields.labels || [],
+        components: (fields.components || []).map(component => component.name).filter(Boolean),
+        imageCount: (fields.attachment || []).filter(att => att.mimeType?.startsWith('image/')).length
+    };
+}
+
+/*
+* Keyword classification. Returns { storyType, confidence, source: 'heuristic', scores, signals }.
+* Issues without any signal default to UI (the categories generations used before classification).
+*/
+export function classifyByHeuristics({ summary = '', description = '', labels = [], components = [], imageCount = 0 }) {
+    const parts = { summary, labels: labels.join(', '), components: components.join(', '), description };
+    const scores = Object.fromEntries(STORY_TYPES.map(type => [type, 0]));
+    const signals = Object.fromEntries(STORY_TYPES.map(type => [type, []]));
+
+    for (const [type, matchers] of Object.entries(MATCHERS)) {
+        for (const { word, pattern } of matchers) {
+            let found = false;
+            for (const [part, text] of Object.entries(parts)) {
+                const hits = text ? (text.match(pattern) || []).length : 0;
+                if (hits === 0) continue;
+                scores[type] += WEIGHTS[part] * (part === 'description' ? Math.min(hits, MAX_DESCRIPTION_HITS) : 1);
+                found = true;
+            }
+            if (found) signals[type].push(word);
+        }
+    }
+    if (imageCount > 0) {
+        scores.ui += IMAGE_WEIGHT;
+        signals.ui.push(`${imageCount} image attachment(s)`);
+    }
+
+    const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+    if (total === 0) {
+        return { storyType: DEFAULT_STORY_TYPE, confidence: 0, source: 'heuristic', scores, signals: [] };
+    }
+
+    // Confidence: the winner's share of all signals, scaled down while the evidence is thin
+    const [storyType, best] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+    const confidence = (best / total) * Math.min(1, best / CONFIDENT_SCORE);
+    return {
+        storyType,
+        confidence: Number(confidence.toFixed(2)),
+        source: 'heuristic',
+        scores,
+        signals: signals[storyType]
+    };
+}
+
+// Issue text sent to the classifier model (kept short: the answer is a few tokens)
+function classifierInput({ summary, description, labels, components, imageCount }) {
+    return [
+        `Title: ${summary}`,
+        labels.length ? `Labels: ${labels.join(', ')}` : '',
+        components.length ? `Components: ${components.join(', ')}` : '',
+        imageCount ? `Attached images: ${imageCount}` : '',
+        `Description:\n${description.slice(0, 3000)}`
+    ].filter(Boolean).join('\n');
+}
+
+/*
+* Ask the configured (cheap) classifier model. Returns { storyType, confidence, source: 'model', provider, model, cost }
+* or null when the model is unavailable or its answer cannot be used.
+*/
+export async function classifyWithModel(features) {
+    try {
+        const llm = getLLMProvider(classifierConfig.provider, { model: classifierConfig.model });
+        const { content, usage } = await llm.complete({
+            systemPrompt: STORY_CLASSIFIER_PROMPT,
+            userPrompt: classifierInput(features),
+            images: [],
+            followUps: [],
+            structured: false,
+            maxTokens: 50
+        });
+
+        const answer = JSON.parse(content.match(/\{[\s\S]*\}/)?.[0] || 'null');
+        const storyType = String(answer?.type || '').toLowerCase();
+        if (!STORY_TYPES.includes(storyType)) {
+            logger.warn(`Story classifier returned an unknown type: ${content}`);
+            return null;
+        }
+        const confidence = Math.min(Math.max(Number(answer.confidence) || 0, 0), 1);
+        return {
+            storyType,
+            confidence: Number(confidence.toFixed(2)),
+            source: 'model',
+            provider: llm.name,
+            model: llm.model,
+            cost: llm.calculateCost(usage || {})
+        };
+    } catch (error) {
+        logger.warn(`Story classifier model unavailable: ${error.message}`);
+        return null;
+    }
+}
+
+/*
+* Classify a story: keyword heuristics, then the classifier model when enabled and the heuristics are unsure.
+* Returns the heuristic result ({ storyType, confidence, source, scores, signals }) or the model's answer with
+* the heuristic result under `heuristic`.
+*/
+export async function classifyStory(features, { useModel = classifierConfig.useModel } = {}) {
+    const heuristic = classifyByHeuristics(features);
+    if (!useModel || heuristic.confidence >= classifierConfig.minConfidence) {
+        return heuristic;
+    }
+
+    const answer = await classifyWithModel(features);
+    if (!answer) return heuristic;
+
+    // Both agreeing is worth more than either alone
+    const confidence = answer.storyType === heuristic.storyType
+        ? Math.max(answer.confidence, heuristic.confidence)
+        : answer.confidence;
+    return { ...answer, confidence, heuristic };
+}
@@ -0,0 +1,135 @@
+import mongoose from 'mongoose';
+import { logger } from '../utils/logger.js';
+import { parseTestCasesMarkdown, renderTestCasesMarkdown, diffTestCases } from '../utils/testCaseUtils.js';
+import { diffLines, diffSections } from '../utils/diffUtils.js';
+import { reopenAfterEdit } from './reviewService.js';
+
+// Issue title from the generation's markdown heading ("# Test Cases for KEY: Title")
+export function getGenerationTitle(gen) {
+    const heading = (gen.result?.markdown?.content || '').match(/^#\s+.*?:\s*(.+)$/m);
+    return heading ? heading[1].trim() : '';
+}
+
+/*
+* Replace the content of a generation, keeping version history.
+* Pass either `content` (markdown; test cases are re-parsed from it) or `testCases` (markdown is re-rendered).
+* Every new version is recorded in `versions` (with `notes` when given), so the history holds each saved edit.
+* A published or approved generation goes back to draft: the new version has not been reviewed.
+* Returns true when the content changed. The caller saves the document (see saveContentUpdate).
+*/
+export function applyContentUpdate(gen, { content, testCases }, userEmail, { notes } = {}) {
+    let nextTestCases = testCases;
+    let nextContent = content;
+
+    if (testCases) {
+        nextContent = renderTestCasesMarkdown({
+            issueKey: gen.issueKey,
+            title: getGenerationTitle(gen),
+            testCases,
+            autoMode: gen.mode === 'auto'
+        });
+    } else {
+        nextTestCases = parseTestCasesMarkdown(content);
+    }
+
+    const currentContent = gen.result?.markdown?.content || '';
+    const changed = currentContent !== nextContent;
+    if (changed) {
+        if (!gen.versions) gen.versions = [];
+        const currentVersionNum = gen.currentVersion || 1;
+
+        // The generated content (and content of older documents) is only recorded once it is first replaced
+        if (currentContent && !gen.versions.some(v => v.version === currentVersionNum)) {
+            gen.versions.push({
+                version: currentVersionNum,
+                content: currentContent,
+                updatedAt: gen.completedAt || gen.updatedAt || new Date(),
+                updatedBy: gen.email
+            });
+        }
+
+        gen.currentVersion = currentVersionNum + 1;
+        gen.versions.push({
+            version: gen.currentVersion,
+            content: nextContent,
+            updatedAt: new Date(),
+            updatedBy: userEmail,
+            notes
+        });
+
+        logger.info(`Updating generation ${gen._id} to version ${gen.currentVersion}`);
+
+        const reopened = reopenAfterEdit(gen, userEmail);
+        if (reopened) {
+            logger.info(`Generation ${gen._id} moved from ${reopened.from} back to draft after an edit`);
+        }
+    }
+
+    // Update the markdown content and structured test cases
+    if (!gen.result) gen.result = {};
+    if (!gen.result.markdown) gen.result.markdown = {};
+    gen.result.markdown.content = nextContent;
+    gen.testCases = nextTestCases;
+
+    return changed;
+}
+
+/*
+* Save a content update only if nobody else saved a new version since `expectedVersion` was read.
+* Returns false on a conflict (the document is not saved), including a concurrent write to the document's
+* arrays (e.g. a review comment) that Mongoose's versioning rejects.
+*/
+export async function saveContentUpdate(gen, expectedVersion) {
+    // Documents created before versioning have no currentVersion stored (it defaults to 1)
+    gen.$where = { currentVersion: expectedVersion === 1 ? { $in: [1, null] } : expectedVersion };
+    try {
+        await gen.save();
+        return true;
+    } catch (error) {
+        if (error instanceof mongoose.Error.DocumentNotFoundError || error instanceof mongoose.Error.VersionError) return false;
+        throw error;
+    } finally {
+        gen.$where = undefined;
+    }
+}
+
+// Markdown content of a version of a generation (the current one included), or null when it does not exist
+export function getVersionContent(gen, version) {
+    if (version === (gen.currentVersion || 1)) {
+        return gen.result?.markdown?.content || '';
+    }
+    const saved = (gen.versions || []).find(v => v.version === version);
+    return saved ? saved.content : null;
+}
+
+/*
+* Compare two versions of a generation: line diff, changed sections and added/removed/changed test cases.
+* Returns null when either version does not exist.
+*/
+export function diffVersions(gen, from, to) {
+    const before = getVersionContent(gen, from);
+    const after = getVersionContent(gen, to);
+    if (before === null || after === null) return null;
+
+    return {
+        from,
+        to,
+        lines: diffLines(before, after),
+        sections: diffSections(before, after),
+        testCases: diffTestCases(parseTestCasesMarkdown(before), parseTestCasesMarkdown(after))
+    };
+}
+
+/*
+* Make an old version the content of a new current version; the history is kept.
+* Returns { restored } (false when the content already matches) or { error } when the version does not exist.
+* The caller saves the document.
+*/
+export function restoreVersion(gen, version, userEmail) {
+    const content = getVersionContent(gen, version);
+    if (content === null) {
+        return { error: `Version ${version} not found` };
+    }
+    const restored = applyContentUpdate(gen, { content }, userEmail, { notes: `Restored from version ${version}` });
+    return { restored };
+}
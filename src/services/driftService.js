@@ -0,0 +1,181 @@
+import Generation from '../models/Generation.js';
+import { driftConfig } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { diffLines } from '../utils/diffUtils.js';
+import {
+    getJiraService,
+    buildIssueContext,
+    buildContextSnapshot,
+    findProjectForIssue,
+    resolveFieldMapping
+} from './generationService.js';
+
+// Snapshot fields compared one by one; any other context change (comments, links, mapped fields) is 'otherContext'
+const TRACKED_FIELDS = ['title', 'description', 'acceptanceCriteria'];
+
+const FIELD_LABELS = {
+    title: 'Title',
+    description: 'Description',
+    acceptanceCriteria: 'Acceptance criteria',
+    otherContext: 'Other issue context (comments, linked issues, mapped fields)'
+};
+
+// Requirements that differ between two snapshots: [{ field, before, after }]
+export function compareSnapshots(before, after) {
+    if (before.hash === after.hash) return [];
+    const changes = TRACKED_FIELDS
+        .filter(field => (before[field] || '') !== (after[field] || ''))
+        .map(field => ({ field, before: before[field] || '', after: after[field] || '' }));
+    if (changes.length === 0) {
+        // Only the changed lines: the whole context repeats the tracked fields and every comment
+        const { hunks } = diffLines(before.context || '', after.context || '');
+        const changedLines = type => hunks.filter(hunk => hunk.type === type).flatMap(hunk => hunk.lines).join('\n');
+        changes.push({ field: 'otherContext', before: changedLines('removed'), after: changedLines('added') });
+    }
+    return changes;
+}
+
+/*
+* $set update recording a drift check of `gen` against the issue's current snapshot.
+* Generations from before snapshots existed take the current context as their baseline.
+*/
+export function buildDriftUpdate(gen, snapshot) {
+    const now = new Date();
+    if (!gen.contextSnapshot?.hash) {
+        return { contextSnapshot: snapshot, 'drift.stale': false, 'drift.checkedAt': now, 'drift.changes': [], 'drift.error': undefined };
+    }
+
+    const changes = compareSnapshots(gen.contextSnapshot, snapshot);
+    return {
+        'drift.stale': changes.length > 0,
+        'drift.checkedAt': now,
+        // Keep the first detection time while the generation stays stale
+        'drift.detectedAt': changes.length > 0 ? (gen.drift?.stale && gen.drift.detectedAt) || now : undefined,
+        'drift.changes': changes,
+        'drift.error': undefined
+    };
+}
+
+// Current context snapshot of an issue, or { error }
+async function fetchSnapshot(jira, issueKey) {
+    const issueResult = await jira.getIssue(issueKey);
+    if (!issueResult.success) {
+        return { error: issueResult.error || 'Issue not found in JIRA' };
+    }
+    const project = await findProjectForIssue(issueKey);
+    return { snapshot: buildContextSnapshot(buildIssueContext(jira, issueResult.issue, resolveFieldMapping(project))) };
+}
+
+// Save a drift check result on the generation (and apply it to the loaded document)
+async function recordDrift(gen, update) {
+    const $set = {};
+    const $unset = {};
+    for (const [path, value] of Object.entries(update)) {
+        if (value === undefined) {
+            $unset[path] = 1;
+        } else {
+            $set[path] = value;
+        }
+    }
+    await Generation.updateOne({ _id: gen._id }, { $set, $unset });
+    gen.set(update);
+}
+
+/*
+* Re-fetch the issue of a completed generation and record whether its requirements changed.
+* Returns the updated drift (see serializeDrift).
+*/
+export async function checkGenerationDrift(gen, jira = getJiraService()) {
+    const { snapshot, error } = await fetchSnapshot(jira, gen.issueKey);
+    if (error) {
+        await recordDrift(gen, { 'drift.checkedAt': new Date(), 'drift.error': error });
+    } else {
+        await recordDrift(gen, buildDriftUpdate(gen, snapshot));
+    }
+    return serializeDrift(gen);
+}
+
+/*
+* One drift check run: completed generations not checked within driftConfig.recheckAfterMs, oldest check first.
+* Each issue is fetched once. Returns { checked, stale, errors }.
+*/
+export async function runDriftCheck({ limit = driftConfig.batchSize } = {}) {
+    const checkedBefore = new Date(Date.now() - driftConfig.recheckAfterMs);
+    const generations = await Generation.find({
+        status: 'completed',
+        $or: [{ 'drift.checkedAt': { $exists: false } }, { 'drift.checkedAt': { $lt: checkedBefore } }]
+    })
+        .select('issueKey contextSnapshot drift')
+        .sort({ 'drift.checkedAt': 1 })
+        .limit(limit);
+
+    const jira = getJiraService();
+    const snapshots = new Map();
+    const summary = { checked: 0, stale: 0, errors: 0 };
+    for (const gen of generations) {
+        try {
+            if (!snapshots.has(gen.issueKey)) {
+                // A failed fetch is recorded like a JIRA error, so the generation moves back in the queue
+                snapshots.set(gen.issueKey, await fetchSnapshot(jira, gen.issueKey).catch(e => ({ error: e.message })));
+            }
+            const { snapshot, error } = snapshots.get(gen.issueKey);
+            if (error) {
+                await recordDrift(gen, { 'drift.checkedAt': new Date(), 'drift.error': error });
+                summary.errors++;
+            } else {
+                await recordDrift(gen, buildDriftUpdate(gen, snapshot));
+                if (gen.drift.stale) summary.stale++;
+            }
+            summary.checked++;
+        } catch (e) {
+            logger.error(`Drift check of generation ${gen._id} failed: ${e.message}`);
+            summary.errors++;
+        }
+    }
+
+    logger.info(`Drift check: ${summary.checked} generation(s) checked, ${summary.stale} stale, ${summary.errors} error(s)`);
+    return summary;
+}
+
+// Drift state as returned by the API, with a line diff of each changed requirement
+export function serializeDrift(gen) {
+    const drift = gen.drift || {};
+    return {
+        stale: Boolean(drift.stale),
+        checkedAt: drift.checkedAt,
+        detectedAt: drift.detectedAt,
+        error: drift.error,
+        snapshotAt: gen.contextSnapshot?.capturedAt,
+        changes: (drift.changes || []).map(({ field, before, after }) => ({
+            field,
+            label: FIELD_LABELS[field],
+            before,
+            after,
+            diff: diffLines(before || '', after || '')
+        }))
+    };
+}
+
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, Math.max(max - 15, 0))}\n[...truncated]` : text);
+
+/*
+* Refinement instructions that make the model update only the test cases affected by the changed requirements.
+* Long requirement texts are truncated to keep the instructions within `maxLength` characters (the issue itself
+* is in the prompt in full).
+*/
+export function buildDriftInstructions(changes, { maxLength = Infinity } = {}) {
+    const intro = [
+        'The JIRA issue changed after these test cases were written. The issue information above is the current version.',
+        'Update only the test cases affected by the changes below: modify the ones whose requirement changed, add test cases for new requirements and remove test cases for requirements that no longer exist. Return every other test case unchanged.',
+        ''
+    ];
+    const headings = changes.map(({ field }) => `### ${FIELD_LABELS[field]}\nBefore:\n\n\nNow:\n`);
+    const fixedLength = [...intro, ...headings].join('\n').length + changes.length;
+    // Each before/after text gets an equal share of what is left
+    const share = Math.floor((maxLength - fixedLength) / (changes.length * 2));
+
+    const sections = changes.map(({ field, before, after }) => (
+        `### ${FIELD_LABELS[field]}\nBefore:\n${truncate(before || '(empty)', share)}\n\nNow:\n${truncate(after || '(empty)', share)}`
+    ));
+    return [...intro, ...sections].join('\n');
+}
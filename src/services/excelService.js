@@ -1,49 +1,5 @@
 import ExcelJS from 'exceljs';
-
-function cleanMarkdown(text = '') {
-    return text
-        .replace(/^#{1,6}\s*/gm, '')
-        .replace(/^\d+\.\s+/gm, '• ') // ✅ giữ step
-        .replace(/\*\*(.*?)\*\*/g, '$1')
-        .replace(/\*(.*?)\*/g, '$1')
-        .replace(/^\s*[-*•]\s+/gm, '')
-        .replace(/[`>]/g, '')
-        .replace(/\n{2,}/g, '\n')
-        .trim();
-}
-
-function extractSection(text, label) {
-    const pattern = new RegExp(
-        `-\\s*\\*\\*${label}\\*\\*:\\s*([\\s\\S]*?)(?=\\n\\s*-\\s*\\*\\*|\\n###|$)`,
-        'i'
-    );
-
-    const match = text.match(pattern);
-    return match ? match[1].trim() : '';
-}
-
-function parseTestCases(markdown) {
-    const cases = [];
-    const blocks = markdown.split(/### Test Case \d+:/).slice(1);
-
-    blocks.forEach((block, index) => {
-        const rawTitle = block.split('\n')[0].trim();
-
-        cases.push({
-            id: `Test Case ${index + 1}`,
-            title: cleanMarkdown(rawTitle),
-            priority: cleanMarkdown(extractSection(block, 'Priority')),
-            preconditions: cleanMarkdown(extractSection(block, 'Preconditions')),
-            steps: cleanMarkdown(extractSection(block, 'Steps')),
-            expected: cleanMarkdown(
-                extractSection(block, 'Expected Result') ||
-                extractSection(block, 'Expected Results')
-            )
-        });
-    });
-
-    return cases;
-}
+import { getGenerationTestCases } from '../utils/testCaseUtils.js';
 
 export async function generateExcelBuffer(gen) {
     const workbook = new ExcelJS.Workbook();
@@ -52,22 +8,34 @@ export async function generateExcelBuffer(gen) {
     sheet.columns = [
         { header: 'Test Case', key: 'id', width: 15 },
         { header: 'Title', key: 'title', width: 40 },
+        { header: 'Category', key: 'category', width: 25 },
         { header: 'Priority', key: 'priority', width: 12 },
         { header: 'Preconditions', key: 'preconditions', width: 40 },
         { header: 'Steps', key: 'steps', width: 60 },
-        { header: 'Expected Results', key: 'expected', width: 60 }
+        { header: 'Expected Results', key: 'expected', width: 60 },
+        { header: 'Tags', key: 'tags', width: 20 },
+        { header: 'Acceptance Criteria', key: 'acceptanceCriteria', width: 40 }
     ];
 
     sheet.getRow(1).font = { bold: true };
 
-    const markdown = gen.result?.markdown?.content || '';
-    const testCases = parseTestCases(markdown);
+    const testCases = getGenerationTestCases(gen);
 
-    testCases.forEach(tc => sheet.addRow(tc));
+    testCases.forEach(tc => sheet.addRow({
+        id: tc.id,
+        title: tc.title,
+        category: tc.category,
+        priority: tc.priority,
+        preconditions: (tc.preconditions || []).map(p => `• ${p}`).join('\n'),
+        steps: (tc.steps || []).map((step, i) => `${i + 1}. ${step}`).join('\n'),
+        expected: tc.expected,
+        tags: (tc.tags || []).join(', '),
+        acceptanceCriteria: (tc.acceptanceCriteria || []).join('\n')
+    }));
 
     sheet.eachRow(row => {
         row.alignment = { wrapText: true, vertical: 'top' };
     });
 
     return await workbook.xlsx.writeBuffer();
-}
\ No newline at end of file
+}
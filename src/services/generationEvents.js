@@ -0,0 +1,49 @@
+import { EventEmitter } from 'events';
+
+/*
+* In-process progress bus for running generations.
+* The pipeline publishes phase/token events; SSE clients subscribe per generation id.
+* A small snapshot (current phase + streamed content so far) is kept so late subscribers can catch up.
+*/
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const snapshots = new Map();
+
+export function publishGenerationEvent(generationId, event) {
+    const id = String(generationId);
+    const snapshot = snapshots.get(id) || { phase: null, content: '' };
+
+    if (event.type === 'phase') {
+        snapshot.phase = event.phase;
+        // A new model attempt restarts the streamed output
+        if (event.phase === 'calling_model') snapshot.content = '';
+    } else if (event.type === 'token') {
+        snapshot.content += event.delta;
+    }
+
+    if (event.type === 'done' || event.type === 'error') {
+        snapshots.delete(id);
+    } else {
+        snapshots.set(id, snapshot);
+    }
+
+    emitter.emit(id, event);
+}
+
+// Returns an unsubscribe function
+export function subscribeGenerationEvents(generationId, listener) {
+    const id = String(generationId);
+    emitter.on(id, listener);
+    return () => emitter.off(id, listener);
+}
+
+export function getGenerationSnapshot(generationId) {
+    return snapshots.get(String(generationId)) || null;
+}
+
+// Bind a progress callback to a generation id
+export function generationProgress(generationId) {
+    return event => publishGenerationEvent(generationId, event);
+}
@@ -0,0 +1,570 @@
+import crypto from 'crypto';
+import JiraService from './jiraService.js';
+import { getLLMProvider } from './llm/index.js';
+import { buildRefineFollowUps } from './llm/prompts.js';
+import { logger } from '../utils/logger.js';
+import { contextConfig } from '../config/index.js';
+import Project from '../models/Project.js';
+import Generation from '../models/Generation.js';
+import { extractProject, findOrCreateProject, updateProjectStats } from '../utils/projectUtils.js';
+import { normalizeTestCases, parseTestCasesMarkdown, renderTestCasesMarkdown } from '../utils/testCaseUtils.js';
+import { resolvePromptTemplate, buildPromptVariables, renderPrompt } from './promptTemplateService.js';
+import { getReviewStatus } from './reviewService.js';
+import { classifyByHeuristics, classifyStory, readStoryFeatures } from './classificationService.js';
+
+// JIRA fields used when a project has no mapping configured
+export const DEFAULT_FIELD_MAPPING = {
+    acceptanceCriteria: ['customfield_10026', 'customfield_10016'],
+    storyPoints: null,
+    components: 'components',
+    extraContext: []
+};
+
+// Image types accepted by OpenAI vision
+const VISION_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// Existing generations reported by the prelight
+const MAX_EXISTING_GENERATIONS = 20;
+
+let jiraService = null;
+
+export function getJiraService() {
+    if (!jiraService) {
+        try {
+            jiraService = new JiraService();
+        } catch (error) {
+            throw new Error('JIRA service not configured. Please set JIRA_EMAIL and JIRA_API_TOKEN in .env');
+        }
+    }
+    return jiraService
+}
+
+// Error raised by the generation pipeline. `status` is the HTTP status to report
+// and `retryable` tells the worker whether another attempt could succeed.
+export class GenerationError extends Error {
+    constructor(message, { status = 500, retryable = false, reason } = {}) {
+        super(message);
+        this.name = 'GenerationError';
+        this.status = status;
+        this.retryable = retryable;
+        // Message stored on the generation document (defaults to the error message)
+        this.reason = reason || message;
+    }
+}
+
+// Map a JiraService error message to an HTTP status code
+export function jiraErrorStatus(error = '') {
+    if (error.includes('authentication') || error.includes('forbidden')) return 401;
+    if (error.includes('not found') || error.includes('Invalid issue key')) return 404;
+    return 500;
+}
+
+// Comment threads of an issue (most recent last), without author names
+function buildCommentsSection(jira, fields) {
+    const comments = fields.comment?.comments || [];
+    if (comments.length === 0) return '';
+
+    const recent = comments.slice(-contextConfig.maxComments);
+    const lines = recent
+        .map((comment, index) => {
+            let text = jira.extractTextFromADF(comment.body) || '';
+            if (!text.trim()) return null;
+            if (text.length > contextConfig.maxCommentChars) {
+                text = `${text.slice(0, contextConfig.maxCommentChars)}…`;
+            }
+            const date = comment.created ? ` (${comment.created.slice(0, 10)})` : '';
+            return `Comment ${index + 1}${date}:\n${text}`;
+        })
+        .filter(Boolean);
+
+    if (lines.length === 0) return '';
+    const omitted = comments.length - recent.length;
+    return `Comments${omitted > 0 ? ` (${omitted} older comments omitted)` : ''}:\n${lines.join('\n\n')}`;
+}
+
+// One line per linked issue: relationship, key, type, status and summary
+function buildLinkedIssuesSection(fields) {
+    const links = (fields.issuelinks || []).slice(0, contextConfig.maxLinkedIssues);
+    const lines = links
+        .map(link => {
+            const linked = link.outwardIssue || link.inwardIssue;
+            if (!linked) return null;
+            const relation = link.outwardIssue ? link.type?.outward : link.type?.inward;
+            const type = linked.fields?.issuetype?.name;
+            const status = linked.fields?.status?.name;
+            const meta = [type, status].filter(Boolean).join(', ');
+            return `- ${relation || 'relates to'} ${linked.key}${meta ? ` [${meta}]` : ''}: ${linked.fields?.summary || ''}`;
+        })
+        .filter(Boolean);
+
+    return lines.length ? `Linked Issues:\n${lines.join('\n')}` : '';
+}
+
+// Pick the image attachments that will be sent as vision inputs, honouring count/size limits
+export function selectImageAttachments(fields) {
+    const images = (fields.attachment || []).filter(att => att.mimeType?.startsWith('image/'));
+    const selected = [];
+    const skipped = [];
+
+    for (const att of images) {
+        if (!VISION_MIME_TYPES.includes(att.mimeType)) {
+            skipped.push({ filename: att.filename, reason: `unsupported type ${att.mimeType}` });
+        } else if (att.size > contextConfig.maxImageBytes) {
+            skipped.push({ filename: att.filename, reason: 'too large' });
+        } else if (selected.length >= contextConfig.maxImages) {
+            skipped.push({ filename: att.filename, reason: 'image limit reached' });
+        } else {
+            selected.push(att);
+        }
+    }
+    return { selected, skipped };
+}
+
+// Merge a project's configured JIRA field mapping over the defaults
+export function resolveFieldMapping(project) {
+    const configured = project?.jiraFields || {};
+    return {
+        acceptanceCriteria: configured.acceptanceCriteria?.length ? configured.acceptanceCriteria : DEFAULT_FIELD_MAPPING.acceptanceCriteria,
+        storyPoints: configured.storyPoints || DEFAULT_FIELD_MAPPING.storyPoints,
+        components: configured.components || DEFAULT_FIELD_MAPPING.components,
+        extraContext: configured.extraContext?.length ? configured.extraContext : DEFAULT_FIELD_MAPPING.extraContext
+    };
+}
+
+// Project an issue belongs to (null when it has never been generated for)
+export async function findProjectForIssue(issueKey) {
+    const projectKey = extractProject(issueKey);
+    return projectKey ? Project.findOne({ projectKey }) : null;
+}
+
+// Render any JIRA field value (ADF, option, user, array, scalar) as text
+export function formatFieldValue(jira, value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') return String(value);
+    if (Array.isArray(value)) {
+        return value.map(item => formatFieldValue(jira, item)).filter(Boolean).join(', ');
+    }
+    if (value.type === 'doc') return jira.extractTextFromADF(value);
+    return value.value ?? value.name ?? value.displayName ?? value.key ?? '';
+}
+
+// Build the prompt context string from a JIRA issue
+export function buildIssueContext(jira, issue, fieldMapping = DEFAULT_FIELD_MAPPING) {
+    const fields = issue.fields;
+    const summary = fields.summary || '';
+    const description = jira.extractTextFromADF(fields.description) || '';
+
+    // Extract acceptance criteria from the first mapped field that has a value
+    let acceptanceCriteria = '';
+    for (const fieldId of fieldMapping.acceptanceCriteria) {
+        acceptanceCriteria = formatFieldValue(jira, fields[fieldId]);
+        if (acceptanceCriteria) break;
+    }
+
+    const storyPoints = fieldMapping.storyPoints ? formatFieldValue(jira, fields[fieldMapping.storyPoints]) : '';
+    const components = fieldMapping.components ? formatFieldValue(jira, fields[fieldMapping.components]) : '';
+    const extraSections = (fieldMapping.extraContext || [])
+        .map(({ fieldId, label }) => {
+            const value = formatFieldValue(jira, fields[fieldId]);
+            return value ? `${label || fieldId}:\n${value}` : '';
+        });
+
+    const sections = [
+        `Title: ${summary}`,
+        `Description:\n${description}`,
+        acceptanceCriteria ? `Acceptance Criteria:\n${acceptanceCriteria}` : '',
+        storyPoints ? `Story Points: ${storyPoints}` : '',
+        components ? `Components: ${components}` : '',
+        ...extraSections,
+        buildCommentsSection(jira, fields),
+        buildLinkedIssuesSection(fields)
+    ];
+    const { selected, skipped } = selectImageAttachments(fields);
+    if (selected.length > 0) {
+        sections.push(`Attached screenshots/mockups (provided as images): ${selected.map(att => att.filename).join(', ')}`);
+    }
+
+    const context = sections.filter(Boolean).join('\n\n');
+
+    return { summary, description, acceptanceCriteria, context, imageAttachments: selected, skippedImages: skipped };
+}
+
+/*
+* Snapshot of the JIRA context test cases are generated from (see services/driftService.js).
+* `hash` covers the whole prompt context (comments, linked issues and mapped fields included).
+*/
+export function buildContextSnapshot({ summary, description, acceptanceCriteria, context }) {
+    return {
+        hash: crypto.createHash('sha256').update(context).digest('hex'),
+        title: summary,
+        description,
+        acceptanceCriteria,
+        context,
+        capturedAt: new Date()
+    };
+}
+
+/*
+* Build the context of an issue and render the prompt template that applies to it.
+* `template` ({ systemPrompt, userPrompt, ref }) overrides the active template (used by previews).
+* `storyType` picks the test case categories; otherwise `classification` (a classifyStory() result) does, and without
+* either the story is classified with the keyword heuristics (estimates).
+* Returns the buildIssueContext() fields plus project, prompt ({ systemPrompt, userPrompt }), promptTemplate (ref)
+* and classification ({ storyType, confidence, source, plus provider, model and cost when the classifier model answered }).
+*/
+export async function buildIssuePrompt(jira, issue, { issueKey, autoMode = false, template, storyType, classification: classified } = {}) {
+    const project = await findProjectForIssue(issueKey);
+    const built = buildIssueContext(jira, issue, resolveFieldMapping(project));
+    const { scores, signals, heuristic, ...classification } = storyType
+        ? { storyType, confidence: 1, source: 'request' }
+        : classified || classifyByHeuristics(readStoryFeatures(jira, issue));
+    const resolved = template || await resolvePromptTemplate(project, autoMode ? 'auto' : 'manual');
+    const prompt = renderPrompt(resolved, buildPromptVariables({ issueKey, autoMode, project, ...built, storyType: classification.storyType }));
+    return { ...built, project, prompt, promptTemplate: resolved.ref, classification };
+}
+
+// Download the selected image attachments and convert them to vision inputs (data URLs)
+export async function loadIssueImages(jira, imageAttachments) {
+    const images = [];
+    for (const att of imageAttachments) {
+        const result = await jira.downloadAttachment(att);
+        if (!result.success) {
+            logger.warn(`Skipping image ${att.filename}: ${result.error}`);
+            continue;
+        }
+        if (result.buffer.length > contextConfig.maxImageBytes) {
+            logger.warn(`Skipping image ${att.filename}: exceeds ${contextConfig.maxImageBytes} bytes`);
+            continue;
+        }
+        images.push({
+            filename: att.filename,
+            url: `data:${result.mimeType};base64,${result.buffer.toString('base64')}`,
+            detail: contextConfig.imageDetail
+        });
+    }
+    return images;
+}
+
+// Follow-up turns for a refinement ({ testCases, instructions }): the current test cases as the previous answer
+function refineFollowUps(refine, summary) {
+    if (!refine) return [];
+    return buildRefineFollowUps(JSON.stringify({ title: summary, testCases: refine.testCases }), refine.instructions);
+}
+
+/*
+* Estimate tokens and cost of generating (or refining, see generateForIssue) test cases for an already fetched issue
+* with provider `llm`. Returns the built prompt (see buildIssuePrompt) plus `estimate` (see LLMProvider.estimate).
+*/
+export async function estimateIssueGeneration(jira, issue, { issueKey, autoMode = false, llm, template, refine, storyType }) {
+    const built = await buildIssuePrompt(jira, issue, { issueKey, autoMode, template, storyType });
+    const images = built.imageAttachments.map(() => ({ detail: contextConfig.imageDetail }));
+    const followUps = refineFollowUps(refine, built.summary);
+    return { ...built, estimate: llm.estimate(built.context, issueKey, autoMode, images, { prompt: built.prompt, followUps }) };
+}
+
+// Prelight estimate for a new generation or refinement, or null when the issue or provider is unavailable
+// (the generation pipeline reports those errors itself)
+export async function estimateGenerationCost({ issueKey, autoMode = false, provider, model, refine, storyType }) {
+    let llm;
+    try {
+        llm = getLLMProvider(provider, { model });
+    } catch {
+        return null;
+    }
+    const jira = getJiraService();
+    const issueResult = await jira.getIssue(issueKey);
+    if (!issueResult.success) return null;
+
+    const { estimate } = await estimateIssueGeneration(jira, issueResult.issue, { issueKey, autoMode, llm, refine, storyType });
+    return estimate;
+}
+
+// Turn raw model output into structured test cases + rendered markdown.
+// Falls back to parsing markdown when the model (or provider) ignored the JSON format.
+export function parseModelOutput(raw, { issueKey, summary, autoMode = false }) {
+    const text = (raw || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    try {
+        const parsed = JSON.parse(text);
+        const testCases = normalizeTestCases(parsed.testCases || []);
+        if (testCases.length > 0) {
+            return {
+                testCases,
+                content: renderTestCasesMarkdown({ issueKey, title: summary || parsed.title, testCases, autoMode })
+            };
+        }
+    } catch {
+        // Not JSON: treat as markdown below
+    }
+
+    let content = raw || '';
+    // Ensure we have a proper title
+    if (!content.startsWith('#')) {
+        content = `# Test Cases for ${issueKey}: ${summary || 'Untitled'}\n\n${content}`;
+    }
+    return { testCases: parseTestCasesMarkdown(content), content };
+}
+
+// Fetch the JIRA issue and generate test cases for it. Does not touch the database.
+// `onProgress` receives phase and token events (see services/generationEvents.js); aborting `signal` cancels the model call.
+// With `refine` ({ testCases, instructions }) the model revises existing test cases in a follow-up turn instead.
+// `storyType` overrides the story classification that picks the test case categories; without it the story is
+// classified as in the prelight (classifyStory), and a classifier model call is billed with the generation.
+export async function generateForIssue({ issueKey, autoMode = false, provider, model, refine, storyType }, { onProgress, signal } = {}) {
+    const startTime = Date.now();
+    const emit = onProgress || (() => {});
+
+    let llm;
+    try {
+        llm = getLLMProvider(provider, { model });
+    } catch (error) {
+        throw new GenerationError(error.message, { status: 400 });
+    }
+
+    // Fetch issue from JIRA
+    emit({ type: 'phase', phase: 'fetching_jira' });
+    const jira = getJiraService();
+    const issueResult = await jira.getIssue(issueKey);
+
+    if (!issueResult.success) {
+        const error = issueResult.error || 'Failed to fetch JIRA issue';
+        const status = jiraErrorStatus(error);
+        throw new GenerationError(error, { status, retryable: status === 500 });
+    }
+
+    emit({ type: 'phase', phase: 'building_context' });
+    const classification = storyType ? undefined : await classifyStory(readStoryFeatures(jira, issueResult.issue));
+    const built = await buildIssuePrompt(jira, issueResult.issue, { issueKey, autoMode, storyType, classification });
+    const { summary, context, imageAttachments, prompt, promptTemplate } = built;
+    const images = await loadIssueImages(jira, imageAttachments);
+
+    // Generate test cases with the selected LLM provider
+    let output;
+    let tokenUsage = null;
+    let cost = null;
+
+    try {
+        logger.info(`Generating test cases with ${llm.name}/${llm.model} (mode: ${autoMode ? 'auto' : 'manual'})`);
+        const result = await llm.generateTestCases(context, issueKey, autoMode, images, {
+            prompt,
+            followUps: refineFollowUps(refine, summary),
+            onAttempt: attempt => emit({ type: 'phase', phase: 'calling_model', attempt }),
+            onToken: onProgress ? delta => emit({ type: 'token', delta }) : undefined,
+            signal
+        });
+
+        // Handle response format
+        let raw;
+        if (typeof result === 'string') {
+            raw = result;
+        } else {
+            raw = result.content;
+            tokenUsage = result.tokenUsage;
+            cost = result.cost;
+        }
+
+        output = parseModelOutput(raw, { issueKey, summary, autoMode });
+    } catch (error) {
+        logger.error(`${llm.name} generation failed: ${error.message}`);
+        throw new GenerationError(error.message || 'Failed to generate test cases', {
+            status: 500,
+            retryable: true,
+            reason: `${llm.name} generation failed: ${error.message}`
+        });
+    }
+    // A refinement must not wipe the existing test cases
+    if (refine && output.testCases.length === 0) {
+        throw new GenerationError('The model did not return any test cases', { status: 502 });
+    }
+
+    return {
+        summary,
+        content: output.content,
+        testCases: output.testCases,
+        provider: llm.name,
+        model: llm.model,
+        promptTemplate,
+        contextSnapshot: buildContextSnapshot(built),
+        classification: built.classification,
+        tokenUsage,
+        cost: built.classification.cost ? (cost || 0) + built.classification.cost : cost,
+        generationTimeSeconds: (Date.now() - startTime) / 1000
+    };
+}
+
+// Project a new generation of `issueKey` belongs to (created on first use), or null
+async function resolveGenerationProject(issueKey, email) {
+    const projectKey = extractProject(issueKey);
+    if (!projectKey) return null;
+    try {
+        const project = await findOrCreateProject(projectKey, email);
+        logger.info(`Associated generation with project: ${projectKey}`);
+        return project;
+    } catch (projectError) {
+        logger.warn(`Failed to find/create project ${projectKey}: ${projectError.message}. Continuing without project.`);
+        return null;
+    }
+}
+
+/*
+* Create the generation document for an issue (and its project on first use) and count it in the project's stats.
+* Queued generations are run by the generation worker; otherwise the caller runs the pipeline and saves the result.
+* `batch` and `trigger` record what created the generation when it was not a user request.
+* `storyType` is the story type the caller chose (e.g. from the prelight classification); the worker generates with it.
+*/
+export async function createGeneration({
+    issueKey,
+    email,
+    autoMode = false,
+    provider,
+    model,
+    estimatedCost,
+    quotaOverriddenBy,
+    queued = true,
+    batch,
+    trigger,
+    storyType
+}) {
+    const project = await resolveGenerationProject(issueKey, email);
+    const generation = await Generation.create({
+        issueKey,
+        email,
+        project: project ? project._id : undefined,
+        batch,
+        trigger,
+        mode: autoMode ? 'auto' : 'manual',
+        provider,
+        model,
+        estimatedCost,
+        quotaOverriddenBy,
+        classification: storyType ? { storyType, confidence: 1, source: 'request' } : undefined,
+        status: queued ? 'queued' : 'running',
+        startedAt: queued ? undefined : new Date()
+    });
+
+    if (project) {
+        await updateProjectStats(project._id, 1);
+    }
+    return generation;
+}
+
+/*
+* Generations of the same issue (case-insensitive) a new one would duplicate: the caller's own, finished or
+* in progress, and published ones. Newest first.
+*/
+export async function findExistingGenerations(issueKey, email) {
+    const escaped = issueKey.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return Generation.find({
+        issueKey: new RegExp(`^${escaped}$`, 'i'),
+        status: { $ne: 'failed' },
+        $or: [{ email }, { published: true, status: 'completed' }]
+    })
+        .select('issueKey email status provider model cost published publishedAt review.status currentVersion versions.version versions.updatedAt drift.stale drift.checkedAt drift.detectedAt forkedFrom createdAt completedAt')
+        .sort({ createdAt: -1 })
+        .limit(MAX_EXISTING_GENERATIONS);
+}
+
+// Existing generation as reported by the prelight
+export function serializeExistingGeneration(gen, email) {
+    const versions = gen.versions || [];
+    return {
+        id: gen._id,
+        issueKey: gen.issueKey,
+        email: gen.email,
+        mine: gen.email === email,
+        status: gen.status,
+        provider: gen.provider,
+        model: gen.model,
+        cost: gen.cost,
+        published: gen.published || false,
+        publishedAt: gen.publishedAt,
+        reviewStatus: getReviewStatus(gen),
+        currentVersion: gen.currentVersion || 1,
+        versions: versions.length,
+        lastUpdatedAt: versions[versions.length - 1]?.updatedAt || gen.completedAt || gen.createdAt,
+        stale: Boolean(gen.drift?.stale),
+        driftCheckedAt: gen.drift?.checkedAt,
+        forkedFrom: gen.forkedFrom?.generation ? gen.forkedFrom : undefined,
+        createdAt: gen.createdAt,
+        completedAt: gen.completedAt
+    };
+}
+
+/*
+* Copy the current content of a completed generation into a new generation owned by `email`, without a model call.
+* The copy starts its own version history and review; it keeps the source's JIRA snapshot and drift state.
+*/
+export async function forkGeneration(source, { email, quotaOverriddenBy }) {
+    const project = await resolveGenerationProject(source.issueKey, email);
+    const { testCases = [], promptTemplate, classification, contextSnapshot, drift } = source.toObject();
+    const now = new Date();
+    const generation = new Generation({
+        issueKey: source.issueKey,
+        email,
+        project: project ? project._id : undefined,
+        forkedFrom: { generation: source._id, version: source.currentVersion || 1 },
+        mode: source.mode,
+        provider: source.provider,
+        model: source.model,
+        promptTemplate,
+        classification,
+        status: 'completed',
+        startedAt: now,
+        completedAt: now,
+        generationTimeSeconds: 0,
+        cost: 0,
+        estimatedCost: 0,
+        quotaOverriddenBy,
+        testCases,
+        contextSnapshot,
+        drift,
+        currentVersion: 1
+    });
+    generation.result = {
+        markdown: {
+            filename: `${source.issueKey}_testcases_${generation._id}.md`,
+            content: source.result?.markdown?.content || ''
+        }
+    };
+    await generation.save();
+
+    if (project) {
+        await updateProjectStats(project._id, 1);
+    }
+    logger.info(`Generation ${generation._id} forked from ${source._id} (version ${source.currentVersion || 1}) for ${email}`);
+    return generation;
+}
+
+// Fields to set on a generation once the pipeline succeeded
+export function buildCompletionUpdate(generation, result) {
+    return {
+        status: 'completed',
+        completedAt: new Date(),
+        generationTimeSeconds: Math.round(result.generationTimeSeconds * 100) / 100,
+        cost: result.cost,
+        tokenUsage: result.tokenUsage,
+        provider: result.provider,
+        model: result.model,
+        promptTemplate: result.promptTemplate,
+        contextSnapshot: result.contextSnapshot,
+        classification: result.classification,
+        drift: { stale: false, checkedAt: new Date(), changes: [] },
+        result: {
+            markdown: {
+                filename: `${generation.issueKey}_testcases_${generation._id}.md`,
+                content: result.content
+            }
+        },
+        testCases: result.testCases || [],
+        currentVersion: 1,
+        versions: []
+    };
+}
+
+// Fields to set on a generation once the pipeline failed for good
+export function buildFailureUpdate(error) {
+    return {
+        status: 'failed',
+        error: error.reason || error.message || 'Generation failed',
+        completedAt: new Date()
+    };
+}
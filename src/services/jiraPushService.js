@@ -0,0 +1,156 @@
+import { getGenerationTestCases } from '../utils/testCaseUtils.js';
+import { getJiraService } from './generationService.js';
+import { generatePdfBuffer, pdfFilename } from './pdfService.js';
+import { markdownToADF } from '../utils/adfUtils.js';
+import { extractProject } from '../utils/projectUtils.js';
+import { logger } from '../utils/logger.js';
+
+// JIRA summaries are limited to 255 characters
+const MAX_SUMMARY_LENGTH = 255;
+
+export const ATTACHMENT_FORMATS = ['md', 'pdf'];
+
+// Markdown body used for a test case issue description
+function testCaseToMarkdown(tc) {
+    const sections = [];
+    if (tc.priority) sections.push(`**Priority:** ${tc.priority}`);
+    if (tc.preconditions?.length) sections.push(`**Preconditions:**\n${tc.preconditions.map(p => `- ${p}`).join('\n')}`);
+    if (tc.steps?.length) sections.push(`**Steps:**\n${tc.steps.map((step, i) => `${i + 1}. ${step}`).join('\n')}`);
+    if (tc.expected) sections.push(`**Expected Result:**\n${tc.expected}`);
+    if (tc.acceptanceCriteria?.length) sections.push(`**Covers:**\n${tc.acceptanceCriteria.map(ac => `- ${ac}`).join('\n')}`);
+    return sections.join('\n\n');
+}
+
+// Markdown body of the summary comment posted on the story
+function buildCommentMarkdown(gen, testCases, version) {
+    const lines = [
+        `## Generated test cases (version ${version})`,
+        '',
+        `${testCases.length} test case(s) generated for ${gen.issueKey}.`,
+        ''
+    ];
+    testCases.forEach(tc => {
+        lines.push(`- **${tc.id}:** ${tc.title}${tc.priority ? ` (${tc.priority})` : ''}`);
+    });
+    return lines.join('\n');
+}
+
+/*
+* Push a completed generation to JIRA.
+* Options: { comment, attachment, attachmentFormat, project, issues, issueType, linkType, force, userEmail }
+* - the attachment is the markdown file or, with attachmentFormat 'pdf', the PDF export (`project`: the generation's project)
+* - comment/attachment are skipped if the current version was already pushed in that format (unless `force`)
+* - one issue is created per test case that has no issue yet (unless `force`)
+* Created ids/urls are recorded on gen.pdfAttachments / gen.jiraTickets; the caller saves the document.
+*/
+export async function pushGenerationToJira(gen, {
+    comment = true,
+    attachment = true,
+    attachmentFormat = 'md',
+    project,
+    issues = false,
+    issueType = 'Sub-task',
+    linkType = 'Relates',
+    force = false,
+    userEmail
+} = {}) {
+    const jira = getJiraService();
+    const issueKey = gen.issueKey.trim().toUpperCase();
+    const version = gen.currentVersion || 1;
+    const markdown = gen.result?.markdown?.content || '';
+    const testCases = getGenerationTestCases(gen);
+
+    const summary = { comment: null, attachment: null, issues: [], skipped: [], errors: [] };
+
+    // Comment + attachment for the current version (records from before formats were tracked are markdown)
+    const alreadyPushed = (gen.pdfAttachments || []).some(a => a.version === version && (a.format || 'md') === attachmentFormat);
+    if ((comment || attachment) && alreadyPushed && !force) {
+        summary.skipped.push(`Version ${version} was already pushed to ${issueKey} as ${attachmentFormat}`);
+    } else if (comment || attachment) {
+        const record = { attachedAt: new Date(), version, format: attachmentFormat, pushedBy: userEmail };
+
+        if (attachment) {
+            const file = attachmentFormat === 'pdf'
+                ? { filename: pdfFilename(gen), buffer: await generatePdfBuffer(gen, { project }), mimeType: 'application/pdf' }
+                : {
+                    filename: gen.result?.markdown?.filename || `${issueKey}_testcases.md`,
+                    buffer: Buffer.from(markdown, 'utf-8'),
+                    mimeType: 'text/markdown'
+                };
+            const result = await jira.addAttachment(issueKey, file.filename, file.buffer, file.mimeType);
+            if (result.success) {
+                record.attachmentId = String(result.attachment?.id);
+                record.filename = result.attachment?.filename || file.filename;
+                summary.attachment = { attachmentId: record.attachmentId, filename: record.filename };
+            } else {
+                summary.errors.push(`Attachment failed: ${result.error}`);
+            }
+        }
+
+        if (comment) {
+            const body = markdownToADF(buildCommentMarkdown(gen, testCases, version));
+            const result = await jira.addComment(issueKey, body);
+            if (result.success) {
+                record.commentId = String(result.comment.id);
+                summary.comment = { commentId: record.commentId };
+            } else {
+                summary.errors.push(`Comment failed: ${result.error}`);
+            }
+        }
+
+        if (record.attachmentId || record.commentId) {
+            gen.pdfAttachments.push(record);
+        }
+    }
+
+    // One issue per test case
+    if (issues) {
+        const projectKey = extractProject(issueKey);
+        const isSubTask = /sub-?task/i.test(issueType);
+
+        for (const tc of testCases) {
+            const existing = (gen.jiraTickets || []).find(t => t.testCaseId === tc.id);
+            if (existing && !force) {
+                summary.skipped.push(`${tc.id} already pushed as ${existing.issueKey}`);
+                continue;
+            }
+
+            const fields = {
+                project: { key: projectKey },
+                issuetype: { name: issueType },
+                summary: `[${tc.id}] ${tc.title}`.slice(0, MAX_SUMMARY_LENGTH),
+                description: markdownToADF(testCaseToMarkdown(tc))
+            };
+            if (isSubTask) fields.parent = { key: issueKey };
+
+            const result = await jira.createIssue(fields);
+            if (!result.success) {
+                summary.errors.push(`${tc.id}: ${result.error}`);
+                continue;
+            }
+
+            const createdKey = result.issue.key;
+            if (!isSubTask) {
+                const link = await jira.linkIssues(linkType, createdKey, issueKey);
+                if (!link.success) {
+                    summary.errors.push(`${tc.id}: created ${createdKey} but linking failed: ${link.error}`);
+                }
+            }
+
+            const ticket = {
+                issueKey: createdKey,
+                issueUrl: jira.getIssueUrl(createdKey),
+                issueType,
+                testCaseId: tc.id,
+                testCaseTitle: tc.title,
+                version,
+                createAt: new Date()
+            };
+            gen.jiraTickets.push(ticket);
+            summary.issues.push(ticket);
+        }
+    }
+
+    logger.info(`Pushed generation ${gen._id} to JIRA ${issueKey}: ${summary.issues.length} issue(s), ${summary.errors.length} error(s)`);
+    return summary;
+}
@@ -1,6 +1,7 @@
-import fetch from 'node-fetch';
+import fetch, { FormData, Blob } from 'node-fetch';
 import { jiraConfig } from '../config/index.js';
 import { logger } from '../utils/logger.js';
+import { adfToMarkdown } from '../utils/adfToMarkdown.js';
 
 class JiraService {
     constructor() {
@@ -40,20 +41,7 @@ class JiraService {
             });
 
             if (!response.ok) {
-                const errorText = await response.text();
-                let errorMessage = `JIRA API error: ${response.status}`;
-
-                // Parse JIRA error response
-                try {
-                    const errorJson = JSON.parse(errorText);
-                    if (errorJson.errorMessages && errorJson.errorMessages.length > 0) {
-                        errorMessage = errorJson.errorMessages[0];
-                    } else if (errorJson.message) {
-                        errorMessage = errorJson.message;
-                    }
-                } catch {
-                    errorMessage = errorText || errorMessage;
-                }
+                const errorMessage = await this.parseErrorResponse(response);
 
                 logger.error(`JIRA API error for ${normalizedKey}: ${response.status} - ${errorMessage}`);
 
@@ -84,27 +72,165 @@ class JiraService {
         }
     }
 
-    extractTextFromADF(adf) {
-        // Atlassian Document Format text extraction
-        // This method is REQUIRED - it converts JIRA's ADF format to plain text
-        if (!adf || typeof adf !== 'object') return '';
-
-        if (adf.content && Array.isArray(adf.content)) {
-            return adf.content
-                .map(node => {
-                    if (node.type === 'text' && node.text) {
-                        return node.text;
-                    }
-                    if (node.content) {
-                        return this.extractTextFromADF(node);
-                    }
-                    return '';
-                })
-                .filter(Boolean)
-                .join(' ');
+    // Extract a readable message from a failed JIRA response
+    async parseErrorResponse(response) {
+        const errorText = await response.text();
+        let errorMessage = `JIRA API error: ${response.status}`;
+
+        // Parse JIRA error response
+        try {
+            const errorJson = JSON.parse(errorText);
+            if (errorJson.errorMessages && errorJson.errorMessages.length > 0) {
+                errorMessage = errorJson.errorMessages[0];
+            } else if (errorJson.errors && Object.keys(errorJson.errors).length > 0) {
+                errorMessage = Object.entries(errorJson.errors).map(([field, msg]) => `${field}: ${msg}`).join('; ');
+            } else if (errorJson.message) {
+                errorMessage = errorJson.message;
+            }
+        } catch {
+            errorMessage = errorText || errorMessage;
+        }
+        return errorMessage;
+    }
+
+    // Send a request to the JIRA REST API. Returns { success, data } or { success: false, error, status }
+    async send(method, path, { json, formData } = {}) {
+        const url = `${this.baseUrl}${path}`;
+        try {
+            const headers = {
+                'Authorization': this.authHeader,
+                'Accept': 'application/json'
+            };
+            let body;
+            if (formData) {
+                // Required by JIRA for multipart uploads
+                headers['X-Atlassian-Token'] = 'no-check';
+                body = formData;
+            } else if (json !== undefined) {
+                headers['Content-Type'] = 'application/json';
+                body = JSON.stringify(json);
+            }
+
+            const response = await fetch(url, { method, headers, body });
+            if (!response.ok) {
+                const errorMessage = await this.parseErrorResponse(response);
+                logger.error(`JIRA API error for ${method} ${path}: ${response.status} - ${errorMessage}`);
+                return { success: false, status: response.status, error: errorMessage };
+            }
+
+            const text = await response.text();
+            return { success: true, data: text ? JSON.parse(text) : null };
+        } catch (error) {
+            logger.error(`JIRA request ${method} ${path} failed:`, error);
+            if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
+                return { success: false, error: `Cannot connect to JIRA at ${this.baseUrl}. Please check JIRA_BASE_URL configuration.` };
+            }
+            return { success: false, error: error.message || 'JIRA request failed' };
+        }
+    }
+
+    // Add a comment (ADF document) to an issue
+    async addComment(issueKey, adfBody) {
+        const result = await this.send('POST', `/rest/api/3/issue/${issueKey}/comment`, { json: { body: adfBody } });
+        if (!result.success) return result;
+        logger.info(`Added comment ${result.data.id} to JIRA issue ${issueKey}`);
+        return { success: true, comment: result.data };
+    }
+
+    // Upload a file as an attachment of an issue
+    async addAttachment(issueKey, filename, buffer, mimeType = 'application/octet-stream') {
+        const formData = new FormData();
+        formData.append('file', new Blob([buffer], { type: mimeType }), filename);
+
+        const result = await this.send('POST', `/rest/api/3/issue/${issueKey}/attachments`, { formData });
+        if (!result.success) return result;
+        // JIRA returns an array of created attachments
+        const attachment = Array.isArray(result.data) ? result.data[0] : result.data;
+        logger.info(`Attached ${filename} (${attachment?.id}) to JIRA issue ${issueKey}`);
+        return { success: true, attachment };
+    }
+
+    // Create an issue from a JIRA `fields` object
+    async createIssue(fields) {
+        const result = await this.send('POST', '/rest/api/3/issue', { json: { fields } });
+        if (!result.success) return result;
+        logger.info(`Created JIRA issue ${result.data.key}`);
+        return { success: true, issue: result.data };
+    }
+
+    // Link two issues, e.g. linkIssues('Relates', 'TES-1', 'TES-2')
+    async linkIssues(linkType, inwardKey, outwardKey) {
+        const result = await this.send('POST', '/rest/api/3/issueLink', {
+            json: {
+                type: { name: linkType },
+                inwardIssue: { key: inwardKey },
+                outwardIssue: { key: outwardKey }
+            }
+        });
+        if (!result.success) return result;
+        return { success: true };
+    }
+
+    // Download an attachment's binary content (attachment objects come from issue.fields.attachment)
+    async downloadAttachment(attachment) {
+        try {
+            const response = await fetch(attachment.content, {
+                method: 'GET',
+                headers: { 'Authorization': this.authHeader }
+            });
+            if (!response.ok) {
+                const errorMessage = await this.parseErrorResponse(response);
+                logger.error(`Failed to download JIRA attachment ${attachment.id}: ${response.status} - ${errorMessage}`);
+                return { success: false, error: errorMessage };
+            }
+            const buffer = Buffer.from(await response.arrayBuffer());
+            return { success: true, buffer, mimeType: attachment.mimeType || response.headers.get('content-type') };
+        } catch (error) {
+            logger.error(`Failed to download JIRA attachment ${attachment.id}:`, error);
+            return { success: false, error: error.message || 'Failed to download attachment' };
         }
+    }
+
+    // List all system and custom fields (GET /rest/api/3/field)
+    async getFields() {
+        const result = await this.send('GET', '/rest/api/3/field');
+        if (!result.success) return result;
+        return { success: true, fields: result.data || [] };
+    }
+
+    /*
+    * Find issues with a JQL query (POST /rest/api/3/search/jql), following pages up to `maxResults` issues.
+    * Returns { success, issues, truncated } (truncated: more issues matched than were returned).
+    */
+    async search(jql, { fields = ['summary', 'status', 'issuetype', 'project'], maxResults = 50 } = {}) {
+        const issues = [];
+        let nextPageToken;
+        do {
+            const result = await this.send('POST', '/rest/api/3/search/jql', {
+                json: {
+                    jql,
+                    fields,
+                    maxResults: Math.min(100, maxResults - issues.length),
+                    nextPageToken
+                }
+            });
+            if (!result.success) return result;
+            issues.push(...(result.data?.issues || []));
+            nextPageToken = result.data?.isLast === false ? result.data.nextPageToken : undefined;
+        } while (nextPageToken && issues.length < maxResults);
+
+        logger.info(`JIRA search returned ${issues.length} issue(s) for: ${jql}`);
+        return { success: true, issues: issues.slice(0, maxResults), truncated: Boolean(nextPageToken) };
+    }
 
-        return '';
+    // Browser URL of an issue
+    getIssueUrl(issueKey) {
+        return `${this.baseUrl}/browse/${issueKey}`;
+    }
+
+    // Convert a JIRA Atlassian Document Format field to markdown (lists, tables, code, headings… are preserved)
+    extractTextFromADF(adf) {
+        return adfToMarkdown(adf);
     }
 }
 
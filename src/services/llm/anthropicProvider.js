@@ -0,0 +1,135 @@
+import fetch from 'node-fetch';
+import LLMProvider from './baseProvider.js';
+import { TEST_CASES_SCHEMA } from './prompts.js';
+
+const API_VERSION = '2023-06-01';
+
+// Convert a `data:<mime>;base64,<data>` URL to an Anthropic image block
+function toImageBlock(image) {
+    const match = image.url.match(/^data:([^;]+);base64,(.*)$/);
+    if (!match) return null;
+    return { type: 'image', source: { type: 'base64', media_type: match[1], data: match[2] } };
+}
+
+/*
+* Anthropic Messages API provider (called over HTTP; no SDK dependency).
+* Structured output is obtained by forcing a tool call whose input schema is TEST_CASES_SCHEMA.
+*/
+export default class AnthropicProvider extends LLMProvider {
+    constructor({ apiKey, baseUrl = 'https://api.anthropic.com', ...options }) {
+        if (!apiKey) {
+            throw new Error('ANTHROPIC_API_KEY is not set in environment variables');
+        }
+        super({ name: 'anthropic', ...options });
+        this.apiKey = apiKey;
+        this.baseUrl = baseUrl;
+    }
+
+    buildBody({ systemPrompt, userPrompt, images, followUps = [], structured, maxTokens }) {
+        const content = [
+            ...images.map(toImageBlock).filter(Boolean),
+            { type: 'text', text: userPrompt }
+        ];
+        const body = {
+            model: this.model,
+            max_tokens: maxTokens,
+            temperature: 0.7,
+            system: systemPrompt,
+            messages: [{ role: 'user', content }, ...followUps.map(({ role, content: text }) => ({ role, content: text }))]
+        };
+        if (structured) {
+            body.tools = [{
+                name: TEST_CASES_SCHEMA.name,
+                description: 'Record the generated test cases',
+                input_schema: TEST_CASES_SCHEMA.schema
+            }];
+            body.tool_choice = { type: 'tool', name: TEST_CASES_SCHEMA.name };
+        }
+        return body;
+    }
+
+    async post(body, signal) {
+        const response = await fetch(`${this.baseUrl}/v1/messages`, {
+            method: 'POST',
+            signal,
+            headers: {
+                'x-api-key': this.apiKey,
+                'anthropic-version': API_VERSION,
+                'content-type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) {
+            const text = await response.text();
+            let message = text;
+            try {
+                message = JSON.parse(text).error?.message || text;
+            } catch {
+                // keep raw text
+            }
+            throw new Error(`Anthropic API error ${response.status}: ${message}`);
+        }
+        return response;
+    }
+
+    async complete(request) {
+        const body = this.buildBody(request);
+        if (request.onToken) {
+            return this.streamMessage(body, request.onToken, request.signal);
+        }
+
+        const response = await this.post(body, request.signal);
+        const message = await response.json();
+        const toolUse = message.content?.find(block => block.type === 'tool_use');
+        const content = toolUse
+            ? JSON.stringify(toolUse.input)
+            : (message.content || []).filter(block => block.type === 'text').map(block => block.text).join('');
+
+        return { content, usage: this.mapUsage(message.usage) };
+    }
+
+    // Stream a message, forwarding text (or tool input JSON) deltas to `onToken`
+    async streamMessage(body, onToken, signal) {
+        const response = await this.post({ ...body, stream: true }, signal);
+
+        let content = '';
+        let usage = {};
+        let buffer = '';
+        const decoder = new TextDecoder();
+        for await (const chunk of response.body) {
+            buffer += decoder.decode(chunk, { stream: true });
+            const events = buffer.split('\n\n');
+            buffer = events.pop();
+
+            for (const raw of events) {
+                const dataLine = raw.split('\n').find(line => line.startsWith('data:'));
+                if (!dataLine) continue;
+                const event = JSON.parse(dataLine.slice(5));
+
+                if (event.type === 'message_start') {
+                    usage = { ...usage, ...event.message?.usage };
+                } else if (event.type === 'message_delta') {
+                    usage = { ...usage, ...event.usage };
+                } else if (event.type === 'content_block_delta') {
+                    const delta = event.delta?.text ?? event.delta?.partial_json;
+                    if (delta) {
+                        content += delta;
+                        onToken(delta);
+                    }
+                } else if (event.type === 'error') {
+                    throw new Error(`Anthropic stream error: ${event.error?.message || 'unknown error'}`);
+                }
+            }
+        }
+
+        return { content, usage: this.mapUsage(usage) };
+    }
+
+    // input_tokens excludes cache reads/writes; promptTokens includes them so cached tokens can be priced separately
+    mapUsage(usage = {}) {
+        const cachedTokens = usage.cache_read_input_tokens || 0;
+        const promptTokens = (usage.input_tokens || 0) + cachedTokens + (usage.cache_creation_input_tokens || 0);
+        const completionTokens = usage.output_tokens || 0;
+        return { promptTokens, cachedTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+    }
+}
@@ -0,0 +1,192 @@
+import { logger } from '../../utils/logger.js';
+import { llmConfig } from '../../config/index.js';
+import { buildSystemPrompt, buildUserPrompt, STRUCTURED_OUTPUT_PROMPT, TEST_CASES_SCHEMA } from './prompts.js';
+import { calculateCost, getModelPricing } from './pricing.js';
+import { countChatTokens, countTextTokens } from './tokenizer.js';
+
+/*
+* Base class for LLM providers.
+* Subclasses implement `complete(request)` for a single API call; prompt building, retries and cost are shared.
+*
+* request: { systemPrompt, userPrompt, images, followUps, structured, onToken, maxTokens, signal }
+* followUps are extra { role, content } turns after the first user message (e.g. a refinement conversation).
+* `signal` (an AbortSignal) cancels the API call.
+* complete() resolves to { content, usage: { promptTokens, cachedTokens, completionTokens, totalTokens } }
+*
+* `pricingModel` is the model name used for the price table and tokenizer when `model` is not a real model name
+* (Azure deployments, local models).
+*/
+export default class LLMProvider {
+    constructor({ name, model, pricingModel, maxCompletionTokens = 8000, maxRetries = 3 }) {
+        this.name = name;
+        this.model = model;
+        this.pricingModel = pricingModel;
+        this.maxCompletionTokens = maxCompletionTokens;
+        this.maxRetries = maxRetries;
+    }
+
+    async complete() {
+        throw new Error(`${this.name} provider does not implement complete()`);
+    }
+
+    pricingKey() {
+        return this.pricingModel || this.model;
+    }
+
+    calculateCost(tokenUsage) {
+        return calculateCost(this.pricingKey(), tokenUsage);
+    }
+
+    // `prompt` ({ systemPrompt, userPrompt } rendered from a prompt template) replaces the built-in prompts;
+    // the structured output instructions are appended either way
+    buildRequest(context, issueKey, autoMode = false, images = [], { structured = true, onToken, prompt, followUps = [], signal } = {}) {
+        return {
+            systemPrompt: prompt
+                ? prompt.systemPrompt + (structured ? STRUCTURED_OUTPUT_PROMPT : '')
+                : buildSystemPrompt(autoMode, structured),
+            userPrompt: prompt ? prompt.userPrompt : buildUserPrompt(context, issueKey),
+            images,
+            followUps,
+            structured,
+            onToken,
+            maxTokens: this.maxCompletionTokens,
+            signal
+        };
+    }
+
+    // Chat messages for a request; images become image_url parts after the prompt text
+    buildMessages({ systemPrompt, userPrompt, images = [], followUps = [] }) {
+        const userMessage = {
+            role: 'user',
+            content: userPrompt
+        };
+
+        // Attach images (screenshots/mockups) as vision inputs
+        if (images.length > 0) {
+            userMessage.content = [
+                { type: 'text', text: userPrompt },
+                ...images.map(image => ({
+                    type: 'image_url',
+                    image_url: { url: image.url, detail: image.detail || 'auto' }
+                }))
+            ];
+        }
+
+        return [
+            {
+                role: 'system',
+                content: systemPrompt
+            },
+            userMessage,
+            ...followUps.map(({ role, content }) => ({ role, content }))
+        ];
+    }
+
+    // Tokens the structured output definition (response schema / tool) adds to the prompt
+    structuredOutputTokens(request) {
+        return request.structured ? countTextTokens(JSON.stringify(TEST_CASES_SCHEMA), this.pricingKey()) : 0;
+    }
+
+    // Prompt tokens of a request, tokenized the way it will be sent. Returns { total, text, images }.
+    countPromptTokens(request) {
+        const counted = countChatTokens(this.buildMessages(request), this.pricingKey());
+        const schema = this.structuredOutputTokens(request);
+        return { total: counted.total + schema, text: counted.text + schema, images: counted.images };
+    }
+
+    /*
+    * Estimate tokens and cost of generateTestCases() with the same arguments, without calling the model.
+    * `images` only need { detail } (and width/height when known). The output size is an assumption:
+    * `cost` uses expectedOutputTokens, `maxCost` the completion token limit.
+    */
+    estimate(context, issueKey, autoMode = false, images = [], {
+        structured = true,
+        prompt: renderedPrompt,
+        followUps,
+        expectedOutputTokens = llmConfig.expectedOutputTokens
+    } = {}) {
+        const request = this.buildRequest(context, issueKey, autoMode, images, { structured, prompt: renderedPrompt, followUps });
+        const prompt = this.countPromptTokens(request);
+        const completionTokens = Math.min(expectedOutputTokens, this.maxCompletionTokens);
+        const { model: pricingModel, known, input, cachedInput, output } = getModelPricing(this.pricingKey());
+
+        return {
+            provider: this.name,
+            model: this.model,
+            pricing: { model: pricingModel, known, input, cachedInput, output },
+            promptTokens: prompt.total,
+            textTokens: prompt.text,
+            imageTokens: prompt.images,
+            completionTokens,
+            maxCompletionTokens: this.maxCompletionTokens,
+            cost: this.calculateCost({ promptTokens: prompt.total, completionTokens }),
+            maxCost: this.calculateCost({ promptTokens: prompt.total, completionTokens: this.maxCompletionTokens })
+        };
+    }
+
+    // Fill in usage the API did not report (some local servers, interrupted streams) by counting tokens ourselves
+    completeUsage(request, content, usage = {}) {
+        if (usage.promptTokens && usage.completionTokens) return usage;
+
+        logger.warn(`${this.name} did not report token usage; counting tokens locally`);
+        const promptTokens = usage.promptTokens || this.countPromptTokens(request).total;
+        const completionTokens = usage.completionTokens || countTextTokens(content, this.pricingKey());
+        return {
+            promptTokens,
+            cachedTokens: usage.cachedTokens || 0,
+            completionTokens,
+            totalTokens: promptTokens + completionTokens
+        };
+    }
+
+    // Delay before the next attempt (exponential backoff)
+    retryDelay(attempt) {
+        return Math.pow(2, attempt) * 1000;
+    }
+
+    // Pass `onToken` to stream the completion; `onAttempt` is called before every API attempt.
+    // With `structured` (default) the model returns JSON matching TEST_CASES_SCHEMA instead of markdown.
+    // `followUps` continue the conversation after the issue prompt (see buildRefineFollowUps).
+    // Aborting `signal` cancels the call in flight and stops the retries.
+    async generateTestCases(context, issueKey, autoMode = false, images = [], { onToken, onAttempt, structured = true, prompt, followUps, signal } = {}) {
+        const request = this.buildRequest(context, issueKey, autoMode, images, { structured, onToken, prompt, followUps, signal });
+        if (images.length > 0) {
+            logger.info(`Including ${images.length} image(s) in the prompt`);
+        }
+
+        let lastError;
+        for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+            try {
+                signal?.throwIfAborted();
+                logger.info(`Calling ${this.name} (${this.model}) attempt ${attempt}/${this.maxRetries}`);
+                if (onAttempt) onAttempt(attempt);
+
+                const { content, usage: reported } = await this.complete(request);
+                if (!content) {
+                    throw new Error(`Empty response from ${this.name}`);
+                }
+                const usage = this.completeUsage(request, content, reported);
+                logger.info(`${this.name} generation successful (${usage.totalTokens || 0} tokens)`);
+
+                return {
+                    content,
+                    tokenUsage: usage,
+                    cost: this.calculateCost(usage),
+                    provider: this.name,
+                    model: this.model
+                };
+            } catch (error) {
+                if (signal?.aborted) throw signal.reason;
+                lastError = error;
+                if (attempt < this.maxRetries) {
+                    const waitTime = this.retryDelay(attempt);
+                    logger.warn(`${this.name} API error (attempt ${attempt}): ${error.message}. Retrying in ${waitTime}ms...`);
+                    await new Promise(resolve => setTimeout(resolve, waitTime));
+                }
+            }
+        }
+
+        logger.error(`${this.name} API failed after ${this.maxRetries} attempts: ${lastError.message}`);
+        throw lastError;
+    }
+}
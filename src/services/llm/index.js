@@ -0,0 +1,97 @@
+import { llmConfig, classifierConfig } from '../../config/index.js';
+import OpenAIProvider from './openAiProvider.js';
+import AnthropicProvider from './anthropicProvider.js';
+import FakeProvider from './fakeProvider.js';
+import { getModelPricing, hasModelPricing } from './pricing.js';
+
+// Provider factories, keyed by provider name
+const FACTORIES = {
+    openai: () => OpenAIProvider.openai(llmConfig.openai),
+    azure: () => OpenAIProvider.azure(llmConfig.azure),
+    anthropic: () => new AnthropicProvider(llmConfig.anthropic),
+    local: () => OpenAIProvider.local(llmConfig.local),
+    fake: () => new FakeProvider()
+};
+
+export const PROVIDER_NAMES = Object.keys(FACTORIES);
+
+const providers = new Map();
+
+// Providers whose model names are priced by the price table; the others run deployments or local models
+const PRICED_BY_MODEL = ['openai', 'anthropic', 'fake'];
+
+export function isProviderAllowed(name) {
+    if (!FACTORIES[name]) return false;
+    return name !== 'fake' || llmConfig.enableFake;
+}
+
+/*
+* Whether `model` may be selected for provider `name`: the provider's configured model, the classifier model,
+* a model of the price table (providers billed by model name) or one listed in LLM_ALLOWED_MODELS.
+* No model (the provider's default) is always allowed.
+*/
+export function isModelAllowed(name, model) {
+    if (model === undefined || model === null || model === '') return true;
+    if (typeof model !== 'string') return false;
+    const configured = {
+        openai: llmConfig.openai.model,
+        azure: llmConfig.azure.deployment,
+        anthropic: llmConfig.anthropic.model,
+        local: llmConfig.local.model,
+        fake: 'fake-model'
+    };
+    return model === configured[name]
+        || model === classifierConfig.model
+        || llmConfig.allowedModels.includes(model)
+        || (PRICED_BY_MODEL.includes(name) && hasModelPricing(model));
+}
+
+/*
+* Get a (cached) provider instance. `model` overrides the provider's default model.
+* Throws when the provider is unknown or not configured, or the model is not allowed (see isModelAllowed).
+*/
+export function getLLMProvider(name = llmConfig.defaultProvider, { model } = {}) {
+    if (!isProviderAllowed(name)) {
+        throw new Error(`Unknown or disabled LLM provider: ${name}`);
+    }
+    if (!isModelAllowed(name, model)) {
+        throw new Error(`Model ${model} is not available for LLM provider ${name}`);
+    }
+
+    const cacheKey = `${name}:${model || ''}`;
+    if (!providers.has(cacheKey)) {
+        const provider = FACTORIES[name]();
+        if (model) provider.model = model;
+        providers.set(cacheKey, provider);
+    }
+    return providers.get(cacheKey);
+}
+
+// Pick the provider for a generation: explicit request > project setting > default
+export function resolveProviderSelection({ provider, model } = {}, project = null) {
+    if (provider) return { provider, model: model || undefined };
+    if (project?.llm?.provider) {
+        return { provider: project.llm.provider, model: model || project.llm.model || undefined };
+    }
+    return { provider: llmConfig.defaultProvider, model: model || undefined };
+}
+
+// Providers that can be selected, with whether they are configured
+export function listProviders() {
+    return PROVIDER_NAMES
+        .filter(isProviderAllowed)
+        .map(name => {
+            let configured = true;
+            let model = null;
+            let pricing = null;
+            try {
+                const provider = getLLMProvider(name);
+                model = provider.model;
+                const { known, ...prices } = getModelPricing(provider.pricingKey());
+                pricing = prices;
+            } catch {
+                configured = false;
+            }
+            return { name, model, pricing, configured, default: name === llmConfig.defaultProvider };
+        });
+}
@@ -0,0 +1,111 @@
+import OpenAI, { AzureOpenAI } from 'openai';
+import LLMProvider from './baseProvider.js';
+import { TEST_CASES_SCHEMA } from './prompts.js';
+
+/*
+* OpenAI chat completions provider. Also used for Azure OpenAI and OpenAI-compatible local servers
+* (Ollama, llama.cpp) by passing a different client.
+* structuredOutput: 'json_schema' (strict schema), 'json_object' (JSON mode) or 'none'
+*/
+export default class OpenAIProvider extends LLMProvider {
+    constructor({ client, structuredOutput = 'json_schema', ...options }) {
+        super(options);
+        this.client = client;
+        this.structuredOutput = structuredOutput;
+    }
+
+    static openai({ apiKey, model }) {
+        if (!apiKey) {
+            throw new Error('OPENAI_API_KEY is not set in envinronment variable')
+        }
+        return new OpenAIProvider({ name: 'openai', model, client: new OpenAI({ apiKey }) });
+    }
+
+    static azure({ apiKey, endpoint, deployment, apiVersion, pricingModel }) {
+        if (!apiKey || !endpoint || !deployment) {
+            throw new Error('Azure OpenAI is not configured. Please set AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_DEPLOYMENT');
+        }
+        return new OpenAIProvider({
+            name: 'azure',
+            model: deployment,
+            pricingModel,
+            client: new AzureOpenAI({ apiKey, endpoint, deployment, apiVersion })
+        });
+    }
+
+    static local({ baseUrl, apiKey, model, structuredOutput }) {
+        if (!baseUrl || !model) {
+            throw new Error('Local LLM is not configured. Please set LOCAL_LLM_BASE_URL and LOCAL_LLM_MODEL');
+        }
+        return new OpenAIProvider({
+            name: 'local',
+            model,
+            pricingModel: 'local',
+            structuredOutput,
+            client: new OpenAI({ apiKey: apiKey || 'local', baseURL: baseUrl }),
+            // Local models are slow; don't hammer them with retries
+            maxRetries: 1
+        });
+    }
+
+    // The schema only reaches the model in json_schema mode
+    structuredOutputTokens(request) {
+        return this.structuredOutput === 'json_schema' ? super.structuredOutputTokens(request) : 0;
+    }
+
+    async complete(request) {
+        const body = {
+            model: this.model,
+            messages: this.buildMessages(request),
+            max_completion_tokens: request.maxTokens,
+            temperature: 0.7
+        };
+        if (request.structured && this.structuredOutput === 'json_schema') {
+            body.response_format = { type: 'json_schema', json_schema: TEST_CASES_SCHEMA };
+        } else if (request.structured && this.structuredOutput === 'json_object') {
+            body.response_format = { type: 'json_object' };
+        }
+
+        const response = request.onToken
+            ? await this.streamCompletion(body, request.onToken, request.signal)
+            : await this.client.chat.completions.create(body, { signal: request.signal });
+
+        // get real token used info
+        const usage = response.usage || {};
+        return {
+            content: response.choices[0]?.message?.content,
+            usage: {
+                promptTokens: usage.prompt_tokens || 0,
+                cachedTokens: usage.prompt_tokens_details?.cached_tokens || 0,
+                completionTokens: usage.completion_tokens || 0,
+                totalTokens: usage.total_tokens || 0
+            }
+        };
+    }
+
+    // Run a streamed chat completion, forwarding content deltas to `onToken`.
+    // Resolves to the same shape as a non-streamed response.
+    async streamCompletion(body, onToken, signal) {
+        const stream = await this.client.chat.completions.create({
+            ...body,
+            stream: true,
+            stream_options: { include_usage: true }
+        }, { signal });
+
+        let content = '';
+        let usage = null;
+        for await (const chunk of stream) {
+            const delta = chunk.choices?.[0]?.delta?.content;
+            if (delta) {
+                content += delta;
+                onToken(delta);
+            }
+            if (chunk.usage) usage = chunk.usage;
+        }
+
+        return {
+            choices: [{ message: { content } }],
+            usage
+        };
+    }
+}
@@ -0,0 +1,119 @@
+import { llmConfig } from '../../config/index.js';
+
+/*
+* Per-model prices in USD per 1M tokens.
+* Keys match a model name exactly or as a prefix (dated snapshots like gpt-4o-mini-2024-07-18 use the gpt-4o-mini entry).
+* image: vision input tokens per image — baseTokens + tileTokens per 512px tile (OpenAI); a flat estimate when tileTokens is 0.
+*/
+const DEFAULT_PRICE_TABLE = {
+    'gpt-4o-mini': { input: 0.15, cachedInput: 0.075, output: 0.6, image: { baseTokens: 2833, tileTokens: 5667 } },
+    'gpt-4o': { input: 2.5, cachedInput: 1.25, output: 10, image: { baseTokens: 85, tileTokens: 170 } },
+    'gpt-4.1': { input: 2, cachedInput: 0.5, output: 8, image: { baseTokens: 85, tileTokens: 170 } },
+    'gpt-4.1-mini': { input: 0.4, cachedInput: 0.1, output: 1.6, image: { baseTokens: 85, tileTokens: 170 } },
+    'gpt-4.1-nano': { input: 0.1, cachedInput: 0.025, output: 0.4, image: { baseTokens: 85, tileTokens: 170 } },
+    'gpt-5': { input: 1.25, cachedInput: 0.125, output: 10, image: { baseTokens: 70, tileTokens: 140 } },
+    'gpt-5-mini': { input: 0.25, cachedInput: 0.025, output: 2, image: { baseTokens: 70, tileTokens: 140 } },
+    'gpt-5-nano': { input: 0.05, cachedInput: 0.005, output: 0.4, image: { baseTokens: 70, tileTokens: 140 } },
+    'o3': { input: 2, cachedInput: 0.5, output: 8, image: { baseTokens: 75, tileTokens: 150 } },
+    'o4-mini': { input: 1.1, cachedInput: 0.275, output: 4.4, image: { baseTokens: 75, tileTokens: 150 } },
+    // Claude bills images by area (~1600 tokens for a 1092×1092 image)
+    'claude-3-5-haiku': { input: 0.8, cachedInput: 0.08, output: 4, image: { baseTokens: 1600, tileTokens: 0 } },
+    'claude-haiku-4-5': { input: 1, cachedInput: 0.1, output: 5, image: { baseTokens: 1600, tileTokens: 0 } },
+    'claude-3-5-sonnet': { input: 3, cachedInput: 0.3, output: 15, image: { baseTokens: 1600, tileTokens: 0 } },
+    'claude-3-7-sonnet': { input: 3, cachedInput: 0.3, output: 15, image: { baseTokens: 1600, tileTokens: 0 } },
+    'claude-sonnet-4': { input: 3, cachedInput: 0.3, output: 15, image: { baseTokens: 1600, tileTokens: 0 } },
+    'claude-opus-4': { input: 15, cachedInput: 1.5, output: 75, image: { baseTokens: 1600, tileTokens: 0 } },
+    // Self-hosted and offline models are free
+    'local': { input: 0, cachedInput: 0, output: 0, image: { baseTokens: 85, tileTokens: 170 } },
+    'fake-model': { input: 0, cachedInput: 0, output: 0, image: { baseTokens: 85, tileTokens: 170 } }
+};
+
+// Used for models missing from the table, so unknown models are never reported as free
+const FALLBACK_MODEL = 'gpt-4o';
+
+// Assumed size of an image whose dimensions are unknown (e.g. in prelight, before downloading it)
+const DEFAULT_IMAGE_SIZE = { width: 1024, height: 1024 };
+
+function mergePricing(base = {}, override = {}) {
+    return {
+        ...base,
+        ...override,
+        image: { ...base.image, ...override.image }
+    };
+}
+
+function buildPriceTable() {
+    const table = { ...DEFAULT_PRICE_TABLE };
+    for (const [model, override] of Object.entries(llmConfig.pricing || {})) {
+        table[model] = mergePricing(table[model] || table[FALLBACK_MODEL], override);
+    }
+    return table;
+}
+
+const PRICE_TABLE = buildPriceTable();
+
+// Whether the price table has an entry for exactly this model name
+export function hasModelPricing(model = '') {
+    return Object.hasOwn(PRICE_TABLE, String(model).toLowerCase());
+}
+
+/*
+* Pricing entry for a model: exact match, then the longest matching prefix, then the fallback model.
+* Returns { model, input, cachedInput, output, image, known } where `model` is the table key used.
+*/
+export function getModelPricing(model = '') {
+    const name = String(model).toLowerCase();
+    let key = PRICE_TABLE[name] ? name : null;
+    if (!key) {
+        key = Object.keys(PRICE_TABLE)
+            .filter(candidate => name.startsWith(candidate))
+            .sort((a, b) => b.length - a.length)[0] || null;
+    }
+    const known = Boolean(key);
+    const entry = PRICE_TABLE[key || FALLBACK_MODEL];
+    return {
+        model: key || FALLBACK_MODEL,
+        input: entry.input,
+        cachedInput: entry.cachedInput ?? entry.input,
+        output: entry.output,
+        image: entry.image,
+        known
+    };
+}
+
+/*
+* Vision input tokens for one image.
+* 'low' detail is the base cost; 'high'/'auto' follow OpenAI's tiling: fit in 2048×2048, scale the short side to 768,
+* then count 512px tiles.
+*/
+export function imageTokens(model, { detail = 'auto', width, height } = {}) {
+    const { baseTokens = 0, tileTokens = 0 } = getModelPricing(model).image || {};
+    if (detail === 'low' || tileTokens === 0) return baseTokens;
+
+    let w = width || DEFAULT_IMAGE_SIZE.width;
+    let h = height || DEFAULT_IMAGE_SIZE.height;
+    const fit = Math.min(1, 2048 / Math.max(w, h));
+    w *= fit;
+    h *= fit;
+    const shortSide = Math.min(w, h);
+    if (shortSide > 768) {
+        w *= 768 / shortSide;
+        h *= 768 / shortSide;
+    }
+    const tiles = Math.ceil(w / 512) * Math.ceil(h / 512);
+    return baseTokens + tiles * tileTokens;
+}
+
+/*
+* Cost in USD of a call. tokenUsage: { promptTokens, cachedTokens, completionTokens }
+* Cached prompt tokens are part of promptTokens and billed at the cached input rate.
+*/
+export function calculateCost(model, { promptTokens = 0, cachedTokens = 0, completionTokens = 0 } = {}) {
+    const pricing = getModelPricing(model);
+    const cached = Math.min(cachedTokens, promptTokens);
+    return (
+        (promptTokens - cached) * pricing.input +
+        cached * pricing.cachedInput +
+        completionTokens * pricing.output
+    ) / 1000000;
+}
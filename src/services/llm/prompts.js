@@ -0,0 +1,158 @@
+// Prompts and output schema shared by all LLM providers
+
+// Test case categories per story type (see services/classificationService.js); the prompts list them as {{categories}}
+export const CATEGORY_SETS = {
+    ui: ['Functional Requirements', 'UI & Visual Validation', 'Edge Cases', 'Data Integrity'],
+    api: ['Functional Requirements', 'API Contract & Validation', 'Error Handling', 'Security & Authorization', 'Edge Cases'],
+    data: ['Functional Requirements', 'Data Integrity', 'Data Transformation & Mapping', 'Scheduling & Reruns', 'Edge Cases'],
+    infra: ['Functional Requirements', 'Configuration & Deployment', 'Reliability & Recovery', 'Monitoring & Alerting', 'Edge Cases']
+};
+
+export const DEFAULT_STORY_TYPE = 'ui';
+
+// Category headings of a story type as listed in the prompts
+export function formatCategories(storyType = DEFAULT_STORY_TYPE) {
+    return (CATEGORY_SETS[storyType] || CATEGORY_SETS[DEFAULT_STORY_TYPE]).map(name => `## **${name}**`).join(', ');
+}
+
+export const MANUAL_PROMPT = `You are an expert manual QA Engineer. Generate comprehensive test cases from JIRA issue descriptions.
+
+**Context:** You will receive JIRA issue details including title, description, comments, and acceptance criteria. Use ONLY this information - never invent requirements.
+
+**Output Requirements:**
+1. Use proper markdown with ## for main headings and - for bullet points
+2. Include a title: "# Test Cases for [JIRA-ID]: [Issue Title]"
+3. Structure by categories (skip the ones that do not apply): {{categories}}
+4. Include blank lines before and after lists
+5. Each test case should be:
+   - Clear and actionable
+   - Cover specific acceptance criteria
+   - Include preconditions, steps, and expected results
+   - Prioritized (High/Medium/Low)
+
+**Must NOT:**
+- Never mention specific individual names
+- Never include implementation details (HTML classes, functions)
+- Never invent requirements not in the JIRA issue
+
+**Coverage:**
+- Positive and negative test cases
+- Edge cases and boundary conditions
+- Error handling
+- User workflows
+- Form validations
+- State transitions
+- Accessibility considerations (if UI-related)
+
+Generate comprehensive test cases now.`;
+
+export const AUTO_PROMPT = `You are an expert QA automation specialist. Generate automation-friendly test cases from JIRA issue descriptions.
+
+**Context:** You will receive JIRA issue details. Use ONLY this information - never invent requirements.
+
+**Output Requirements:**
+1. Use proper markdown format
+2. Title: "# Automation Tests for [JIRA-ID]: [Issue Title]"
+3. Structure tests by acceptance criteria
+4. Include blank lines before and after lists
+5. Each test should specify:
+   - Clear, automatable steps
+   - Specific UI elements or data to verify
+   - Assertion points
+   - Test data requirements
+6. Give each test one of these categories: {{categories}}
+
+**Must NOT:**
+- Never include subjective validations
+- Never write vague steps
+- Never include non-verifiable assertions
+
+**Focus on:**
+- Idempotent, independent test scenarios
+- Clear element identification strategies
+- Repeatable test data
+- Programmatically verifiable assertions
+- Error handling in automation
+- State management
+
+Generate automation-friendly test cases now.`;
+
+export const STRUCTURED_OUTPUT_PROMPT = `
+
+**Response Format:**
+Respond with JSON only, matching the provided schema. The markdown rules above describe how the test cases will be rendered; do not write markdown yourself.
+- "title": the JIRA issue title
+- "testCases": one entry per test case with a short unique "id" (TC-001, TC-002, ...), "title", "category" (one of the categories above), "priority" (High/Medium/Low), "preconditions" and "steps" as arrays of plain sentences, "expected", "tags" (short keywords such as smoke, negative, regression) and "acceptanceCriteria" (the acceptance criteria the case covers, quoted or numbered as in the issue).`;
+
+// JSON schema for structured test case output
+export const TEST_CASES_SCHEMA = {
+    name: 'test_cases',
+    strict: true,
+    schema: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['title', 'testCases'],
+        properties: {
+            title: { type: 'string' },
+            testCases: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    additionalProperties: false,
+                    required: ['id', 'title', 'category', 'priority', 'preconditions', 'steps', 'expected', 'tags', 'acceptanceCriteria'],
+                    properties: {
+                        id: { type: 'string' },
+                        title: { type: 'string' },
+                        category: { type: 'string' },
+                        priority: { type: 'string', enum: ['High', 'Medium', 'Low'] },
+                        preconditions: { type: 'array', items: { type: 'string' } },
+                        steps: { type: 'array', items: { type: 'string' } },
+                        expected: { type: 'string' },
+                        tags: { type: 'array', items: { type: 'string' } },
+                        acceptanceCriteria: { type: 'array', items: { type: 'string' } }
+                    }
+                }
+            }
+        }
+    }
+};
+
+// System prompt for a generation mode and story type
+export function buildSystemPrompt(autoMode = false, structured = true, storyType = DEFAULT_STORY_TYPE) {
+    const prompt = (autoMode ? AUTO_PROMPT : MANUAL_PROMPT).replace('{{categories}}', formatCategories(storyType));
+    return prompt + (structured ? STRUCTURED_OUTPUT_PROMPT : '');
+}
+
+export const REFINE_PROMPT = `Revise the test cases above according to the reviewer instructions below.
+Return the complete updated set of test cases (not only the changes), in the same format as before.
+Keep the id of every test case you keep or modify; give new test cases new ids. Use ONLY the JIRA issue information - never invent requirements.
+
+**Reviewer instructions:**
+`;
+
+/*
+* Conversation turns that follow the issue prompt when refining: the current output as the assistant's answer,
+* then the reviewer's instructions. `previousOutput` is the JSON (structured) or markdown the model would have produced.
+*/
+export function buildRefineFollowUps(previousOutput, instructions) {
+    return [
+        { role: 'assistant', content: previousOutput },
+        { role: 'user', content: `${REFINE_PROMPT}${instructions}` }
+    ];
+}
+
+// User message template of the built-in prompts (see services/promptTemplateService.js for variables)
+export const DEFAULT_USER_TEMPLATE = 'JIRA issue: {{issueKey}}\n\n{{context}}';
+
+// User message text for an issue
+export function buildUserPrompt(context, issueKey) {
+    return `\n\nJIRA issue: ${issueKey} \n\n${context}`;
+}
+
+export const STORY_CLASSIFIER_PROMPT = `Classify the JIRA issue below by what its test cases will mostly exercise:
+- "ui": screens, forms, visual behaviour and user interaction
+- "api": endpoints, request/response contracts, integrations between services
+- "data": batch jobs, imports/exports, migrations, reports and data transformations
+- "infra": deployment, configuration, scaling, monitoring and other infrastructure
+
+Respond with JSON only: {"type": "<ui|api|data|infra>", "confidence": <number between 0 and 1>}`;
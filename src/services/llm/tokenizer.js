@@ -0,0 +1,63 @@
+import { getEncoding } from 'js-tiktoken';
+import { imageTokens } from './pricing.js';
+
+// Models tokenized with o200k_base; everything else (older GPT, Claude, local models) is counted with cl100k_base,
+// which is exact for older OpenAI models and a close approximation for the others.
+const O200K_MODELS = /^(gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|o\d)/i;
+
+// Chat format overhead per OpenAI's counting guide: every message is wrapped in a few tokens, the reply is primed with 3
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_NAME = 1;
+const REPLY_PRIMING_TOKENS = 3;
+
+const encoders = new Map();
+
+function getEncoder(model) {
+    const name = O200K_MODELS.test(model || '') ? 'o200k_base' : 'cl100k_base';
+    if (!encoders.has(name)) {
+        encoders.set(name, getEncoding(name));
+    }
+    return encoders.get(name);
+}
+
+export function countTextTokens(text, model) {
+    if (!text) return 0;
+    return getEncoder(model).encode(text).length;
+}
+
+// Tokens of a message's content: a string or an array of text / image_url parts
+function countContentTokens(content, model) {
+    if (typeof content === 'string') return countTextTokens(content, model);
+    return (content || []).reduce((total, part) => {
+        if (part.type === 'text') return total + countTextTokens(part.text, model);
+        if (part.type === 'image_url') {
+            const { detail, width, height } = part.image_url || {};
+            return total + imageTokens(model, { detail, width, height });
+        }
+        return total;
+    }, 0);
+}
+
+/*
+* Prompt tokens of a chat completion request.
+* messages: OpenAI chat messages; image parts may carry width/height in image_url when known.
+* Returns { total, text, images } so callers can show where the tokens go.
+*/
+export function countChatTokens(messages, model) {
+    let text = REPLY_PRIMING_TOKENS;
+    let images = 0;
+    for (const message of messages) {
+        text += TOKENS_PER_MESSAGE + countTextTokens(message.role, model);
+        if (message.name) text += TOKENS_PER_NAME + countTextTokens(message.name, model);
+
+        if (Array.isArray(message.content)) {
+            const textParts = message.content.filter(part => part.type !== 'image_url');
+            const imageParts = message.content.filter(part => part.type === 'image_url');
+            text += countContentTokens(textParts, model);
+            images += countContentTokens(imageParts, model);
+        } else {
+            text += countContentTokens(message.content, model);
+        }
+    }
+    return { total: text + images, text, images };
+}
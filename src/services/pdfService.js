@@ -0,0 +1,321 @@
+import Project from '../models/Project.js';
+import { PdfDocument, textWidth, wrapText } from '../utils/pdfWriter.js';
+import { getGenerationTestCases } from '../utils/testCaseUtils.js';
+import { getReviewStatus } from './reviewService.js';
+
+const MARGIN = 50;
+const HEADER_Y = 30;
+const FOOTER_Y = 815;
+const BODY_TOP = 60;
+const BODY_BOTTOM = 790;
+
+const COLORS = {
+    primary: '#1F3A5F',
+    text: '#222222',
+    muted: '#6B7280',
+    border: '#C5CED9',
+    label: '#EEF2F7',
+    High: '#C0392B',
+    Medium: '#D68910',
+    Low: '#2E86C1'
+};
+
+// Test case tables: label column width, padding and line height of the 9pt body text
+const LABEL_WIDTH = 110;
+const CELL_PADDING = 5;
+const LINE_HEIGHT = 12;
+const BODY_SIZE = 9;
+
+const UNCATEGORIZED = 'Uncategorized';
+
+const formatDate = date => (date ? new Date(date).toISOString().slice(0, 16).replace('T', ' ') + ' UTC' : '-');
+
+// Issue title: from the JIRA snapshot, else the "# Test Cases for KEY: Title" heading of the markdown
+function issueTitle(gen) {
+    if (gen.contextSnapshot?.title) return gen.contextSnapshot.title;
+    const heading = (gen.result?.markdown?.content || '').match(/^#\s+.*?:\s*(.+)$/m);
+    return heading?.[1]?.trim() || '';
+}
+
+// Test cases grouped by category, in order of first appearance
+function groupByCategory(testCases) {
+    const groups = new Map();
+    for (const tc of testCases) {
+        const category = tc.category?.trim() || UNCATEGORIZED;
+        if (!groups.has(category)) groups.set(category, []);
+        groups.get(category).push(tc);
+    }
+    return [...groups].map(([category, items]) => ({ category, testCases: items }));
+}
+
+/*
+* Cell content as lines of { text, indent }: items of a list keep a hanging indent after their marker.
+* `items` is a string or an array; `marker(i)` gives the list marker ("1.", "•").
+*/
+function cellLines(items, width, marker) {
+    const list = Array.isArray(items) ? items.filter(Boolean) : [items].filter(Boolean);
+    if (list.length === 0) return [{ text: '-', indent: 0 }];
+
+    const lines = [];
+    list.forEach((item, i) => {
+        const prefix = marker ? `${marker(i)} ` : '';
+        const indent = textWidth(prefix, 'regular', BODY_SIZE);
+        wrapText(String(item), 'regular', BODY_SIZE, width - indent).forEach((text, j) => {
+            lines.push(j === 0 ? { text: prefix + text, indent: 0 } : { text, indent });
+        });
+    });
+    return lines;
+}
+
+// Rows of a test case table: [{ label, lines }]
+function testCaseRows(tc, width) {
+    return [
+        { label: 'Priority', lines: cellLines(tc.priority || 'Medium', width) },
+        { label: 'Preconditions', lines: cellLines(tc.preconditions, width, () => '•') },
+        { label: 'Steps', lines: cellLines(tc.steps, width, i => `${i + 1}.`) },
+        { label: 'Expected result', lines: cellLines(tc.expected, width) },
+        { label: 'Acceptance criteria', lines: cellLines(tc.acceptanceCriteria, width, () => '•') },
+        { label: 'Tags', lines: cellLines((tc.tags || []).join(', '), width) }
+    ].filter(row => row.label !== 'Tags' || tc.tags?.length);
+}
+
+/*
+* Lays the test cases out on body pages, starting new pages as needed.
+* Records where each category and test case starts for the contents and bookmarks.
+*/
+class BodyLayout {
+    constructor(doc) {
+        this.doc = doc;
+        this.width = doc.width - MARGIN * 2;
+        this.newPage();
+    }
+
+    newPage() {
+        this.page = this.doc.addPage();
+        this.y = BODY_TOP;
+    }
+
+    ensureSpace(height) {
+        if (this.y + height > BODY_BOTTOM) this.newPage();
+    }
+
+    category(name) {
+        this.ensureSpace(28 + 24 + LINE_HEIGHT * 4);
+        const target = { page: this.page, top: this.y };
+        this.page.text(name, MARGIN, this.y + 16, { font: 'bold', size: 14, color: COLORS.primary });
+        this.page.line(MARGIN, this.y + 22, MARGIN + this.width, this.y + 22, { color: COLORS.primary, lineWidth: 1 });
+        this.y += 32;
+        return target;
+    }
+
+    titleLines(tc, continued = false) {
+        return wrapText(`${tc.id}  ${tc.title}${continued ? ' (continued)' : ''}`, 'bold', 10, this.width - 70 - CELL_PADDING * 2);
+    }
+
+    // Title bar of a test case table
+    titleBar(tc, continued = false) {
+        const lines = this.titleLines(tc, continued);
+        const height = lines.length * 13 + CELL_PADDING * 2;
+        this.page.rect(MARGIN, this.y, this.width, height, { fill: COLORS.primary });
+        lines.forEach((line, i) => {
+            this.page.text(line, MARGIN + CELL_PADDING, this.y + CELL_PADDING + 10 + i * 13, { font: 'bold', size: 10, color: '#FFFFFF' });
+        });
+        const priority = tc.priority || 'Medium';
+        this.page.textRight(priority, MARGIN + this.width - CELL_PADDING, this.y + CELL_PADDING + 10, {
+            font: 'bold',
+            size: 9,
+            color: '#FFFFFF'
+        });
+        this.y += height;
+    }
+
+    // Draw `lines` of a row; returns the lines that did not fit on the page
+    row(label, lines, labelShown) {
+        const available = Math.floor((BODY_BOTTOM - this.y - CELL_PADDING * 2) / LINE_HEIGHT);
+        const shown = lines.slice(0, Math.max(available, 0));
+        const height = Math.max(shown.length, 1) * LINE_HEIGHT + CELL_PADDING * 2;
+        const valueX = MARGIN + LABEL_WIDTH;
+
+        this.page.rect(MARGIN, this.y, LABEL_WIDTH, height, { fill: COLORS.label, stroke: COLORS.border });
+        this.page.rect(valueX, this.y, this.width - LABEL_WIDTH, height, { stroke: COLORS.border });
+        if (!labelShown) {
+            this.page.text(label, MARGIN + CELL_PADDING, this.y + CELL_PADDING + 9, { font: 'bold', size: BODY_SIZE, color: COLORS.text });
+        }
+        shown.forEach((line, i) => {
+            const color = label === 'Priority' ? COLORS[line.text] || COLORS.text : COLORS.text;
+            this.page.text(line.text, valueX + CELL_PADDING + line.indent, this.y + CELL_PADDING + 9 + i * LINE_HEIGHT, {
+                font: label === 'Priority' ? 'bold' : 'regular',
+                size: BODY_SIZE,
+                color
+            });
+        });
+        this.y += height;
+        return lines.slice(shown.length);
+    }
+
+    testCase(tc) {
+        const rows = testCaseRows(tc, this.width - LABEL_WIDTH - CELL_PADDING * 2);
+        const height = this.titleLines(tc).length * 13
+            + rows.reduce((sum, row) => sum + row.lines.length * LINE_HEIGHT + CELL_PADDING * 2, CELL_PADDING * 2);
+        // Start a table that fits on a page on a new page rather than splitting it; longer ones keep
+        // at least their title bar and first lines together
+        this.ensureSpace(height <= BODY_BOTTOM - BODY_TOP ? height : 40 + LINE_HEIGHT * 3);
+        const target = { page: this.page, top: this.y };
+        this.titleBar(tc);
+
+        for (const { label, lines } of rows) {
+            let rest = lines;
+            let labelShown = false;
+            while (rest.length > 0) {
+                if (BODY_BOTTOM - this.y < LINE_HEIGHT * 2 + CELL_PADDING * 2) {
+                    this.newPage();
+                    this.titleBar(tc, true);
+                }
+                rest = this.row(label, rest, labelShown);
+                labelShown = true;
+            }
+        }
+        this.y += 16;
+        return target;
+    }
+}
+
+function drawCover(page, doc, gen, { project, testCases, categories }) {
+    const width = doc.width - MARGIN * 2;
+    page.rect(0, 0, doc.width, 220, { fill: COLORS.primary });
+    page.text('Test Cases', MARGIN, 90, { font: 'bold', size: 30, color: '#FFFFFF' });
+    page.text(gen.issueKey, MARGIN, 130, { font: 'bold', size: 20, color: '#FFFFFF' });
+
+    let y = 260;
+    for (const line of wrapText(issueTitle(gen) || gen.issueKey, 'bold', 16, width)) {
+        page.text(line, MARGIN, y, { font: 'bold', size: 16, color: COLORS.text });
+        y += 22;
+    }
+    y += 20;
+
+    const review = getReviewStatus(gen).replace('_', ' ');
+    const details = [
+        ['Project', project ? `${project.name || project.projectKey} (${project.projectKey})` : '-'],
+        ['Version', String(gen.currentVersion || 1)],
+        ['Review status', review],
+        ['Published by', gen.published ? gen.publishedBy || '-' : 'Not published'],
+        ['Published at', gen.published ? formatDate(gen.publishedAt) : '-'],
+        ['Author', gen.email || '-'],
+        ['Generated', formatDate(gen.completedAt || gen.createdAt)],
+        ['Model', [gen.provider, gen.model].filter(Boolean).join(' / ') || '-'],
+        ['Test cases', `${testCases.length} in ${categories.length} categor${categories.length === 1 ? 'y' : 'ies'}`],
+        ['Exported', formatDate(new Date())]
+    ];
+    for (const [label, value] of details) {
+        const lines = wrapText(value, 'regular', 11, width - 140);
+        page.line(MARGIN, y - 14, MARGIN + width, y - 14, { color: COLORS.border });
+        page.text(label, MARGIN, y, { font: 'bold', size: 11, color: COLORS.muted });
+        lines.forEach((line, i) => page.text(line, MARGIN + 140, y + i * 15, { size: 11, color: COLORS.text }));
+        y += Math.max(lines.length, 1) * 15 + 10;
+    }
+}
+
+// Contents entries: each category, then its test cases (indented)
+function contentsEntries(categories, targets) {
+    return categories.flatMap(({ category, testCases }) => [
+        { title: category, level: 0, target: targets.get(category) },
+        ...testCases.map(tc => ({ title: `${tc.id}  ${tc.title}`, level: 1, target: targets.get(tc) }))
+    ]);
+}
+
+const CONTENTS_LINE = 16;
+const CONTENTS_TOP = 100;
+
+function contentsPerPage() {
+    return Math.floor((BODY_BOTTOM - CONTENTS_TOP) / CONTENTS_LINE);
+}
+
+// Draw the contents on `pages`; `pageNumber(page)` gives the printed number of a page
+function drawContents(pages, doc, entries, pageNumber) {
+    const width = doc.width - MARGIN * 2;
+    const perPage = contentsPerPage();
+    pages.forEach((page, p) => {
+        page.text(p === 0 ? 'Contents' : 'Contents (continued)', MARGIN, 80, { font: 'bold', size: 18, color: COLORS.primary });
+        entries.slice(p * perPage, (p + 1) * perPage).forEach((entry, i) => {
+            const y = CONTENTS_TOP + i * CONTENTS_LINE;
+            const font = entry.level === 0 ? 'bold' : 'regular';
+            const size = entry.level === 0 ? 11 : 10;
+            const x = MARGIN + entry.level * 16;
+            const number = String(pageNumber(entry.target.page));
+            const numberWidth = textWidth(number, font, size);
+            const lines = wrapText(entry.title, font, size, width - (x - MARGIN) - numberWidth - 40);
+            const title = lines.length > 1 ? `${lines[0]} …` : lines[0];
+
+            page.text(title, x, y, { font, size, color: COLORS.text });
+            const dotsFrom = x + textWidth(title, font, size) + 6;
+            const dotsTo = MARGIN + width - numberWidth - 6;
+            if (dotsTo > dotsFrom) {
+                page.line(dotsFrom, y, dotsTo, y, { color: COLORS.border, lineWidth: 0.5 });
+            }
+            page.textRight(number, MARGIN + width, y, { font, size, color: COLORS.text });
+            page.link(MARGIN, y - size, width, CONTENTS_LINE, entry.target);
+        });
+    });
+}
+
+/*
+* Render a generation as a PDF: title page (issue, project, version, review and publishing details),
+* contents by category with links and bookmarks, then one table per test case.
+* `project` is the generation's Project document (looked up when not given).
+*/
+export async function generatePdfBuffer(gen, { project } = {}) {
+    if (project === undefined) {
+        project = gen.project ? await Project.findById(gen.project) : null;
+    }
+    const testCases = getGenerationTestCases(gen);
+    const categories = groupByCategory(testCases);
+    const doc = new PdfDocument();
+
+    // Body first: the contents need its page numbers
+    const body = new BodyLayout(doc);
+    const targets = new Map();
+    for (const { category, testCases: items } of categories) {
+        targets.set(category, body.category(category));
+        for (const tc of items) {
+            targets.set(tc, body.testCase(tc));
+        }
+    }
+    if (testCases.length === 0) {
+        body.page.text('This generation has no test cases.', MARGIN, BODY_TOP + 20, { size: 11, color: COLORS.muted });
+    }
+
+    const cover = doc.addPage(0);
+    drawCover(cover, doc, gen, { project, testCases, categories });
+
+    const entries = contentsEntries(categories, targets);
+    const contentsPageCount = entries.length > 0 ? Math.ceil(entries.length / contentsPerPage()) : 0;
+    const contentsPages = Array.from({ length: contentsPageCount }, (_, i) => doc.addPage(1 + i));
+    const pageNumber = page => doc.pages.indexOf(page) + 1;
+    drawContents(contentsPages, doc, entries, pageNumber);
+
+    // Running header and footer on every page but the cover
+    const version = gen.currentVersion || 1;
+    doc.pages.forEach((page, i) => {
+        if (i === 0) return;
+        page.text(`${gen.issueKey} - Test Cases (version ${version})`, MARGIN, HEADER_Y, { size: 8, color: COLORS.muted });
+        page.line(MARGIN, HEADER_Y + 6, doc.width - MARGIN, HEADER_Y + 6, { color: COLORS.border });
+        page.textRight(`Page ${i + 1} of ${doc.pages.length}`, doc.width - MARGIN, FOOTER_Y, { size: 8, color: COLORS.muted });
+    });
+
+    doc.setOutline(categories.map(({ category, testCases: items }) => ({
+        title: category,
+        target: targets.get(category),
+        children: items.map(tc => ({ title: `${tc.id} ${tc.title}`, target: targets.get(tc) }))
+    })));
+
+    return doc.toBuffer({
+        title: `${gen.issueKey} test cases (version ${version})`,
+        author: gen.publishedBy || gen.email,
+        subject: issueTitle(gen)
+    });
+}
+
+// File name of a generation's PDF export
+export function pdfFilename(gen) {
+    return `${gen.issueKey}_testcases_v${gen.currentVersion || 1}.pdf`;
+}
@@ -0,0 +1,93 @@
+import Generation from '../models/Generation.js';
+import SpendRecord from '../models/SpendRecord.js';
+import { isProviderAllowed, isModelAllowed } from './llm/index.js';
+
+const EMPTY_STATS = {
+    generations: 0,
+    completed: 0,
+    failed: 0,
+    inProgress: 0,
+    published: 0,
+    spendUsd: 0,
+    lastGenerationAt: null
+};
+
+/*
+* Generation stats per project, computed in one aggregation (plus one for refinement and other spend records).
+* Returns a Map of project id (string) -> { generations, completed, failed, inProgress, published, spendUsd, lastGenerationAt }.
+*/
+export async function getProjectStats(projectIds) {
+    const match = { $match: { project: { $in: projectIds } } };
+    const [groups, spendGroups] = await Promise.all([
+        Generation.aggregate([
+            match,
+            {
+                $group: {
+                    _id: '$project',
+                    generations: { $sum: 1 },
+                    completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+                    failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+                    inProgress: { $sum: { $cond: [{ $in: ['$status', ['pending', 'queued', 'running']] }, 1, 0] } },
+                    published: { $sum: { $cond: ['$published', 1, 0] } },
+                    spendUsd: { $sum: { $ifNull: ['$cost', 0] } },
+                    lastGenerationAt: { $max: '$createdAt' }
+                }
+            }
+        ]),
+        SpendRecord.aggregate([
+            match,
+            { $group: { _id: '$project', spendUsd: { $sum: { $ifNull: ['$cost', 0] } } } }
+        ])
+    ]);
+    const otherSpend = new Map(spendGroups.map(group => [String(group._id), group.spendUsd]));
+
+    const stats = new Map();
+    for (const { _id, ...rest } of groups) {
+        const spendUsd = rest.spendUsd + (otherSpend.get(String(_id)) || 0);
+        stats.set(String(_id), { ...rest, spendUsd: Number(spendUsd.toFixed(6)) });
+    }
+    return stats;
+}
+
+// Stats for one project (zeros when it has no generations)
+export function statsFor(stats, project) {
+    return stats.get(String(project._id)) || { ...EMPTY_STATS };
+}
+
+// Project summary as returned by the list endpoint
+export function serializeProject(project, stats) {
+    return {
+        id: project._id,
+        projectKey: project.projectKey,
+        name: project.name,
+        description: project.description,
+        createdBy: project.createdBy,
+        createdAt: project.createdAt,
+        firstGeneratedAt: project.firstGeneratedAt,
+        lastGeneratedAt: project.lastGeneratedAt,
+        totalGenerations: project.totalGenerations,
+        memberCount: project.members?.length || 0,
+        stats
+    };
+}
+
+/*
+* Validate an LLM settings update ({ provider, model }; provider null resets to the default).
+* Returns { value } (the new project.llm) or { error }.
+*/
+export function parseLlmSettings({ provider, model } = {}) {
+    if (provider !== null && !isProviderAllowed(provider)) {
+        return { error: `Unknown LLM provider: ${provider}` };
+    }
+    if (model !== undefined && model !== null && typeof model !== 'string') {
+        return { error: 'model must be a string' };
+    }
+    if (provider !== null && !isModelAllowed(provider, model)) {
+        return { error: `Model ${model} is not available for LLM provider ${provider}` };
+    }
+    return {
+        value: provider === null
+            ? { provider: undefined, model: undefined }
+            : { provider, model: model || undefined }
+    };
+}
@@ -0,0 +1,127 @@
+import PromptTemplate from '../models/PromptTemplate.js';
+import { MANUAL_PROMPT, AUTO_PROMPT, DEFAULT_USER_TEMPLATE, DEFAULT_STORY_TYPE, formatCategories } from './llm/prompts.js';
+
+// Variables available in templates as {{name}}
+export const TEMPLATE_VARIABLES = {
+    issueKey: 'JIRA issue key, e.g. ABC-123',
+    title: 'Issue summary',
+    description: 'Issue description (markdown)',
+    acceptanceCriteria: 'Acceptance criteria from the mapped JIRA field (empty when missing)',
+    context: 'Full issue context: title, description, acceptance criteria, mapped fields, comments, linked issues',
+    projectKey: 'JIRA project key',
+    projectName: 'Project name (falls back to the key)',
+    glossary: 'Project glossary as "- term: definition" lines',
+    mode: '"manual" or "auto"',
+    storyType: 'Story type: "ui", "api", "data" or "infra"',
+    categories: 'Test case categories for the story type, as "## **Category**" headings'
+};
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Built-in templates used when neither the project nor the global scope has an active one
+const BUILTIN_TEMPLATES = {
+    manual: { systemPrompt: MANUAL_PROMPT, userPrompt: DEFAULT_USER_TEMPLATE },
+    auto: { systemPrompt: AUTO_PROMPT, userPrompt: DEFAULT_USER_TEMPLATE }
+};
+
+export function getBuiltinTemplate(mode = 'manual') {
+    return {
+        ...BUILTIN_TEMPLATES[mode],
+        ref: { templateId: null, name: 'builtin', version: null, scope: 'builtin' }
+    };
+}
+
+// Reference stored on generations: which template (and which version of it) produced the prompt
+function templateRef(template, version = template.version) {
+    return {
+        templateId: template._id,
+        name: template.name,
+        version,
+        scope: template.project ? 'project' : 'global'
+    };
+}
+
+/*
+* Template content to render: a saved template at its current or a given version.
+* Returns { systemPrompt, userPrompt, ref } or null when the version does not exist.
+*/
+export function templateContent(template, version) {
+    if (!version || version === template.version) {
+        return { systemPrompt: template.systemPrompt, userPrompt: template.userPrompt, ref: templateRef(template) };
+    }
+    const saved = template.versions.find(v => v.version === version);
+    return saved ? { systemPrompt: saved.systemPrompt, userPrompt: saved.userPrompt, ref: templateRef(template, version) } : null;
+}
+
+// Active template for a mode: the project's, then the global one, then the built-in prompt
+export async function resolvePromptTemplate(project, mode = 'manual') {
+    const scopes = project ? [project._id, null] : [null];
+    for (const scope of scopes) {
+        const template = await PromptTemplate.findOne({ project: scope, mode, active: true }).sort({ updatedAt: -1 });
+        if (template) return templateContent(template);
+    }
+    return getBuiltinTemplate(mode);
+}
+
+/*
+* Check template text: unknown variables are errors; a user prompt without {{context}} only warns.
+* Returns { errors, warnings }.
+*/
+export function validateTemplate({ systemPrompt, userPrompt }) {
+    const errors = [];
+    const warnings = [];
+    for (const [field, text] of Object.entries({ systemPrompt, userPrompt })) {
+        if (typeof text !== 'string' || !text.trim()) {
+            errors.push(`${field} must be a non-empty string`);
+            continue;
+        }
+        const unknown = [...text.matchAll(VARIABLE_PATTERN)]
+            .map(match => match[1])
+            .filter(name => !Object.hasOwn(TEMPLATE_VARIABLES, name));
+        if (unknown.length > 0) {
+            errors.push(`${field} uses unknown variable(s): ${[...new Set(unknown)].join(', ')}`);
+        }
+    }
+    if (typeof userPrompt === 'string' && !/\{\{\s*(context|description)\s*\}\}/.test(userPrompt)) {
+        warnings.push('userPrompt includes neither {{context}} nor {{description}}: the model will not see the issue');
+    }
+    return { errors, warnings };
+}
+
+// Variable values for an issue (see TEMPLATE_VARIABLES)
+export function buildPromptVariables({
+    issueKey,
+    summary,
+    description,
+    acceptanceCriteria,
+    context,
+    project,
+    autoMode = false,
+    storyType = DEFAULT_STORY_TYPE
+}) {
+    return {
+        issueKey,
+        title: summary || '',
+        description: description || '',
+        acceptanceCriteria: acceptanceCriteria || '',
+        context: context || '',
+        projectKey: project?.projectKey || '',
+        projectName: project?.name || project?.projectKey || '',
+        glossary: (project?.glossary || []).map(entry => `- ${entry.term}: ${entry.definition}`).join('\n'),
+        mode: autoMode ? 'auto' : 'manual',
+        storyType,
+        categories: formatCategories(storyType)
+    };
+}
+
+export function renderTemplate(text, variables) {
+    return text.replace(VARIABLE_PATTERN, (placeholder, name) => (Object.hasOwn(variables, name) ? variables[name] : placeholder));
+}
+
+// Render a template's system and user prompts
+export function renderPrompt(template, variables) {
+    return {
+        systemPrompt: renderTemplate(template.systemPrompt, variables),
+        userPrompt: renderTemplate(template.userPrompt, variables)
+    };
+}
@@ -0,0 +1,189 @@
+import Generation from '../models/Generation.js';
+import SpendRecord from '../models/SpendRecord.js';
+import { quotaConfig } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+
+// Generations still waiting for their real cost count with their prelight estimate
+const PENDING_STATUSES = ['pending', 'queued', 'running'];
+
+export const QUOTA_FIELDS = ['monthlySpendUsd', 'monthlyGenerations'];
+
+// Current quota period: the calendar month (UTC) containing `date`
+export function getQuotaPeriod(date = new Date()) {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+    const end = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+    return { start, end };
+}
+
+// Effective limits of a user or project: its own values over the configured defaults (null = unlimited)
+export function resolveLimits(quota, defaults) {
+    const limits = {};
+    for (const field of QUOTA_FIELDS) {
+        const own = quota?.[field];
+        limits[field] = typeof own === 'number' ? own : (defaults[field] ?? null);
+    }
+    return limits;
+}
+
+/*
+* Spend and generation count for generations and spend records matching `match` in the period.
+* Failed generations only count their real cost (if any) and not as a generation.
+*/
+async function getUsage(match, { start, end }) {
+    const periodMatch = { ...match, createdAt: { $gte: start, $lt: end } };
+    const [[usage], [records]] = await Promise.all([
+        Generation.aggregate([
+            { $match: periodMatch },
+            {
+                $group: {
+                    _id: null,
+                    spendUsd: {
+                        $sum: {
+                            $cond: [
+                                { $in: ['$status', PENDING_STATUSES] },
+                                { $ifNull: ['$estimatedCost', 0] },
+                                { $ifNull: ['$cost', 0] }
+                            ]
+                        }
+                    },
+                    generations: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 0, 1] } }
+                }
+            }
+        ]),
+        SpendRecord.aggregate([
+            { $match: periodMatch },
+            { $group: { _id: null, spendUsd: { $sum: { $ifNull: ['$cost', 0] } } } }
+        ])
+    ]);
+    return {
+        spendUsd: (usage?.spendUsd || 0) + (records?.spendUsd || 0),
+        generations: usage?.generations || 0
+    };
+}
+
+/*
+* Record the spend of a model call made outside a generation's own run (see models/SpendRecord.js).
+* `generation` is the generation it was made for, if any; `result` holds { provider, model, cost, tokenUsage }.
+* Never throws: a failure to record is logged.
+*/
+export async function recordSpend({ kind, email, project, generation, issueKey, result }) {
+    try {
+        await SpendRecord.create({
+            kind,
+            email,
+            project: project?._id || project || generation?.project,
+            generation: generation?._id,
+            issueKey: issueKey || generation?.issueKey,
+            mode: generation?.mode,
+            provider: result.provider,
+            model: result.model,
+            cost: result.cost || 0,
+            tokenUsage: result.tokenUsage || undefined
+        });
+    } catch (error) {
+        logger.error(`Failed to record ${kind} spend of ${email}: ${error.message}`);
+    }
+}
+
+function buildScopeStatus(limits, usage) {
+    const remaining = {
+        spendUsd: limits.monthlySpendUsd === null ? null : Math.max(0, limits.monthlySpendUsd - usage.spendUsd),
+        generations: limits.monthlyGenerations === null ? null : Math.max(0, limits.monthlyGenerations - usage.generations)
+    };
+    return { limits, usage, remaining };
+}
+
+/*
+* Usage against quota for a user (by email) and optionally a project.
+* user: the User document (for its own limits); project: the Project document or null.
+*/
+export async function getQuotaStatus({ email, user = null, project = null }) {
+    const period = getQuotaPeriod();
+    const status = {
+        period,
+        user: buildScopeStatus(resolveLimits(user?.quota, quotaConfig.user), await getUsage({ email }, period)),
+        project: null
+    };
+    if (project) {
+        status.project = {
+            projectKey: project.projectKey,
+            ...buildScopeStatus(resolveLimits(project.quota, quotaConfig.project), await getUsage({ project: project._id }, period))
+        };
+    }
+    return status;
+}
+
+// Limits `generations` new generations costing `estimatedCost` in total would exceed in one scope
+function scopeViolations(scope, scopeStatus, estimatedCost, generations) {
+    const { limits, usage } = scopeStatus;
+    const violations = [];
+    if (generations > 0 && limits.monthlyGenerations !== null && usage.generations + generations > limits.monthlyGenerations) {
+        violations.push({
+            scope,
+            limit: 'monthlyGenerations',
+            max: limits.monthlyGenerations,
+            used: usage.generations,
+            requested: generations
+        });
+    }
+    if (limits.monthlySpendUsd !== null && usage.spendUsd + estimatedCost > limits.monthlySpendUsd) {
+        violations.push({
+            scope,
+            limit: 'monthlySpendUsd',
+            max: limits.monthlySpendUsd,
+            used: usage.spendUsd,
+            requested: estimatedCost
+        });
+    }
+    return violations;
+}
+
+/*
+* Check whether model calls with the given estimated cost fit in the user's and project's quotas.
+* `generations` is how many new generations they create: 0 for calls on an existing generation (refinements),
+* which only count against spend; more for batches.
+* Returns { allowed, violations, status }.
+*/
+export async function checkQuota({ email, user = null, project = null, estimatedCost = 0, generations = 1 }) {
+    const status = await getQuotaStatus({ email, user, project });
+    const violations = [
+        ...scopeViolations('user', status.user, estimatedCost, generations),
+        ...(status.project ? scopeViolations('project', status.project, estimatedCost, generations) : [])
+    ];
+    return { allowed: violations.length === 0, violations, status };
+}
+
+// Human readable message for quota violations
+export function describeViolations(violations) {
+    return violations
+        .map(v => (v.limit === 'monthlySpendUsd'
+            ? `${v.scope} monthly budget of $${v.max.toFixed(2)} exceeded ($${v.used.toFixed(4)} used, this request ~$${v.requested.toFixed(4)})`
+            : `${v.scope} limit of ${v.max} generations per month reached (${v.used} used, ${v.requested} requested)`))
+        .join('; ');
+}
+
+/*
+* Validate a quota update from an API client. Each field may be a non-negative number or null (use the default).
+* Returns { value } (the $set/$unset update) or { error }.
+*/
+export function parseQuotaUpdate(body = {}) {
+    const $set = {};
+    const $unset = {};
+    for (const field of QUOTA_FIELDS) {
+        if (body[field] === undefined) continue;
+        if (body[field] === null) {
+            $unset[`quota.${field}`] = '';
+        } else if (typeof body[field] === 'number' && Number.isFinite(body[field]) && body[field] >= 0) {
+            $set[`quota.${field}`] = body[field];
+        } else {
+            return { error: `${field} must be a non-negative number or null` };
+        }
+    }
+    if (Object.keys($set).length === 0 && Object.keys($unset).length === 0) {
+        return { error: `Provide at least one of: ${QUOTA_FIELDS.join(', ')}` };
+    }
+    const value = {};
+    if (Object.keys($set).length) value.$set = $set;
+    if (Object.keys($unset).length) value.$unset = $unset;
+    return { value };
+}
@@ -0,0 +1,232 @@
+import { getGenerationTestCases } from '../utils/testCaseUtils.js';
+
+export const REVIEW_STATUSES = ['draft', 'in_review', 'changes_requested', 'approved', 'published'];
+
+const MAX_COMMENT_LENGTH = 4000;
+
+// Status changes each review action allows
+const REVIEW_ACTIONS = {
+    submit: { from: ['draft', 'changes_requested', 'approved'], to: 'in_review' },
+    approve: { from: ['in_review'], to: 'approved' },
+    request_changes: { from: ['in_review'], to: 'changes_requested' },
+    withdraw: { from: ['in_review', 'changes_requested', 'approved'], to: 'draft' },
+    publish: { from: ['approved'], to: 'published' },
+    unpublish: { from: ['published'], to: 'approved' }
+};
+
+// Actions taken by assigned reviewers
+const REVIEWER_ACTIONS = ['approve', 'request_changes'];
+
+// Review status of a generation (generations published before the review workflow count as published)
+export function getReviewStatus(gen) {
+    if (gen.published) return 'published';
+    return gen.review?.status || 'draft';
+}
+
+export function isReviewer(gen, email) {
+    return Boolean(gen.review?.reviewers?.some(r => r.email === email?.toLowerCase()));
+}
+
+/*
+* Replace the assigned reviewers; reviewers kept from the previous list keep their decision.
+* Returns { value } (the reviewer list) or { error }. The caller checks the emails belong to users who may review.
+*/
+export function setReviewers(gen, emails, assignedBy) {
+    if (!Array.isArray(emails) || emails.some(email => typeof email !== 'string' || !email.trim())) {
+        return { error: 'reviewers must be an array of emails' };
+    }
+    const normalized = [...new Set(emails.map(email => email.trim().toLowerCase()))];
+    if (normalized.includes(gen.email)) {
+        return { error: 'The author of a generation cannot review it' };
+    }
+
+    const previous = new Map((gen.review.reviewers || []).map(r => [r.email, r]));
+    gen.review.reviewers = normalized.map(email => previous.get(email) || { email, assignedAt: new Date(), assignedBy });
+    return { value: gen.review.reviewers };
+}
+
+/*
+* Move the generation through the review lifecycle and record the change in its history.
+* `isAdmin` lets an admin approve or request changes without being an assigned reviewer.
+* Returns { value } (the recorded event) or { error, status }. The caller saves the document.
+*/
+export function applyReviewAction(gen, action, userEmail, { notes, isAdmin = false } = {}) {
+    const rule = REVIEW_ACTIONS[action];
+    if (!rule) {
+        return { error: `Unknown review action: ${action}`, status: 400 };
+    }
+    const from = getReviewStatus(gen);
+    if (!rule.from.includes(from)) {
+        return { error: `Cannot ${action.replace('_', ' ')} a generation that is ${from.replace('_', ' ')}`, status: 409 };
+    }
+
+    const review = gen.review;
+    const version = gen.currentVersion || 1;
+    const now = new Date();
+
+    if (action === 'submit' && review.reviewers.length === 0) {
+        return { error: 'Assign at least one reviewer before submitting for review', status: 400 };
+    }
+    if (REVIEWER_ACTIONS.includes(action)) {
+        if (gen.email === userEmail) {
+            return { error: 'The author of a generation cannot review it', status: 403 };
+        }
+        if (!isReviewer(gen, userEmail) && !isAdmin) {
+            return { error: 'Only assigned reviewers can review this generation', status: 403 };
+        }
+    }
+    if (action === 'publish') {
+        const unapproved = checkCurrentVersionApproved(gen);
+        if (unapproved.error) return unapproved;
+    }
+
+    switch (action) {
+        case 'submit':
+            // A new review round: earlier decisions and approval no longer apply
+            review.reviewers.forEach(r => {
+                r.decision = undefined;
+                r.decidedAt = undefined;
+            });
+            clearApproval(review);
+            break;
+        case 'approve':
+        case 'request_changes': {
+            const reviewer = review.reviewers.find(r => r.email === userEmail);
+            if (reviewer) {
+                reviewer.decision = action === 'approve' ? 'approved' : 'changes_requested';
+                reviewer.decidedAt = now;
+            }
+            if (action === 'approve') {
+                review.approvedVersion = version;
+                review.approvedBy = userEmail;
+                review.approvedAt = now;
+            }
+            break;
+        }
+        case 'withdraw':
+            clearApproval(review);
+            break;
+        case 'publish':
+            gen.published = true;
+            gen.publishedAt = now;
+            gen.publishedBy = userEmail;
+            break;
+        case 'unpublish':
+            gen.published = false;
+            gen.publishedAt = undefined;
+            gen.publishedBy = undefined;
+            break;
+    }
+
+    const event = { from, to: rule.to, action, by: userEmail, at: now, version, notes: notes || undefined };
+    review.status = rule.to;
+    review.history.push(event);
+    return { value: event };
+}
+
+/*
+* Whether the current version of the generation has been approved, as required to publish it or push it to JIRA.
+* Returns {} or { error, status }.
+*/
+export function checkCurrentVersionApproved(gen) {
+    const version = gen.currentVersion || 1;
+    const approvedVersion = gen.review?.approvedVersion;
+    if (approvedVersion !== version) {
+        return {
+            error: `Version ${version} has not been approved (approved version: ${approvedVersion ?? 'none'}); submit it for review again`,
+            status: 409
+        };
+    }
+    return {};
+}
+
+/*
+* Send an edited generation back to draft when its approval covered the previous content: a published generation is
+* unpublished, so an unreviewed version never goes live. Records the change in the review history.
+* Returns the recorded event, or null when the review status did not change. The caller saves the document.
+*/
+export function reopenAfterEdit(gen, userEmail) {
+    const from = getReviewStatus(gen);
+    if (from !== 'published' && from !== 'approved') return null;
+
+    gen.published = false;
+    gen.publishedAt = undefined;
+    gen.publishedBy = undefined;
+    clearApproval(gen.review);
+
+    const version = gen.currentVersion || 1;
+    const event = {
+        from,
+        to: 'draft',
+        action: 'edit',
+        by: userEmail,
+        at: new Date(),
+        version,
+        notes: `Version ${version} needs a new review`
+    };
+    gen.review.status = 'draft';
+    gen.review.history.push(event);
+    return event;
+}
+
+function clearApproval(review) {
+    review.approvedVersion = undefined;
+    review.approvedBy = undefined;
+    review.approvedAt = undefined;
+}
+
+/*
+* Add a reviewer comment anchored to one of the generation's current test cases.
+* Returns { value } (the comment) or { error }. The caller saves the document.
+*/
+export function addReviewComment(gen, { testCaseId, body }, author) {
+    if (typeof body !== 'string' || !body.trim()) {
+        return { error: 'body is required' };
+    }
+    if (body.length > MAX_COMMENT_LENGTH) {
+        return { error: `body must be at most ${MAX_COMMENT_LENGTH} characters` };
+    }
+    if (!getGenerationTestCases(gen).some(tc => tc.id === testCaseId)) {
+        return { error: `Test case not found: ${testCaseId}` };
+    }
+
+    gen.review.comments.push({
+        testCaseId,
+        version: gen.currentVersion || 1,
+        body: body.trim(),
+        author
+    });
+    return { value: gen.review.comments[gen.review.comments.length - 1] };
+}
+
+// Mark a comment resolved or open again. Returns the comment, or null when it does not exist.
+export function setCommentResolved(gen, commentId, resolved, userEmail) {
+    const comment = gen.review.comments.id(commentId);
+    if (!comment) return null;
+    comment.resolved = resolved;
+    comment.resolvedAt = resolved ? new Date() : undefined;
+    comment.resolvedBy = resolved ? userEmail : undefined;
+    return comment;
+}
+
+// Review state as returned by the API
+export function serializeReview(gen) {
+    const review = gen.review || {};
+    const currentVersion = gen.currentVersion || 1;
+    const status = getReviewStatus(gen);
+    return {
+        status,
+        currentVersion,
+        reviewers: review.reviewers || [],
+        comments: review.comments || [],
+        openComments: (review.comments || []).filter(c => !c.resolved).length,
+        history: review.history || [],
+        approvedVersion: review.approvedVersion,
+        approvedBy: review.approvedBy,
+        approvedAt: review.approvedAt,
+        canPublish: status === 'approved' && review.approvedVersion === currentVersion,
+        published: gen.published || false,
+        publishedAt: gen.publishedAt,
+        publishedBy: gen.publishedBy
+    };
+}
@@ -0,0 +1,235 @@
+import crypto from 'crypto';
+import Generation from '../models/Generation.js';
+import Project from '../models/Project.js';
+import User from '../models/User.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { webhookConfig } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { extractProject } from '../utils/projectUtils.js';
+import { isProviderAllowed, isModelAllowed, resolveProviderSelection } from './llm/index.js';
+import { estimateGenerationCost, createGeneration } from './generationService.js';
+import { checkQuota, describeViolations } from './quotaService.js';
+
+const ISSUE_EVENTS = ['jira:issue_created', 'jira:issue_updated'];
+
+const IN_PROGRESS_STATUSES = ['pending', 'queued', 'running'];
+
+const MAX_TRIGGERS = 20;
+
+/*
+* Check the X-Hub-Signature header ("sha256=<hex HMAC of the raw body>") JIRA sends for webhooks with a secret.
+*/
+export function verifyJiraSignature(rawBody, signatureHeader, secret) {
+    if (!rawBody || typeof signatureHeader !== 'string') return false;
+    const [algorithm, signature] = signatureHeader.split('=');
+    if (algorithm !== 'sha256' || !signature) return false;
+
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    const given = Buffer.from(signature, 'hex');
+    return given.length === expected.length / 2 && crypto.timingSafeEqual(given, Buffer.from(expected, 'hex'));
+}
+
+function toNameList(value) {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) return null;
+    return [...new Set(value.map(item => item.trim()))];
+}
+
+/*
+* Validate a project's webhook trigger rules from an API client.
+* Returns { value } (the rules) or { error }.
+*/
+export function parseTriggerRules(rules) {
+    if (!Array.isArray(rules)) {
+        return { error: 'triggers must be an array' };
+    }
+    if (rules.length > MAX_TRIGGERS) {
+        return { error: `At most ${MAX_TRIGGERS} triggers per project` };
+    }
+
+    const value = [];
+    const names = new Set();
+    for (const [index, rule] of rules.entries()) {
+        const label = `triggers[${index}]`;
+        if (!rule || typeof rule !== 'object') {
+            return { error: `${label} must be an object` };
+        }
+        const name = typeof rule.name === 'string' ? rule.name.trim() : '';
+        if (!name) {
+            return { error: `${label}.name is required` };
+        }
+        if (names.has(name.toLowerCase())) {
+            return { error: `Duplicate trigger name: ${name}` };
+        }
+        names.add(name.toLowerCase());
+
+        const lists = {};
+        for (const field of ['statuses', 'issueTypes', 'labels']) {
+            lists[field] = toNameList(rule[field]);
+            if (!lists[field]) {
+                return { error: `${label}.${field} must be an array of names` };
+            }
+        }
+        if (lists.statuses.length === 0) {
+            return { error: `${label}.statuses must name at least one status` };
+        }
+        if (rule.mode !== undefined && !['manual', 'auto'].includes(rule.mode)) {
+            return { error: `${label}.mode must be "manual" or "auto"` };
+        }
+        if (rule.provider !== undefined && rule.provider !== null && !isProviderAllowed(rule.provider)) {
+            return { error: `${label}: unknown LLM provider: ${rule.provider}` };
+        }
+        if (rule.model !== undefined && rule.model !== null && typeof rule.model !== 'string') {
+            return { error: `${label}.model must be a string` };
+        }
+        if (rule.provider && !isModelAllowed(rule.provider, rule.model)) {
+            return { error: `${label}: model ${rule.model} is not available for LLM provider ${rule.provider}` };
+        }
+
+        value.push({
+            name,
+            enabled: rule.enabled !== false,
+            ...lists,
+            mode: rule.mode || 'manual',
+            provider: rule.provider || undefined,
+            model: rule.model || undefined
+        });
+    }
+    return { value };
+}
+
+/*
+* The parts of a JIRA issue event the trigger rules look at.
+* `enteredStatus` is the status the issue moved to (issue_updated with a status change) or was created in.
+*/
+export function readIssueEvent(payload = {}) {
+    const fields = payload.issue?.fields || {};
+    const statusChange = (payload.changelog?.items || []).find(item => item.field === 'status');
+    const enteredStatus = payload.webhookEvent === 'jira:issue_created'
+        ? fields.status?.name
+        : statusChange?.toString;
+
+    return {
+        webhookEvent: payload.webhookEvent,
+        issueKey: payload.issue?.key,
+        status: fields.status?.name,
+        enteredStatus,
+        issueType: fields.issuetype?.name,
+        labels: fields.labels || []
+    };
+}
+
+const sameName = (a, b) => a?.toLowerCase() === b?.toLowerCase();
+
+// First enabled rule the event matches, or null
+export function matchTrigger(rules = [], event) {
+    if (!event.enteredStatus) return null;
+    return rules.find(rule => rule.enabled
+        && rule.statuses.some(status => sameName(status, event.enteredStatus))
+        && (!rule.issueTypes?.length || rule.issueTypes.some(type => sameName(type, event.issueType)))
+        && (!rule.labels?.length || rule.labels.some(label => event.labels.some(l => sameName(label, l))))) || null;
+}
+
+// The user webhook-triggered generations are attributed to (created without a password, so it cannot log in)
+export async function getServiceUser() {
+    return User.findOneAndUpdate(
+        { email: webhookConfig.serviceUserEmail },
+        { $setOnInsert: { email: webhookConfig.serviceUserEmail, name: 'JIRA automation', role: 'member' } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+}
+
+/*
+* Handle a verified JIRA issue event: match the project's trigger rules, drop duplicates and queue a generation.
+* `deliveryId` (X-Atlassian-Webhook-Identifier) identifies redeliveries of the same event.
+* Returns { outcome: 'ignored' | 'duplicate' | 'skipped' | 'enqueued', reason, rule, generationId }; errors are
+* rethrown after marking the delivery failed, so JIRA's redelivery is handled again.
+*/
+export async function handleJiraEvent(payload, { deliveryId } = {}) {
+    const event = readIssueEvent(payload);
+    if (!ISSUE_EVENTS.includes(event.webhookEvent) || !event.issueKey) {
+        return { outcome: 'ignored', reason: `Unsupported event: ${event.webhookEvent || 'unknown'}` };
+    }
+
+    // JIRA retries deliveries it considers failed; each delivery is handled once, unless handling it failed
+    if (deliveryId && !await claimDelivery(deliveryId, event)) {
+        return { outcome: 'duplicate', reason: `Delivery ${deliveryId} was already handled` };
+    }
+
+    let result;
+    try {
+        result = await evaluateEvent(event, deliveryId);
+    } catch (error) {
+        // Leave the delivery retryable: JIRA redelivers it after the error response
+        if (deliveryId) {
+            await WebhookDelivery.updateOne({ deliveryId }, { $set: { outcome: 'failed', reason: error.message } })
+                .catch(err => logger.error(`Failed to mark webhook delivery ${deliveryId} as failed: ${err.message}`));
+        }
+        throw error;
+    }
+    if (deliveryId) {
+        await WebhookDelivery.updateOne({ deliveryId }, {
+            $set: { outcome: result.outcome, reason: result.reason, rule: result.rule, generation: result.generationId }
+        });
+    }
+    logger.info(`JIRA webhook ${event.webhookEvent} for ${event.issueKey}: ${result.outcome}${result.reason ? ` (${result.reason})` : ''}`);
+    return result;
+}
+
+// Record the delivery as being handled; false when it was already handled (a failed one is claimed again)
+async function claimDelivery(deliveryId, event) {
+    try {
+        await WebhookDelivery.create({ deliveryId, event: event.webhookEvent, issueKey: event.issueKey });
+        return true;
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+    }
+    const retried = await WebhookDelivery.findOneAndUpdate(
+        { deliveryId, outcome: 'failed' },
+        { $set: { outcome: 'received' }, $unset: { reason: 1 } }
+    );
+    return Boolean(retried);
+}
+
+async function evaluateEvent(event, deliveryId) {
+    const { issueKey } = event;
+    const project = await Project.findOne({ projectKey: extractProject(issueKey) });
+    const rule = matchTrigger(project?.webhookTriggers, event);
+    if (!rule) {
+        return { outcome: 'ignored', reason: 'No trigger rule matches' };
+    }
+
+    // Don't stack generations: one in progress, or one this webhook started recently, is enough
+    const recent = await Generation.findOne({
+        issueKey,
+        $or: [
+            { status: { $in: IN_PROGRESS_STATUSES } },
+            { 'trigger.source': 'webhook', createdAt: { $gte: new Date(Date.now() - webhookConfig.dedupWindowMs) } }
+        ]
+    }).select('_id status');
+    if (recent) {
+        return { outcome: 'duplicate', rule: rule.name, reason: `Generation ${recent._id} (${recent.status}) already covers ${issueKey}` };
+    }
+
+    const serviceUser = await getServiceUser();
+    const autoMode = rule.mode === 'auto';
+    const llm = resolveProviderSelection({ provider: rule.provider, model: rule.model }, project);
+    const estimate = await estimateGenerationCost({ issueKey, autoMode, ...llm });
+    const estimatedCost = estimate?.cost || 0;
+
+    const quota = await checkQuota({ email: serviceUser.email, user: serviceUser, project, estimatedCost });
+    if (!quota.allowed) {
+        return { outcome: 'skipped', rule: rule.name, reason: `Quota exceeded: ${describeViolations(quota.violations)}` };
+    }
+
+    const generation = await createGeneration({
+        issueKey,
+        email: serviceUser.email,
+        autoMode,
+        provider: llm.provider,
+        model: llm.model,
+        estimatedCost,
+        trigger: { source: 'webhook', rule: rule.name, event: event.webhookEvent, deliveryId }
+    });
+    return { outcome: 'enqueued', rule: rule.name, generationId: generation._id };
+}
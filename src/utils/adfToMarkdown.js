@@ -0,0 +1,259 @@
+// Atlassian Document Format (ADF) to Markdown conversion.
+// Keeps the structure JIRA descriptions rely on (lists, numbered acceptance criteria, tables, code, headings)
+// so the model sees the story the way it was written.
+
+const PANEL_LABELS = {
+    info: 'Info',
+    note: 'Note',
+    warning: 'Warning',
+    error: 'Error',
+    success: 'Success',
+    tip: 'Tip',
+    custom: 'Note'
+};
+
+function escapeTableCell(text) {
+    return text.replace(/\|/g, '\\|').replace(/\n+/g, '<br>');
+}
+
+// Apply ADF marks to a text node
+function applyMarks(text, marks = []) {
+    if (!marks.length) return text;
+
+    // Code spans cannot contain other formatting
+    if (marks.some(mark => mark.type === 'code')) {
+        const fence = text.includes('`') ? '``' : '`';
+        const code = `${fence}${text}${fence}`;
+        const link = marks.find(mark => mark.type === 'link');
+        return link ? `[${code}](${link.attrs?.href || ''})` : code;
+    }
+
+    // Keep surrounding whitespace outside the markers (`** bold**` is not valid markdown)
+    const [, lead, core, trail] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!core) return text;
+
+    let result = core;
+    for (const mark of marks) {
+        switch (mark.type) {
+            case 'strong':
+                result = `**${result}**`;
+                break;
+            case 'em':
+                result = `*${result}*`;
+                break;
+            case 'strike':
+                result = `~~${result}~~`;
+                break;
+            case 'underline':
+                result = `<u>${result}</u>`;
+                break;
+            case 'subsup':
+                result = mark.attrs?.type === 'sup' ? `<sup>${result}</sup>` : `<sub>${result}</sub>`;
+                break;
+            default:
+                break;
+        }
+    }
+    // Links wrap everything else
+    const link = marks.find(mark => mark.type === 'link');
+    if (link) {
+        result = `[${result}](${link.attrs?.href || ''})`;
+    }
+    return `${lead}${result}${trail}`;
+}
+
+function formatDate(timestamp) {
+    const date = new Date(Number(timestamp));
+    return Number.isNaN(date.getTime()) ? String(timestamp) : date.toISOString().slice(0, 10);
+}
+
+// Convert inline nodes (the content of paragraphs, headings, cells…) to a single markdown string
+function renderInline(nodes = []) {
+    return nodes.map(renderInlineNode).join('');
+}
+
+function renderInlineNode(node) {
+    const attrs = node.attrs || {};
+    switch (node.type) {
+        case 'text':
+            return applyMarks(node.text || '', node.marks);
+        case 'hardBreak':
+            return '  \n';
+        case 'mention':
+            return attrs.text ? (attrs.text.startsWith('@') ? attrs.text : `@${attrs.text}`) : '@user';
+        case 'emoji':
+            return attrs.text || attrs.shortName || '';
+        case 'date':
+            return formatDate(attrs.timestamp);
+        case 'status':
+            return attrs.text ? `[${attrs.text.toUpperCase()}]` : '';
+        case 'inlineCard':
+            return attrs.url ? `<${attrs.url}>` : '';
+        case 'placeholder':
+            return attrs.text || '';
+        case 'mediaInline':
+            return `[attachment${attrs.alt ? `: ${attrs.alt}` : ''}]`;
+        case 'inlineExtension':
+            return attrs.text || '';
+        default:
+            return node.content ? renderInline(node.content) : (node.text || '');
+    }
+}
+
+// Prefix every non-empty line of a block
+function prefixLines(text, prefix, firstPrefix = prefix) {
+    return text
+        .split('\n')
+        .map((line, index) => (index === 0 ? firstPrefix : (line ? prefix : prefix.trimEnd())) + line)
+        .join('\n');
+}
+
+function renderList(node, ordered, depth) {
+    const start = Number(node.attrs?.order) || 1;
+    return (node.content || [])
+        .map((item, index) => {
+            const marker = ordered ? `${start + index}. ` : '- ';
+            const body = renderListItem(item, depth);
+            return prefixLines(body, ' '.repeat(marker.length), marker);
+        })
+        .join('\n');
+}
+
+// List items hold paragraphs and nested lists; nested lists are rendered without blank lines
+function renderListItem(item, depth) {
+    return (item.content || [])
+        .map(child => renderBlock(child, depth + 1))
+        .filter(text => text !== '')
+        .join('\n');
+}
+
+function renderTaskList(node, depth) {
+    return (node.content || [])
+        .map(item => {
+            if (item.type === 'taskList') {
+                return prefixLines(renderTaskList(item, depth + 1), '  ');
+            }
+            const checked = item.attrs?.state === 'DONE' ? 'x' : ' ';
+            return `- [${checked}] ${renderInline(item.content)}`;
+        })
+        .join('\n');
+}
+
+function renderDecisionList(node) {
+    return (node.content || [])
+        .map(item => `- Decision: ${renderInline(item.content)}`)
+        .join('\n');
+}
+
+function renderTable(node) {
+    const rows = (node.content || []).filter(row => row.type === 'tableRow');
+    if (rows.length === 0) return '';
+
+    const cellText = cell => escapeTableCell(renderBlocks(cell.content || [], 0).trim());
+    const matrix = rows.map(row => (row.content || []).map(cellText));
+    const columnCount = Math.max(...matrix.map(cells => cells.length));
+    const pad = cells => [...cells, ...Array(columnCount - cells.length).fill('')];
+
+    // Markdown tables need a header row: use the first row whether or not it is made of tableHeader cells
+    const [header, ...body] = matrix.map(pad);
+    const lines = [
+        `| ${header.join(' | ')} |`,
+        `| ${Array(columnCount).fill('---').join(' | ')} |`,
+        ...body.map(cells => `| ${cells.join(' | ')} |`)
+    ];
+    return lines.join('\n');
+}
+
+function renderMedia(node) {
+    const attrs = node.attrs || {};
+    const label = attrs.alt || attrs.id || 'media';
+    return `[attachment: ${label}]`;
+}
+
+function renderCodeBlock(node) {
+    const code = (node.content || []).map(child => child.text || '').join('');
+    const fence = code.includes('```') ? '~~~' : '```';
+    return `${fence}${node.attrs?.language || ''}\n${code}\n${fence}`;
+}
+
+// Convert a single block node to markdown
+function renderBlock(node, depth = 0) {
+    const attrs = node.attrs || {};
+    switch (node.type) {
+        case 'doc':
+            return renderBlocks(node.content, depth);
+        case 'paragraph':
+            return renderInline(node.content);
+        case 'heading': {
+            const level = Math.min(Math.max(Number(attrs.level) || 1, 1), 6);
+            return `${'#'.repeat(level)} ${renderInline(node.content)}`;
+        }
+        case 'bulletList':
+            return renderList(node, false, depth);
+        case 'orderedList':
+            return renderList(node, true, depth);
+        case 'listItem':
+            return renderListItem(node, depth);
+        case 'taskList':
+            return renderTaskList(node, depth);
+        case 'decisionList':
+            return renderDecisionList(node);
+        case 'blockquote':
+            return prefixLines(renderBlocks(node.content, depth), '> ');
+        case 'codeBlock':
+            return renderCodeBlock(node);
+        case 'rule':
+            return '---';
+        case 'panel': {
+            const label = PANEL_LABELS[attrs.panelType] || 'Note';
+            return prefixLines(`**${label}:** ${renderBlocks(node.content, depth)}`, '> ');
+        }
+        case 'expand':
+        case 'nestedExpand': {
+            const title = attrs.title ? `**${attrs.title}**\n\n` : '';
+            return `${title}${renderBlocks(node.content, depth)}`;
+        }
+        case 'table':
+            return renderTable(node);
+        case 'media':
+            return renderMedia(node);
+        case 'mediaSingle':
+        case 'mediaGroup':
+            return (node.content || [])
+                .filter(child => child.type === 'media')
+                .map(renderMedia)
+                .join('\n');
+        case 'blockCard':
+        case 'embedCard':
+            return attrs.url ? `<${attrs.url}>` : '';
+        case 'extension':
+        case 'bodiedExtension':
+            return node.content ? renderBlocks(node.content, depth) : '';
+        default:
+            // Unknown nodes: keep whatever text they carry
+            if (node.content) {
+                const isInline = node.content.every(child => child.type === 'text' || !child.content);
+                return isInline ? renderInline(node.content) : renderBlocks(node.content, depth);
+            }
+            return renderInlineNode(node);
+    }
+}
+
+// Blocks are separated by blank lines
+function renderBlocks(nodes = [], depth = 0) {
+    return nodes
+        .map(node => renderBlock(node, depth))
+        .filter(text => text.trim() !== '')
+        .join('\n\n');
+}
+
+// Convert an ADF document (or any ADF node) to markdown. Returns '' for empty/invalid input.
+// Plain strings (JIRA Server / legacy fields) are returned unchanged.
+export function adfToMarkdown(adf) {
+    if (typeof adf === 'string') return adf;
+    if (!adf || typeof adf !== 'object') return '';
+
+    return renderBlock(adf)
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
@@ -0,0 +1,128 @@
+// Helpers to build Atlassian Document Format (ADF) documents for JIRA write APIs
+
+// Convert inline markdown (bold, italic, code, links) into ADF text nodes
+export function inlineToADF(text) {
+    const nodes = [];
+    const pattern = /(\*\*([^*]+)\*\*|`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)|\*([^*]+)\*)/g;
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        if (match.index > lastIndex) {
+            nodes.push({ type: 'text', text: text.slice(lastIndex, match.index) });
+        }
+        if (match[2] !== undefined) {
+            nodes.push({ type: 'text', text: match[2], marks: [{ type: 'strong' }] });
+        } else if (match[3] !== undefined) {
+            nodes.push({ type: 'text', text: match[3], marks: [{ type: 'code' }] });
+        } else if (match[4] !== undefined) {
+            nodes.push({ type: 'text', text: match[4], marks: [{ type: 'link', attrs: { href: match[5] } }] });
+        } else {
+            nodes.push({ type: 'text', text: match[6], marks: [{ type: 'em' }] });
+        }
+        lastIndex = pattern.lastIndex;
+    }
+    if (lastIndex < text.length) {
+        nodes.push({ type: 'text', text: text.slice(lastIndex) });
+    }
+    return nodes.filter(node => node.text);
+}
+
+function paragraph(text) {
+    return { type: 'paragraph', content: inlineToADF(text) };
+}
+
+function listItem(text) {
+    return { type: 'listItem', content: [paragraph(text)] };
+}
+
+// Convert a markdown document into an ADF document (headings, lists, code blocks, rules, paragraphs)
+export function markdownToADF(markdown = '') {
+    const content = [];
+    const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+    let paragraphLines = [];
+    let list = null;
+
+    const flushParagraph = () => {
+        if (paragraphLines.length) {
+            content.push(paragraph(paragraphLines.join(' ')));
+            paragraphLines = [];
+        }
+    };
+    const flushList = () => {
+        if (list) {
+            content.push(list);
+            list = null;
+        }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const trimmed = line.trim();
+
+        // Fenced code block
+        const fence = trimmed.match(/^```(\w*)/);
+        if (fence) {
+            flushParagraph();
+            flushList();
+            const codeLines = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith('```')) {
+                codeLines.push(lines[i]);
+                i++;
+            }
+            content.push({
+                type: 'codeBlock',
+                attrs: fence[1] ? { language: fence[1] } : {},
+                content: codeLines.length ? [{ type: 'text', text: codeLines.join('\n') }] : []
+            });
+            continue;
+        }
+
+        if (!trimmed) {
+            flushParagraph();
+            flushList();
+            continue;
+        }
+
+        const heading = trimmed.match(/^(#{1,6})\s+(.*)$/);
+        if (heading) {
+            flushParagraph();
+            flushList();
+            content.push({
+                type: 'heading',
+                attrs: { level: heading[1].length },
+                content: inlineToADF(heading[2])
+            });
+            continue;
+        }
+
+        if (/^(-{3,}|\*{3,}|_{3,})$/.test(trimmed)) {
+            flushParagraph();
+            flushList();
+            content.push({ type: 'rule' });
+            continue;
+        }
+
+        const bullet = trimmed.match(/^[-*+•]\s+(.*)$/);
+        const ordered = trimmed.match(/^\d+[.)]\s+(.*)$/);
+        if (bullet || ordered) {
+            flushParagraph();
+            const listType = bullet ? 'bulletList' : 'orderedList';
+            if (!list || list.type !== listType) {
+                flushList();
+                list = { type: listType, content: [] };
+            }
+            list.content.push(listItem((bullet || ordered)[1]));
+            continue;
+        }
+
+        flushList();
+        paragraphLines.push(trimmed);
+    }
+
+    flushParagraph();
+    flushList();
+
+    return { type: 'doc', version: 1, content };
+}
@@ -0,0 +1,16 @@
+// Minimal CSV (RFC 4180) writer for exports
+
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows are plain objects; columns default to the keys of the first row
+export function toCsv(rows = [], columns = Object.keys(rows[0] || {})) {
+    const lines = [columns.map(escapeCsvValue).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => escapeCsvValue(row[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
@@ -0,0 +1,124 @@
+// Text diff helpers used to compare generation versions
+
+// Above this many compared line pairs the changed middle is reported as one removed and one added block
+const MAX_LCS_CELLS = 4_000_000;
+
+function pushHunk(hunks, type, line) {
+    const last = hunks[hunks.length - 1];
+    if (last && last.type === type) {
+        last.lines.push(line);
+    } else {
+        hunks.push({ type, lines: [line] });
+    }
+}
+
+// Longest common subsequence diff of two line arrays, as a list of { type, line }
+function lcsDiff(a, b) {
+    const n = a.length;
+    const m = b.length;
+    if (n * m > MAX_LCS_CELLS) {
+        return [...a.map(line => ({ type: 'removed', line })), ...b.map(line => ({ type: 'added', line }))];
+    }
+
+    // lengths[i * (m + 1) + j] = LCS length of a[i..] and b[j..]
+    const lengths = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lengths[i * (m + 1) + j] = a[i] === b[j]
+                ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+                : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (a[i] === b[j]) {
+            ops.push({ type: 'equal', line: a[i] });
+            i++;
+            j++;
+        } else if (lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1]) {
+            ops.push({ type: 'removed', line: a[i++] });
+        } else {
+            ops.push({ type: 'added', line: b[j++] });
+        }
+    }
+    while (i < n) ops.push({ type: 'removed', line: a[i++] });
+    while (j < m) ops.push({ type: 'added', line: b[j++] });
+    return ops;
+}
+
+/*
+* Line diff of two texts.
+* Returns { hunks: [{ type: 'equal' | 'added' | 'removed', lines }], stats: { added, removed, unchanged } }.
+*/
+export function diffLines(before = '', after = '') {
+    const a = before.split('\n');
+    const b = after.split('\n');
+
+    // Only the part between the common prefix and suffix needs the LCS table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const ops = [
+        ...a.slice(0, start).map(line => ({ type: 'equal', line })),
+        ...lcsDiff(a.slice(start, endA), b.slice(start, endB)),
+        ...a.slice(endA).map(line => ({ type: 'equal', line }))
+    ];
+
+    const hunks = [];
+    const stats = { added: 0, removed: 0, unchanged: 0 };
+    for (const { type, line } of ops) {
+        pushHunk(hunks, type, line);
+        stats[type === 'equal' ? 'unchanged' : type]++;
+    }
+    return { hunks, stats };
+}
+
+// Markdown sections keyed by their heading path ("Category > Test Case 1: Title"); text before the first heading is ''
+function splitSections(markdown) {
+    const sections = new Map();
+    const path = [];
+    let key = '';
+    sections.set(key, []);
+    for (const line of markdown.split('\n')) {
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        if (heading) {
+            const level = heading[1].length;
+            path.length = level - 1;
+            path[level - 1] = heading[2].trim();
+            key = path.filter(Boolean).join(' > ');
+            if (!sections.has(key)) sections.set(key, []);
+        }
+        sections.get(key).push(line);
+    }
+    return new Map([...sections].map(([heading, lines]) => [heading, lines.join('\n').trim()]));
+}
+
+/*
+* Section-level diff of two markdown texts, by heading.
+* Returns the sections that differ: [{ heading, status: 'added' | 'removed' | 'changed' }].
+*/
+export function diffSections(before = '', after = '') {
+    const a = splitSections(before);
+    const b = splitSections(after);
+    const changes = [];
+    for (const [heading, text] of a) {
+        if (!b.has(heading)) {
+            if (text) changes.push({ heading, status: 'removed' });
+        } else if (b.get(heading) !== text) {
+            changes.push({ heading, status: 'changed' });
+        }
+    }
+    for (const [heading, text] of b) {
+        if (!a.has(heading) && text) changes.push({ heading, status: 'added' });
+    }
+    return changes;
+}
@@ -0,0 +1,295 @@
+// Minimal PDF writer for exports: text in the standard Helvetica fonts, lines, rectangles, internal links and bookmarks.
+// No fonts are embedded, so text is limited to WinAnsi (Latin-1 plus typographic quotes, dashes and bullets).
+
+import zlib from 'zlib';
+
+// A4 in points
+export const PAGE_SIZE = { width: 595.28, height: 841.89 };
+
+const FONTS = {
+    regular: { key: 'F1', name: 'Helvetica' },
+    bold: { key: 'F2', name: 'Helvetica-Bold' },
+    italic: { key: 'F3', name: 'Helvetica-Oblique' }
+};
+
+// Glyph widths (1/1000 em) of characters 32-126, from the Adobe font metrics
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Widths of the WinAnsi characters above 126 that differ much from an average glyph
+const SPECIAL_WIDTHS = { 0x85: 1000, 0x91: 222, 0x92: 222, 0x93: 333, 0x94: 333, 0x95: 350, 0x96: 556, 0x97: 1000, 0xA0: 278, 0xB7: 278 };
+
+const DEFAULT_WIDTH = 556;
+
+// Unicode characters WinAnsi places at 0x80-0x9F
+const WIN_ANSI_EXTRAS = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87,
+    'ˆ': 0x88, '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91,
+    '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98,
+    '™': 0x99, 'š': 0x9A, '›': 0x9B, 'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F
+};
+
+// Letters without a decomposition that still have an obvious Latin base
+const LATIN_FALLBACKS = { 'đ': 'd', 'Đ': 'D', 'ł': 'l', 'Ł': 'L', '→': '->', '←': '<-', '≤': '<=', '≥': '>=' };
+
+function encodeChar(char) {
+    const code = char.codePointAt(0);
+    if ((code >= 32 && code <= 126) || (code >= 0xA0 && code <= 0xFF)) return char;
+    if (char === '\t') return '    ';
+    if (code < 32) return '';
+    if (WIN_ANSI_EXTRAS[char]) return String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+    if (LATIN_FALLBACKS[char]) return LATIN_FALLBACKS[char];
+
+    // Drop accents the encoding does not have (e.g. Vietnamese tone marks): "ế" -> "e"
+    const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    if (base && base !== char) return [...base].map(encodeChar).join('');
+    return '?';
+}
+
+// Text as WinAnsi character codes (one JS char per byte); characters it cannot represent lose their accents or become "?"
+export function toWinAnsi(text) {
+    return [...String(text ?? '')].map(encodeChar).join('');
+}
+
+function charWidth(code, font) {
+    if (code >= 32 && code <= 126) {
+        return (font === 'bold' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS)[code - 32];
+    }
+    return SPECIAL_WIDTHS[code] || DEFAULT_WIDTH;
+}
+
+// Width in points of (already encoded) text
+function encodedWidth(encoded, font, size) {
+    let units = 0;
+    for (let i = 0; i < encoded.length; i++) {
+        units += charWidth(encoded.charCodeAt(i), font);
+    }
+    return (units * size) / 1000;
+}
+
+export function textWidth(text, font = 'regular', size = 10) {
+    return encodedWidth(toWinAnsi(text), font, size);
+}
+
+/*
+* Break text into lines no wider than `maxWidth` (newlines are kept; words longer than a line are cut).
+* Returns the lines as plain strings.
+*/
+export function wrapText(text, font, size, maxWidth) {
+    const lines = [];
+    for (const paragraph of String(text ?? '').split(/\r?\n/)) {
+        let line = '';
+        for (const word of paragraph.split(/ +/)) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (textWidth(candidate, font, size) <= maxWidth) {
+                line = candidate;
+                continue;
+            }
+            if (line) lines.push(line);
+
+            // Cut a word that does not fit on a line of its own
+            let rest = word;
+            while (textWidth(rest, font, size) > maxWidth && rest.length > 1) {
+                let cut = rest.length - 1;
+                while (cut > 1 && textWidth(rest.slice(0, cut), font, size) > maxWidth) cut--;
+                lines.push(rest.slice(0, cut));
+                rest = rest.slice(cut);
+            }
+            line = rest;
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+function escapeString(encoded) {
+    return encoded.replace(/[\\()]/g, match => `\\${match}`);
+}
+
+function pdfString(text) {
+    return `(${escapeString(toWinAnsi(text))})`;
+}
+
+// '#RRGGBB' -> 'r g b' (0-1 components)
+function rgb(hex) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return [value >> 16, (value >> 8) & 0xFF, value & 0xFF].map(c => Number((c / 255).toFixed(3))).join(' ');
+}
+
+const num = value => Number(value.toFixed(2));
+
+/*
+* One page. Coordinates are in points from the top-left corner; text `y` is the baseline.
+*/
+export class PdfPage {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.ops = [];
+        this.links = [];
+    }
+
+    text(text, x, y, { font = 'regular', size = 10, color = '#000000' } = {}) {
+        const encoded = toWinAnsi(text);
+        if (!encoded) return;
+        this.ops.push(`BT /${FONTS[font].key} ${size} Tf ${rgb(color)} rg ${num(x)} ${num(this.height - y)} Td (${escapeString(encoded)}) Tj ET`);
+    }
+
+    // Text ending at x (right-aligned)
+    textRight(text, x, y, options = {}) {
+        this.text(text, x - textWidth(text, options.font, options.size), y, options);
+    }
+
+    rect(x, y, width, height, { fill, stroke, lineWidth = 0.5 } = {}) {
+        const ops = [`${num(x)} ${num(this.height - y - height)} ${num(width)} ${num(height)} re`];
+        if (fill) ops.unshift(`${rgb(fill)} rg`);
+        if (stroke) ops.unshift(`${lineWidth} w ${rgb(stroke)} RG`);
+        ops.push(fill && stroke ? 'B' : fill ? 'f' : 'S');
+        this.ops.push(ops.join(' '));
+    }
+
+    line(x1, y1, x2, y2, { color = '#000000', lineWidth = 0.5 } = {}) {
+        this.ops.push(`${lineWidth} w ${rgb(color)} RG ${num(x1)} ${num(this.height - y1)} m ${num(x2)} ${num(this.height - y2)} l S`);
+    }
+
+    // Clickable area jumping to `target` ({ page, top })
+    link(x, y, width, height, target) {
+        this.links.push({ rect: [x, this.height - y - height, x + width, this.height - y], target });
+    }
+}
+
+/*
+* PDF document built page by page. Pages can be inserted anywhere until the document is written
+* (e.g. a table of contents once the page numbers are known).
+*/
+export class PdfDocument {
+    constructor({ width = PAGE_SIZE.width, height = PAGE_SIZE.height } = {}) {
+        this.width = width;
+        this.height = height;
+        this.pages = [];
+        this.outline = [];
+    }
+
+    addPage(index = this.pages.length) {
+        const page = new PdfPage(this.width, this.height);
+        this.pages.splice(index, 0, page);
+        return page;
+    }
+
+    // Bookmarks: [{ title, target: { page, top }, children: [...] }]
+    setOutline(items) {
+        this.outline = items;
+    }
+
+    // Serialize the document. `info`: { title, author, subject }
+    toBuffer(info = {}) {
+        const objects = [];
+        const reserve = () => objects.push(null);
+        const set = (ref, body) => { objects[ref - 1] = body; };
+
+        const catalogRef = reserve();
+        const pagesRef = reserve();
+        const fontRefs = {};
+        for (const [style, { name }] of Object.entries(FONTS)) {
+            fontRefs[style] = reserve();
+            set(fontRefs[style], `<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`);
+        }
+        const fontResources = Object.entries(FONTS).map(([style, { key }]) => `/${key} ${fontRefs[style]} 0 R`).join(' ');
+
+        const pageRefs = new Map(this.pages.map(page => [page, reserve()]));
+        const destination = ({ page, top }) => `[${pageRefs.get(page)} 0 R /XYZ 0 ${num(this.height - top)} 0]`;
+
+        for (const [page, pageRef] of pageRefs) {
+            const contentRef = reserve();
+            set(contentRef, zlib.deflateSync(Buffer.from(page.ops.join('\n'), 'latin1')));
+
+            const annotRefs = page.links
+                .filter(link => pageRefs.has(link.target.page))
+                .map(link => {
+                    const ref = reserve();
+                    set(ref, `<< /Type /Annot /Subtype /Link /Rect [${link.rect.map(num).join(' ')}] /Border [0 0 0] /Dest ${destination(link.target)} >>`);
+                    return `${ref} 0 R`;
+                });
+            set(pageRef, `<< /Type /Page /Parent ${pagesRef} 0 R /MediaBox [0 0 ${this.width} ${this.height}] `
+                + `/Resources << /Font << ${fontResources} >> >> /Contents ${contentRef} 0 R`
+                + (annotRefs.length ? ` /Annots [${annotRefs.join(' ')}]` : '') + ' >>');
+        }
+        set(pagesRef, `<< /Type /Pages /Kids [${[...pageRefs.values()].map(ref => `${ref} 0 R`).join(' ')}] /Count ${this.pages.length} >>`);
+
+        // Bookmarks: a linked list of items per level, all expanded
+        const writeOutline = (items, parentRef) => {
+            const refs = items.map(() => reserve());
+            let visible = 0;
+            items.forEach((item, i) => {
+                const children = item.children?.length ? writeOutline(item.children, refs[i]) : null;
+                visible += 1 + (children?.visible || 0);
+                set(refs[i], `<< /Title ${pdfString(item.title)} /Parent ${parentRef} 0 R /Dest ${destination(item.target)}`
+                    + (i > 0 ? ` /Prev ${refs[i - 1]} 0 R` : '')
+                    + (i < refs.length - 1 ? ` /Next ${refs[i + 1]} 0 R` : '')
+                    + (children ? ` /First ${children.first} 0 R /Last ${children.last} 0 R /Count ${children.visible}` : '')
+                    + ' >>');
+            });
+            return { first: refs[0], last: refs[refs.length - 1], visible };
+        };
+        let outlineRef = null;
+        if (this.outline.length > 0) {
+            outlineRef = reserve();
+            const top = writeOutline(this.outline, outlineRef);
+            set(outlineRef, `<< /Type /Outlines /First ${top.first} 0 R /Last ${top.last} 0 R /Count ${top.visible} >>`);
+        }
+        set(catalogRef, `<< /Type /Catalog /Pages ${pagesRef} 0 R`
+            + (outlineRef ? ` /Outlines ${outlineRef} 0 R /PageMode /UseOutlines` : '') + ' >>');
+
+        const created = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+        const infoRef = reserve();
+        set(infoRef, `<< /Producer (AssistantAidan) /CreationDate (D:${created}Z)`
+            + (info.title ? ` /Title ${pdfString(info.title)}` : '')
+            + (info.author ? ` /Author ${pdfString(info.author)}` : '')
+            + (info.subject ? ` /Subject ${pdfString(info.subject)}` : '')
+            + ' >>');
+
+        // Body, cross-reference table and trailer
+        const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+        let length = chunks[0].length;
+        const offsets = [];
+        objects.forEach((body, i) => {
+            offsets.push(length);
+            const parts = Buffer.isBuffer(body)
+                ? [Buffer.from(`${i + 1} 0 obj\n<< /Length ${body.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'), body, Buffer.from('\nendstream\nendobj\n', 'latin1')]
+                : [Buffer.from(`${i + 1} 0 obj\n${body}\nendobj\n`, 'latin1')];
+            for (const part of parts) {
+                chunks.push(part);
+                length += part.length;
+            }
+        });
+
+        const xref = [
+            'xref',
+            `0 ${objects.length + 1}`,
+            '0000000000 65535 f ',
+            ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+            'trailer',
+            `<< /Size ${objects.length + 1} /Root ${catalogRef} 0 R /Info ${infoRef} 0 R >>`,
+            'startxref',
+            String(length),
+            '%%EOF'
+        ].join('\n');
+        chunks.push(Buffer.from(`${xref}\n`, 'latin1'));
+        return Buffer.concat(chunks);
+    }
+}
@@ -8,6 +8,7 @@ export function extractProject(issueKey) {
     return match ? match[1].toUpperCase() : null;
 }
 
+// Find the project or create it in a single atomic upsert (safe when two generations start at once)
 export async function findOrCreateProject(projectKey, userEmail) {
     const Project = (await import('../models/Project.js')).default;
 
@@ -16,23 +17,40 @@ export async function findOrCreateProject(projectKey, userEmail) {
     }
 
     const normalizedkey = projectKey.toUpperCase();
+    const upsert = () => Project.findOneAndUpdate(
+        { projectKey: normalizedkey },
+        { $setOnInsert: { projectKey: normalizedkey, createdBy: userEmail } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
 
-    // Find if there is existing one
-    let project = Project.findOne({ projectKey: normalizedkey });
+    try {
+        return await upsert();
+    } catch (error) {
+        // Concurrent upserts on the unique key: the other one won, read it back
+        if (error.code === 11000) return upsert();
+        throw error;
+    }
+}
 
-    if (!project) {
-        project = new Project({
-            projectKey: normalizedkey,
-            createdBy: userEmail,
-            firstGeneratedAt: new Date(),
-            lastGeneratedAt: new Date(),
-            totalGenerations: 0
-        })
+/*
+* Atomically update a project's generation stats: `delta` 1 when a generation was created, -1 when one was deleted.
+*/
+export async function updateProjectStats(projectId, delta = 1) {
+    const Project = (await import('../models/Project.js')).default;
 
-        await project.save();
-    } else {
-        project.lastGeneratedAt = new Date();
-        await project.save();
+    if (!projectId) return null;
+    if (delta > 0) {
+        const now = new Date();
+        return Project.findByIdAndUpdate(
+            projectId,
+            { $inc: { totalGenerations: delta }, $set: { lastGeneratedAt: now }, $min: { firstGeneratedAt: now } },
+            { new: true }
+        );
     }
-    return project;
-}
\ No newline at end of file
+    // Never go below zero
+    return Project.findOneAndUpdate(
+        { _id: projectId, totalGenerations: { $gte: -delta } },
+        { $inc: { totalGenerations: delta } },
+        { new: true }
+    );
+}
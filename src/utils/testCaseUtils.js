@@ -0,0 +1,212 @@
+// Structured test case helpers: validation, markdown rendering and parsing back from markdown
+
+export const PRIORITIES = ['High', 'Medium', 'Low'];
+
+const DEFAULT_CATEGORY = 'General';
+
+function toStringList(value) {
+    if (Array.isArray(value)) {
+        return value.map(item => String(item).trim()).filter(Boolean);
+    }
+    if (typeof value === 'string') {
+        return value.split('\n').map(item => item.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim()).filter(Boolean);
+    }
+    return [];
+}
+
+function normalizePriority(priority) {
+    const match = PRIORITIES.find(p => p.toLowerCase() === String(priority || '').trim().toLowerCase());
+    return match || 'Medium';
+}
+
+// Next free id of the form TC-001
+export function nextTestCaseId(testCases = []) {
+    const max = testCases.reduce((highest, tc) => {
+        const n = Number(String(tc.id).match(/(\d+)$/)?.[1] || 0);
+        return Math.max(highest, n);
+    }, 0);
+    return `TC-${String(max + 1).padStart(3, '0')}`;
+}
+
+/*
+* Validate and normalize a test case coming from the model or an API client.
+* Returns { value } or { error }.
+*/
+export function normalizeTestCase(input, { id } = {}) {
+    if (!input || typeof input !== 'object') {
+        return { error: 'test case must be an object' };
+    }
+    const title = typeof input.title === 'string' ? input.title.trim() : '';
+    if (!title) {
+        return { error: 'title is required' };
+    }
+    const steps = toStringList(input.steps);
+    if (steps.length === 0) {
+        return { error: 'steps must contain at least one step' };
+    }
+
+    return {
+        value: {
+            id: id || (typeof input.id === 'string' && input.id.trim()) || undefined,
+            title,
+            category: (typeof input.category === 'string' && input.category.trim()) || DEFAULT_CATEGORY,
+            priority: normalizePriority(input.priority),
+            preconditions: toStringList(input.preconditions),
+            steps,
+            expected: typeof input.expected === 'string' ? input.expected.trim() : toStringList(input.expected).join('\n'),
+            tags: toStringList(input.tags),
+            acceptanceCriteria: toStringList(input.acceptanceCriteria)
+        }
+    };
+}
+
+// Normalize a list of test cases, assigning sequential ids where missing or duplicated
+export function normalizeTestCases(list = []) {
+    const result = [];
+    const seen = new Set();
+    for (const input of list) {
+        const { value } = normalizeTestCase(input);
+        if (!value) continue;
+        if (!value.id || seen.has(value.id)) {
+            value.id = nextTestCaseId(result);
+        }
+        seen.add(value.id);
+        result.push(value);
+    }
+    return result;
+}
+
+// Group test cases by category, keeping the first-seen category order
+export function groupByCategory(testCases = []) {
+    const groups = new Map();
+    for (const tc of testCases) {
+        const category = tc.category || DEFAULT_CATEGORY;
+        if (!groups.has(category)) groups.set(category, []);
+        groups.get(category).push(tc);
+    }
+    return groups;
+}
+
+/*
+* Render structured test cases as markdown.
+* The layout (## category, ### Test Case N: title, - **Label**: value) is what parseTestCasesMarkdown reads back.
+*/
+export function renderTestCasesMarkdown({ issueKey, title, testCases = [], autoMode = false }) {
+    const heading = autoMode ? 'Automation Tests for' : 'Test Cases for';
+    const lines = [`# ${heading} ${issueKey}: ${title || 'Untitled'}`, ''];
+
+    let number = 0;
+    for (const [category, cases] of groupByCategory(testCases)) {
+        lines.push(`## ${category}`, '');
+        for (const tc of cases) {
+            number++;
+            lines.push(`### Test Case ${number}: ${tc.title}`, '');
+            lines.push(`- **ID**: ${tc.id}`);
+            lines.push(`- **Priority**: ${tc.priority}`);
+            if (tc.preconditions?.length) {
+                lines.push('- **Preconditions**:');
+                tc.preconditions.forEach(p => lines.push(`  - ${p}`));
+            }
+            lines.push('- **Steps**:');
+            tc.steps.forEach((step, i) => lines.push(`  ${i + 1}. ${step}`));
+            lines.push(`- **Expected Result**: ${(tc.expected || '').replace(/\n+/g, ' ')}`);
+            if (tc.tags?.length) {
+                lines.push(`- **Tags**: ${tc.tags.join(', ')}`);
+            }
+            if (tc.acceptanceCriteria?.length) {
+                lines.push(`- **Acceptance Criteria**: ${tc.acceptanceCriteria.join('; ')}`);
+            }
+            lines.push('');
+        }
+    }
+
+    return lines.join('\n').trimEnd() + '\n';
+}
+
+// Read a "- **Label**: value" section (value may continue on indented lines) from a test case block
+function readSection(block, labels) {
+    const pattern = new RegExp(
+        `^\\s*-\\s*\\*\\*(?:${labels.join('|')})\\*\\*:?\\s*([\\s\\S]*?)(?=^\\s*-\\s*\\*\\*|^#{1,3}\\s|(?![\\s\\S]))`,
+        'im'
+    );
+    const match = block.match(pattern);
+    return match ? match[1].trim() : '';
+}
+
+function stripInlineMarkdown(text = '') {
+    return text.replace(/\*\*(.*?)\*\*/g, '$1').replace(/`([^`]*)`/g, '$1').trim();
+}
+
+/*
+* Parse test cases from generation markdown (our own rendered layout and the older free-form model output).
+* Used for legacy generations and after manual markdown edits.
+*/
+export function parseTestCasesMarkdown(markdown = '') {
+    const testCases = [];
+    let category = DEFAULT_CATEGORY;
+
+    // Split into chunks at category (##) and test case (###) headings
+    const parts = markdown.split(/^(?=#{2,3}\s)/m);
+    for (const part of parts) {
+        const categoryMatch = part.match(/^##\s+(?!#)(.+)$/m);
+        if (categoryMatch && !part.startsWith('###')) {
+            category = stripInlineMarkdown(categoryMatch[1]).replace(/\*/g, '').trim() || DEFAULT_CATEGORY;
+            continue;
+        }
+
+        const tcMatch = part.match(/^###\s+(?:Test Case\s*[\w-]*\s*[:.-]\s*)?(.+)$/im);
+        if (!tcMatch || !/^###\s+Test Case/i.test(part)) continue;
+
+        const block = part.slice(tcMatch[0].length);
+        const steps = toStringList(stripInlineMarkdown(readSection(block, ['Steps', 'Test Steps'])));
+        const { value } = normalizeTestCase({
+            id: stripInlineMarkdown(readSection(block, ['ID'])) || undefined,
+            title: stripInlineMarkdown(tcMatch[1]),
+            category,
+            priority: stripInlineMarkdown(readSection(block, ['Priority'])),
+            preconditions: stripInlineMarkdown(readSection(block, ['Preconditions', 'Precondition'])),
+            steps: steps.length ? steps : ['See test case description'],
+            expected: stripInlineMarkdown(readSection(block, ['Expected Results?'])),
+            tags: readSection(block, ['Tags']).split(',').map(t => t.trim()).filter(Boolean),
+            acceptanceCriteria: readSection(block, ['Acceptance Criteria', 'Linked AC']).split(';').map(t => t.trim()).filter(Boolean)
+        });
+        if (value) testCases.push(value);
+    }
+
+    return normalizeTestCases(testCases);
+}
+
+// Test cases of a generation: structured ones when stored, otherwise parsed from its markdown
+export function getGenerationTestCases(gen) {
+    if (gen.testCases && gen.testCases.length > 0) {
+        return gen.testCases.map(tc => (typeof tc.toObject === 'function' ? tc.toObject() : tc));
+    }
+    return parseTestCasesMarkdown(gen.result?.markdown?.content || '');
+}
+
+const DIFF_FIELDS = ['title', 'category', 'priority', 'preconditions', 'steps', 'expected', 'tags', 'acceptanceCriteria'];
+
+/*
+* Compare two lists of test cases by id.
+* Returns { added, removed, changed: [{ id, title, fields, before, after }], unchanged } (unchanged is a count).
+*/
+export function diffTestCases(before = [], after = []) {
+    const previous = new Map(before.map(tc => [tc.id, tc]));
+    const ids = new Set(after.map(tc => tc.id));
+    const diff = { added: [], removed: before.filter(tc => !ids.has(tc.id)), changed: [], unchanged: 0 };
+
+    for (const tc of after) {
+        const old = previous.get(tc.id);
+        if (!old) {
+            diff.added.push(tc);
+            continue;
+        }
+        const fields = DIFF_FIELDS.filter(field => JSON.stringify(old[field] ?? null) !== JSON.stringify(tc[field] ?? null));
+        if (fields.length === 0) {
+            diff.unchanged++;
+        } else {
+            diff.changed.push({ id: tc.id, title: tc.title, fields, before: old, after: tc });
+        }
+    }
+    return diff;
+}
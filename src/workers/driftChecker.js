@@ -0,0 +1,44 @@
+import { driftConfig } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { runDriftCheck } from '../services/driftService.js';
+
+/*
+* Periodically re-fetches the JIRA issues of completed generations and flags the ones whose requirements changed.
+*/
+export default class DriftChecker {
+    constructor(config = driftConfig) {
+        this.config = config;
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        logger.info(`Drift checker started (every ${this.config.intervalMs}ms)`);
+        this.schedule(this.config.intervalMs);
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        logger.info('Drift checker stopped');
+    }
+
+    schedule(delay) {
+        if (!this.running) return;
+        this.timer = setTimeout(() => this.tick(), delay);
+    }
+
+    async tick() {
+        try {
+            await runDriftCheck({ limit: this.config.batchSize });
+        } catch (error) {
+            logger.error(`Drift check failed: ${error.message}`);
+        }
+        this.schedule(this.config.intervalMs);
+    }
+}
@@ -0,0 +1,201 @@
+import os from 'os';
+import Generation from '../models/Generation.js';
+import { workerConfig } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import {
+    GenerationError,
+    generateForIssue,
+    buildCompletionUpdate,
+    buildFailureUpdate
+} from '../services/generationService.js';
+import { publishGenerationEvent, generationProgress } from '../services/generationEvents.js';
+
+// Run `task(signal)`; if it does not settle within `ms`, abort the signal (cancelling the model call, so a retry
+// does not run alongside it) and reject
+function withTimeout(task, ms, message) {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            const error = new GenerationError(message, { retryable: true });
+            controller.abort(error);
+            reject(error);
+        }, ms);
+    });
+    return Promise.race([task(controller.signal), timeout]).finally(() => clearTimeout(timer));
+}
+
+/*
+* Polls MongoDB for queued generations and runs them through the generation pipeline.
+* Jobs are claimed atomically so several workers (or server instances) can run side by side.
+*/
+export default class GenerationWorker {
+    constructor(config = workerConfig) {
+        this.config = config;
+        this.workerId = `${os.hostname()}:${process.pid}`;
+        this.active = 0;
+        this.timer = null;
+        this.running = false;
+        this.lastRecoveryAt = 0;
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        logger.info(`Generation worker ${this.workerId} started (concurrency: ${this.config.concurrency})`);
+        this.schedule(0);
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        logger.info(`Generation worker ${this.workerId} stopped`);
+    }
+
+    schedule(delay) {
+        if (!this.running) return;
+        this.timer = setTimeout(() => this.tick(), delay);
+    }
+
+    async tick() {
+        try {
+            // Recover abandoned jobs at most once per stale window
+            if (Date.now() - this.lastRecoveryAt >= this.config.staleAfterMs / 2) {
+                this.lastRecoveryAt = Date.now();
+                await this.recoverStaleJobs();
+            }
+
+            while (this.running && this.active < this.config.concurrency) {
+                const job = await this.claimNext();
+                if (!job) break;
+                this.active++;
+                this.process(job).finally(() => {
+                    this.active--;
+                });
+            }
+        } catch (error) {
+            logger.error(`Generation worker poll failed: ${error.message}`);
+        }
+        this.schedule(this.config.pollIntervalMs);
+    }
+
+    // Atomically move the oldest runnable queued generation to 'running'
+    async claimNext() {
+        const now = new Date();
+        return Generation.findOneAndUpdate(
+            {
+                status: 'queued',
+                $or: [{ runAfter: { $exists: false } }, { runAfter: null }, { runAfter: { $lte: now } }]
+            },
+            {
+                $set: { status: 'running', startedAt: now, lockedBy: this.workerId, lockedAt: now },
+                $inc: { attempts: 1 }
+            },
+            { sort: { createdAt: 1 }, new: true }
+        );
+    }
+
+    async process(job) {
+        const jobId = String(job._id);
+        logger.info(`Worker ${this.workerId} processing generation ${jobId} (attempt ${job.attempts}/${this.config.maxAttempts})`);
+
+        // Only write back if we still own the job (it may have been recovered by another worker)
+        const ownedFilter = { _id: job._id, status: 'running', lockedBy: this.workerId, attempts: job.attempts };
+
+        try {
+            const result = await withTimeout(
+                signal => generateForIssue(
+                    {
+                        issueKey: job.issueKey,
+                        autoMode: job.mode === 'auto',
+                        provider: job.provider,
+                        model: job.model,
+                        // Story type chosen when the generation was requested; otherwise the pipeline classifies
+                        storyType: job.classification?.source === 'request' ? job.classification.storyType : undefined
+                    },
+                    { onProgress: generationProgress(jobId), signal }
+                ),
+                this.config.jobTimeoutMs,
+                `Generation timed out after ${this.config.jobTimeoutMs}ms`
+            );
+
+            publishGenerationEvent(jobId, { type: 'phase', phase: 'saving' });
+            const completion = buildCompletionUpdate(job, result);
+            const update = await Generation.updateOne(ownedFilter, {
+                $set: completion,
+                $unset: { error: 1, lockedBy: 1, lockedAt: 1, runAfter: 1 }
+            });
+            if (update.modifiedCount === 0) {
+                logger.warn(`Generation ${jobId} completed but was no longer owned by ${this.workerId}; result discarded`);
+                return;
+            }
+            logger.info(`Generation ${jobId} completed by worker ${this.workerId}`);
+            publishGenerationEvent(jobId, {
+                type: 'done',
+                status: 'completed',
+                markdown: completion.result.markdown,
+                cost: completion.cost,
+                tokenUsage: completion.tokenUsage,
+                generationTimeSeconds: completion.generationTimeSeconds
+            });
+        } catch (error) {
+            const retryable = error instanceof GenerationError ? error.retryable : true;
+
+            if (retryable && job.attempts < this.config.maxAttempts) {
+                const delay = this.config.retryDelayMs * Math.pow(2, job.attempts - 1);
+                logger.warn(`Generation ${jobId} failed (attempt ${job.attempts}): ${error.message}. Retrying in ${delay}ms`);
+                await Generation.updateOne(ownedFilter, {
+                    $set: { status: 'queued', runAfter: new Date(Date.now() + delay), error: error.reason || error.message },
+                    $unset: { lockedBy: 1, lockedAt: 1 }
+                }).catch(err => logger.error(`Failed to requeue generation ${jobId}: ${err.message}`));
+                publishGenerationEvent(jobId, { type: 'phase', phase: 'retry_scheduled', error: error.message, retryInMs: delay });
+                return;
+            }
+
+            logger.error(`Generation ${jobId} failed permanently: ${error.message}`);
+            await Generation.updateOne(ownedFilter, {
+                $set: buildFailureUpdate(error),
+                $unset: { lockedBy: 1, lockedAt: 1, runAfter: 1 }
+            }).catch(err => logger.error(`Failed to mark generation ${jobId} as failed: ${err.message}`));
+            publishGenerationEvent(jobId, { type: 'error', status: 'failed', error: error.message });
+        }
+    }
+
+    /*
+    * Requeue (or fail) generations a crashed worker left in 'running'.
+    * Only worker-claimed jobs (with a lock) are requeued; synchronous generations abandoned by a crashed
+    * request are failed instead, since their caller was already told the outcome.
+    */
+    async recoverStaleJobs() {
+        const staleBefore = new Date(Date.now() - this.config.staleAfterMs);
+        const staleFilter = { status: 'running', lockedAt: { $lt: staleBefore } };
+
+        const failed = await Generation.updateMany(
+            { ...staleFilter, attempts: { $gte: this.config.maxAttempts } },
+            {
+                $set: { status: 'failed', error: 'Generation abandoned after too many attempts', completedAt: new Date() },
+                $unset: { lockedBy: 1, lockedAt: 1 }
+            }
+        );
+        const requeued = await Generation.updateMany(
+            { ...staleFilter, attempts: { $not: { $gte: this.config.maxAttempts } } },
+            {
+                $set: { status: 'queued', runAfter: new Date() },
+                $unset: { lockedBy: 1, lockedAt: 1 }
+            }
+        );
+
+        const interrupted = await Generation.updateMany(
+            { status: 'running', lockedAt: { $exists: false }, startedAt: { $lt: staleBefore } },
+            { $set: { status: 'failed', error: 'Generation interrupted', completedAt: new Date() } }
+        );
+
+        const failedCount = failed.modifiedCount + interrupted.modifiedCount;
+        if (requeued.modifiedCount || failedCount) {
+            logger.warn(`Recovered stale generations: ${requeued.modifiedCount} requeued, ${failedCount} failed`);
+        }
+    }
+}
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { adfToMarkdown } from '../src/utils/adfToMarkdown.js';
+
+// Each fixture is an ADF document (<name>.json) with the markdown it converts to (<name>.md)
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'adf');
+
+const fixtures = fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'));
+
+for (const name of fixtures) {
+    test(`converts ${name}`, () => {
+        const adf = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+        const expected = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.md`), 'utf8').replace(/\n$/, '');
+        assert.equal(adfToMarkdown(adf), expected);
+    });
+}
+
+test('returns plain strings unchanged', () => {
+    assert.equal(adfToMarkdown('Legacy *wiki* text'), 'Legacy *wiki* text');
+});
+
+test('returns an empty string for missing or invalid input', () => {
+    assert.equal(adfToMarkdown(null), '');
+    assert.equal(adfToMarkdown(undefined), '');
+    assert.equal(adfToMarkdown(42), '');
+    assert.equal(adfToMarkdown({ type: 'doc', content: [] }), '');
+});
@@ -0,0 +1,121 @@
+import { test, beforeEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+
+process.env.JWT_SECRET = 'test-secret';
+
+const { default: RefreshToken } = await import('../src/models/RefreshToken.js');
+const { default: User } = await import('../src/models/User.js');
+const {
+    requireAuth,
+    issueAccessToken,
+    issueRefreshToken,
+    rotateRefreshToken,
+    revokeRefreshToken
+} = await import('../src/middleware/auth.js');
+
+const USER = new User({ email: 'qa@example.com', name: 'QA', password: 'secret-password' });
+
+// In-memory refresh token collection: equality filters only (null also matches unset fields)
+let tokens = [];
+const matches = (record, filter) => Object.entries(filter)
+    .every(([field, value]) => (value === null ? record[field] == null : String(record[field]) === String(value)));
+
+beforeEach(() => {
+    tokens = [];
+    mock.restoreAll();
+    mock.method(RefreshToken, 'create', async fields => {
+        const record = { rotatedAt: null, revokedAt: null, ...fields, save: async () => record };
+        tokens.push(record);
+        return record;
+    });
+    mock.method(RefreshToken, 'findOne', async filter => tokens.find(record => matches(record, filter)) || null);
+    mock.method(RefreshToken, 'findOneAndUpdate', async (filter, update) => {
+        const record = tokens.find(candidate => matches(candidate, filter));
+        if (record) Object.assign(record, update.$set);
+        return record || null;
+    });
+    mock.method(RefreshToken, 'updateMany', async (filter, update) => {
+        const records = tokens.filter(record => matches(record, filter));
+        records.forEach(record => Object.assign(record, update.$set));
+        return { modifiedCount: records.length };
+    });
+    mock.method(User, 'findById', async id => (String(id) === String(USER._id) ? USER : null));
+});
+
+after(() => mock.restoreAll());
+
+// Run requireAuth with a bearer token; resolves to the response status (200 when it calls next)
+function authenticate(token) {
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    let status = 200;
+    const res = {
+        status(code) {
+            status = code;
+            return this;
+        },
+        json() {
+            return this;
+        }
+    };
+    requireAuth(req, res, () => {});
+    return { status, user: req.user };
+}
+
+test('rotation issues a new token pair in the same family', async () => {
+    const { token, jti } = await issueRefreshToken(USER);
+    const result = await rotateRefreshToken(token);
+
+    assert.equal(result.success, true);
+    assert.notEqual(result.refreshToken, token);
+    assert.equal(jwt.verify(result.accessToken, 'test-secret').sub, String(USER._id));
+
+    const next = jwt.decode(result.refreshToken);
+    const rotated = tokens.find(record => record.jti === jti);
+    assert.ok(rotated.rotatedAt);
+    assert.equal(rotated.replacedBy, next.jti);
+    assert.equal(next.fam, rotated.familyId);
+    assert.equal(tokens.length, 2);
+});
+
+test('reusing a rotated token revokes the whole family', async () => {
+    const { token } = await issueRefreshToken(USER);
+    const other = await issueRefreshToken(USER);
+    const rotated = await rotateRefreshToken(token);
+
+    const reused = await rotateRefreshToken(token);
+    assert.deepEqual(reused, { success: false, error: 'Refresh token reuse detected' });
+
+    const family = tokens.filter(record => record.familyId === jwt.decode(token).fam);
+    assert.equal(family.length, 2);
+    assert.ok(family.every(record => record.revokedAt && record.revokedReason === 'reuse_detected'));
+    assert.equal((await rotateRefreshToken(rotated.refreshToken)).success, false);
+
+    // Other sessions of the user are left alone
+    assert.equal((await rotateRefreshToken(other.token)).success, true);
+});
+
+test('logout revokes the session of the refresh token', async () => {
+    const { token } = await issueRefreshToken(USER);
+    const rotated = await rotateRefreshToken(token);
+
+    assert.deepEqual(await revokeRefreshToken(rotated.refreshToken), { success: true });
+    assert.deepEqual(await rotateRefreshToken(rotated.refreshToken), { success: false, error: 'Refresh token revoked' });
+    assert.ok(tokens.every(record => record.revokedReason === 'logout'));
+});
+
+test('rejects invalid refresh tokens', async () => {
+    assert.deepEqual(await rotateRefreshToken('not-a-token'), { success: false, error: 'Invalid refresh token' });
+    assert.deepEqual(await rotateRefreshToken(issueAccessToken(USER)), { success: false, error: 'Invalid refresh token' });
+    assert.deepEqual(await revokeRefreshToken('not-a-token'), { success: false, error: 'Invalid refresh token' });
+});
+
+test('requireAuth accepts access tokens and rejects refresh tokens', async () => {
+    const access = authenticate(issueAccessToken(USER));
+    assert.equal(access.status, 200);
+    assert.equal(access.user.email, 'qa@example.com');
+
+    const { token } = await issueRefreshToken(USER);
+    assert.equal(authenticate(token).status, 401);
+    assert.equal(authenticate('not-a-token').status, 401);
+});
@@ -0,0 +1,163 @@
+import { test, describe, beforeEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+const { default: Generation } = await import('../src/models/Generation.js');
+const { default: Project } = await import('../src/models/Project.js');
+const { default: User } = await import('../src/models/User.js');
+const {
+    getProjectRole,
+    canAccessGeneration,
+    canPerformProjectAction,
+    canReadProject,
+    authorizeGeneration
+} = await import('../src/middleware/authorize.js');
+
+const PROJECT = {
+    _id: new mongoose.Types.ObjectId(),
+    projectKey: 'PROJ',
+    members: [
+        { email: 'lead@example.com', role: 'qa_lead' },
+        { email: 'member@example.com', role: 'member' },
+        { email: 'viewer@example.com', role: 'viewer' }
+    ]
+};
+
+const user = (email, role = 'member') => ({ userId: email, email, role });
+
+const ADMIN = user('admin@example.com', 'admin');
+const LEAD = user('lead@example.com');
+const MEMBER = user('member@example.com');
+// Global qa_lead whose membership in PROJ is a viewer: membership wins
+const VIEWER = user('viewer@example.com', 'qa_lead');
+const OUTSIDER = user('outsider@example.com', 'qa_lead');
+const OWNER = user('owner@example.com');
+const REVIEWER = user('reviewer@example.com');
+
+const generation = (fields = {}) => ({
+    email: 'owner@example.com',
+    status: 'completed',
+    published: false,
+    review: { reviewers: [{ email: 'reviewer@example.com' }] },
+    ...fields
+});
+
+describe('getProjectRole', () => {
+    const cases = [
+        ['admins stay admins', ADMIN, PROJECT, 'admin'],
+        ['membership role', LEAD, PROJECT, 'qa_lead'],
+        ['membership overrides the global role', VIEWER, PROJECT, 'viewer'],
+        ['global role outside the project', OUTSIDER, PROJECT, 'qa_lead'],
+        ['global role without a project', MEMBER, null, 'member'],
+        ['emails are matched case-insensitively', user('Lead@Example.com'), PROJECT, 'qa_lead']
+    ];
+    for (const [name, who, project, expected] of cases) {
+        test(name, () => assert.equal(getProjectRole(who, project), expected));
+    }
+});
+
+describe('canPerformProjectAction', () => {
+    const cases = [
+        [ADMIN, 'manageSettings', true],
+        [LEAD, 'manageMembers', true],
+        [LEAD, 'create', true],
+        [MEMBER, 'create', true],
+        [MEMBER, 'manageSettings', false],
+        [VIEWER, 'read', true],
+        [VIEWER, 'create', false],
+        [VIEWER, 'manageSettings', false],
+        // A global qa_lead still needs membership
+        [OUTSIDER, 'read', false],
+        [OUTSIDER, 'manageSettings', false]
+    ];
+    for (const [who, action, expected] of cases) {
+        test(`${who.email} ${expected ? 'may' : 'may not'} ${action}`, () => {
+            assert.equal(canPerformProjectAction(who, PROJECT, action), expected);
+        });
+    }
+});
+
+describe('canAccessGeneration', () => {
+    const cases = [
+        ['owner reads a draft', OWNER, generation(), 'read', true],
+        ['member reads a draft', MEMBER, generation(), 'read', true],
+        ['reviewer reads a draft', REVIEWER, generation(), 'read', true],
+        ['outsider cannot read a draft', OUTSIDER, generation(), 'read', false],
+        ['anyone reads a published generation', OUTSIDER, generation({ published: true }), 'read', true],
+        ['nobody outside reads a published but unfinished generation', OUTSIDER, generation({ published: true, status: 'running' }), 'read', false],
+        ['owner updates', OWNER, generation(), 'update', true],
+        ['member cannot update others\' generations', MEMBER, generation(), 'update', false],
+        ['lead updates others\' generations', LEAD, generation(), 'update', true],
+        ['admin deletes', ADMIN, generation(), 'delete', true],
+        ['viewer cannot update', VIEWER, generation(), 'update', false],
+        ['viewer cannot update their own generation', VIEWER, generation({ email: VIEWER.email }), 'update', false],
+        ['reviewer cannot update', REVIEWER, generation(), 'update', false],
+        ['global lead outside the project cannot update', OUTSIDER, generation(), 'update', false]
+    ];
+    for (const [name, who, gen, action, expected] of cases) {
+        test(name, () => assert.equal(canAccessGeneration(who, gen, PROJECT, action), expected));
+    }
+});
+
+describe('canReadProject', () => {
+    beforeEach(() => {
+        mock.restoreAll();
+        mock.method(Generation, 'exists', async filter => (filter.email === OWNER.email ? { _id: 'gen' } : null));
+    });
+    after(() => mock.restoreAll());
+
+    test('members can read', async () => assert.equal(await canReadProject(VIEWER, PROJECT), true));
+    test('users who generated in the project can read', async () => assert.equal(await canReadProject(OWNER, PROJECT), true));
+    test('others cannot', async () => assert.equal(await canReadProject(OUTSIDER, PROJECT), false));
+});
+
+describe('authorizeGeneration', () => {
+    const GEN_ID = String(new mongoose.Types.ObjectId());
+
+    // Run the middleware for `who`; resolves to the response status (200 when it calls next)
+    async function run(action, who, gen = generation({ project: PROJECT._id }), id = GEN_ID) {
+        mock.restoreAll();
+        mock.method(Generation, 'findById', async () => gen);
+        mock.method(Project, 'findById', async () => PROJECT);
+        mock.method(User, 'findById', () => ({ select: async () => null }));
+
+        const req = { params: { id }, user: { ...who } };
+        let status = 200;
+        const res = {
+            status(code) {
+                status = code;
+                return this;
+            },
+            json() {
+                return this;
+            }
+        };
+        await authorizeGeneration(action)(req, res, error => {
+            if (error) throw error;
+        });
+        return status;
+    }
+
+    after(() => mock.restoreAll());
+
+    const cases = [
+        ['reads as the owner', 'read', OWNER, 200],
+        ['hides a draft from outsiders', 'read', OUTSIDER, 404],
+        ['hides it for other actions too', 'delete', OUTSIDER, 404],
+        ['forbids members who can see it', 'update', MEMBER, 403],
+        ['forbids viewers who can see it', 'update', VIEWER, 403],
+        ['lets leads update', 'update', LEAD, 200]
+    ];
+    for (const [name, action, who, expected] of cases) {
+        test(name, async () => assert.equal(await run(action, who), expected));
+    }
+
+    test('responds 404 for invalid and unknown ids', async () => {
+        assert.equal(await run('read', ADMIN, generation(), 'not-an-id'), 404);
+        assert.equal(await run('read', ADMIN, null), 404);
+    });
+
+    test('loads the global role when the request has none', async () => {
+        assert.equal(await run('read', { userId: 'x', email: 'outsider@example.com' }), 404);
+    });
+});
@@ -0,0 +1,173 @@
+import { test, describe, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+const { default: Generation } = await import('../src/models/Generation.js');
+const { requireContentVersion } = await import('../src/middleware/contentVersion.js');
+const { applyContentUpdate, saveContentUpdate, restoreVersion } = await import('../src/services/contentService.js');
+
+const MARKDOWN = '# Test Cases for PROJ-1: Password reset\n\n### TC-001: Reset link is emailed\n- **Priority**: High\n';
+
+// Completed generation with its generated content (version 1, not yet in the history)
+function completedGeneration(fields = {}) {
+    return new Generation({
+        issueKey: 'PROJ-1',
+        email: 'owner@example.com',
+        status: 'completed',
+        result: { markdown: { content: MARKDOWN, filename: 'PROJ-1_testcases.md' } },
+        ...fields
+    });
+}
+
+// Run the middleware; resolves to { status, body, expectedVersion } (status 200 when it calls next)
+function checkVersion(gen, { ifMatch, body } = {}) {
+    const req = {
+        generation: gen,
+        body,
+        get: name => (name === 'If-Match' ? ifMatch : undefined)
+    };
+    const result = { status: 200 };
+    const res = {
+        set() {
+            return this;
+        },
+        status(code) {
+            result.status = code;
+            return this;
+        },
+        json(payload) {
+            result.body = payload;
+            return this;
+        }
+    };
+    requireContentVersion(req, res, () => {});
+    return { ...result, expectedVersion: req.expectedVersion };
+}
+
+describe('requireContentVersion', () => {
+    test('responds 428 without a version', () => {
+        assert.equal(checkVersion(completedGeneration()).status, 428);
+        assert.equal(checkVersion(completedGeneration(), { body: {} }).status, 428);
+    });
+
+    test('responds 400 for a version that is not a number', () => {
+        assert.equal(checkVersion(completedGeneration(), { ifMatch: '"abc"' }).status, 400);
+        assert.equal(checkVersion(completedGeneration(), { body: { expectedVersion: 0 } }).status, 400);
+    });
+
+    test('accepts the current version from If-Match or expectedVersion', () => {
+        for (const ifMatch of ['1', '"1"', 'W/"1"']) {
+            assert.deepEqual(checkVersion(completedGeneration(), { ifMatch }), { status: 200, expectedVersion: 1 });
+        }
+        assert.deepEqual(checkVersion(completedGeneration(), { body: { expectedVersion: 1 } }), { status: 200, expectedVersion: 1 });
+    });
+
+    test('responds 409 with both versions for a stale version', () => {
+        const gen = completedGeneration();
+        applyContentUpdate(gen, { content: `${MARKDOWN}\n### TC-002: Link expires\n` }, 'editor@example.com');
+
+        const { status, body } = checkVersion(gen, { ifMatch: '"1"' });
+        assert.equal(status, 409);
+        assert.equal(body.conflict.expected.version, 1);
+        assert.equal(body.conflict.expected.content, MARKDOWN);
+        assert.equal(body.conflict.current.version, 2);
+        assert.match(body.conflict.current.content, /TC-002/);
+        assert.equal(body.conflict.current.updatedBy, 'editor@example.com');
+    });
+});
+
+describe('applyContentUpdate', () => {
+    test('records one version per edit', () => {
+        const gen = completedGeneration();
+        assert.equal(applyContentUpdate(gen, { content: `${MARKDOWN}\nFirst edit\n` }, 'a@example.com'), true);
+        assert.equal(applyContentUpdate(gen, { content: `${MARKDOWN}\nSecond edit\n` }, 'b@example.com', { notes: 'Typo' }), true);
+
+        assert.equal(gen.currentVersion, 3);
+        assert.deepEqual(gen.versions.map(v => [v.version, v.updatedBy, v.notes]), [
+            [1, 'owner@example.com', undefined],
+            [2, 'a@example.com', undefined],
+            [3, 'b@example.com', 'Typo']
+        ]);
+        assert.match(gen.result.markdown.content, /Second edit/);
+    });
+
+    test('does not add a version when the content is unchanged', () => {
+        const gen = completedGeneration();
+        assert.equal(applyContentUpdate(gen, { content: MARKDOWN }, 'a@example.com'), false);
+        assert.equal(gen.currentVersion, 1);
+        assert.equal(gen.versions.length, 0);
+    });
+
+    test('renders the markdown from structured test cases', () => {
+        const gen = completedGeneration();
+        applyContentUpdate(gen, { testCases: [{ id: 'TC-001', title: 'Link expires', steps: ['Wait a day'], expected: 'Expired' }] }, 'a@example.com');
+        assert.match(gen.result.markdown.content, /Link expires/);
+        assert.equal(gen.testCases[0].title, 'Link expires');
+    });
+
+    test('sends a published generation back to draft', () => {
+        const gen = completedGeneration({
+            published: true,
+            review: { status: 'published', approvedVersion: 1, approvedBy: 'lead@example.com' }
+        });
+        applyContentUpdate(gen, { content: `${MARKDOWN}\nEdit\n` }, 'a@example.com');
+
+        assert.equal(gen.published, false);
+        assert.equal(gen.review.status, 'draft');
+        assert.equal(gen.review.approvedVersion, undefined);
+        assert.deepEqual(
+            gen.review.history.map(event => [event.from, event.to, event.action, event.version]),
+            [['published', 'draft', 'edit', 2]]
+        );
+    });
+
+    test('restores an old version as a new version', () => {
+        const gen = completedGeneration();
+        applyContentUpdate(gen, { content: `${MARKDOWN}\nEdit\n` }, 'a@example.com');
+
+        assert.deepEqual(restoreVersion(gen, 1, 'b@example.com'), { restored: true });
+        assert.equal(gen.currentVersion, 3);
+        assert.equal(gen.result.markdown.content, MARKDOWN);
+        assert.equal(gen.versions.at(-1).notes, 'Restored from version 1');
+        assert.deepEqual(restoreVersion(gen, 9, 'b@example.com'), { error: 'Version 9 not found' });
+    });
+});
+
+describe('saveContentUpdate', () => {
+    test('saves only while the expected version is still current', async () => {
+        const gen = completedGeneration();
+        applyContentUpdate(gen, { content: `${MARKDOWN}\nEdit\n` }, 'a@example.com');
+
+        let filter;
+        mock.method(gen, 'save', async function () {
+            filter = this.$where;
+            return this;
+        });
+        assert.equal(await saveContentUpdate(gen, 3), true);
+        assert.deepEqual(filter, { currentVersion: 3 });
+        assert.equal(gen.$where, undefined);
+
+        // Documents saved before versioning have no currentVersion
+        await saveContentUpdate(gen, 1);
+        assert.deepEqual(filter, { currentVersion: { $in: [1, null] } });
+    });
+
+    test('reports conflicts as false and rethrows other errors', async () => {
+        const gen = completedGeneration();
+        const save = mock.method(gen, 'save', async () => {
+            throw new mongoose.Error.DocumentNotFoundError({ _id: gen._id }, 'Generation', 0, {});
+        });
+        assert.equal(await saveContentUpdate(gen, 1), false);
+
+        save.mock.mockImplementation(async () => {
+            throw new mongoose.Error.VersionError(gen, 0, ['testCases']);
+        });
+        assert.equal(await saveContentUpdate(gen, 1), false);
+
+        save.mock.mockImplementation(async () => {
+            throw new Error('connection lost');
+        });
+        await assert.rejects(saveContentUpdate(gen, 1), /connection lost/);
+        assert.equal(gen.$where, undefined);
+    });
+});
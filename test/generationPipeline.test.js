@@ -0,0 +1,150 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The fake provider and a (stubbed) JIRA client must be configured before the services load their config
+process.env.LLM_ENABLE_FAKE = 'true';
+process.env.JIRA_BASE_URL = 'https://jira.example.com';
+process.env.JIRA_EMAIL = 'qa@example.com';
+process.env.JIRA_API_TOKEN = 'test-token';
+
+const { default: Generation } = await import('../src/models/Generation.js');
+const { default: Project } = await import('../src/models/Project.js');
+const { default: PromptTemplate } = await import('../src/models/PromptTemplate.js');
+const {
+    GenerationError,
+    getJiraService,
+    generateForIssue,
+    buildCompletionUpdate
+} = await import('../src/services/generationService.js');
+
+const adf = (...paragraphs) => ({
+    type: 'doc',
+    version: 1,
+    content: paragraphs.map(text => ({ type: 'paragraph', content: [{ type: 'text', text }] }))
+});
+
+const ISSUE = {
+    key: 'PROJ-1',
+    fields: {
+        summary: 'Password reset by email',
+        description: adf('Users who forgot their password can reset it from the login page.'),
+        customfield_10026: {
+            type: 'doc',
+            version: 1,
+            content: [{
+                type: 'orderedList',
+                content: ['A reset link is emailed to the user', 'The link expires after 24 hours'].map(text => ({
+                    type: 'listItem',
+                    content: [{ type: 'paragraph', content: [{ type: 'text', text }] }]
+                }))
+            }]
+        },
+        labels: ['frontend'],
+        comment: { comments: [] },
+        issuelinks: [],
+        attachment: []
+    }
+};
+
+let jira;
+
+before(() => {
+    // No database: the issue's project has no settings and no prompt template is saved
+    mock.method(Project, 'findOne', async () => null);
+    mock.method(PromptTemplate, 'findOne', () => ({ sort: async () => null }));
+
+    jira = getJiraService();
+    mock.method(jira, 'getIssue', async issueKey => (issueKey === ISSUE.key
+        ? { success: true, issue: ISSUE }
+        : { success: false, error: `Issue ${issueKey} not found or you don't have permission to view it.` }));
+});
+
+after(() => mock.restoreAll());
+
+test('generates test cases from the JIRA issue and stores them on the generation', async () => {
+    const events = [];
+    const result = await generateForIssue(
+        { issueKey: 'PROJ-1', provider: 'fake' },
+        { onProgress: event => events.push(event) }
+    );
+
+    assert.equal(result.provider, 'fake');
+    assert.equal(result.model, 'fake-model');
+    assert.equal(result.cost, 0);
+    assert.ok(result.tokenUsage.promptTokens > 0);
+    // One test case per acceptance criterion, plus the fake provider's negative case
+    assert.deepEqual(result.testCases.map(tc => tc.title), [
+        'Verify A reset link is emailed to the user',
+        'Verify The link expires after 24 hours',
+        'Reject invalid input for Password reset by email'
+    ]);
+    assert.equal(result.classification.storyType, 'ui');
+
+    const phases = events.filter(event => event.type === 'phase').map(event => event.phase);
+    assert.deepEqual(phases, ['fetching_jira', 'building_context', 'calling_model']);
+    assert.ok(events.some(event => event.type === 'token'));
+
+    const generation = new Generation({ issueKey: 'PROJ-1', email: 'qa@example.com', status: 'running' });
+    generation.set(buildCompletionUpdate(generation, result));
+    assert.equal(generation.validateSync(), undefined);
+    assert.equal(generation.status, 'completed');
+    assert.equal(generation.testCases.length, 3);
+    assert.equal(generation.testCases[0].id, 'TC-001');
+    assert.match(generation.result.markdown.content, /TC-001/);
+    assert.equal(generation.result.markdown.filename, `PROJ-1_testcases_${generation._id}.md`);
+    assert.match(generation.contextSnapshot.hash, /^[0-9a-f]{64}$/);
+    assert.match(generation.contextSnapshot.acceptanceCriteria, /expires after 24 hours/);
+});
+
+test('gives the same result for the same issue', async () => {
+    const first = await generateForIssue({ issueKey: 'PROJ-1', provider: 'fake' });
+    const second = await generateForIssue({ issueKey: 'PROJ-1', provider: 'fake' });
+    assert.deepEqual(second.testCases, first.testCases);
+    assert.equal(second.contextSnapshot.hash, first.contextSnapshot.hash);
+});
+
+test('refines the current test cases with reviewer instructions', async () => {
+    const original = await generateForIssue({ issueKey: 'PROJ-1', provider: 'fake' });
+    const refined = await generateForIssue({
+        issueKey: 'PROJ-1',
+        provider: 'fake',
+        refine: { testCases: original.testCases, instructions: 'Cover an expired link' }
+    });
+
+    assert.equal(refined.testCases.length, original.testCases.length + 1);
+    assert.equal(refined.testCases.at(-1).title, 'Reviewer request: Cover an expired link');
+});
+
+test('reports JIRA failures with their status', async () => {
+    await assert.rejects(
+        generateForIssue({ issueKey: 'PROJ-404', provider: 'fake' }),
+        error => error instanceof GenerationError && error.status === 404 && !error.retryable
+    );
+
+    jira.getIssue.mock.mockImplementationOnce(async () => ({
+        success: false,
+        error: 'JIRA authentication failed. Please check your JIRA_EMAIL and JIRA_API_TOKEN credentials.'
+    }));
+    await assert.rejects(
+        generateForIssue({ issueKey: 'PROJ-1', provider: 'fake' }),
+        error => error instanceof GenerationError && error.status === 401
+    );
+});
+
+test('rejects unknown providers before calling JIRA', async () => {
+    const calls = jira.getIssue.mock.callCount();
+    await assert.rejects(
+        generateForIssue({ issueKey: 'PROJ-1', provider: 'nope' }),
+        error => error instanceof GenerationError && error.status === 400
+    );
+    assert.equal(jira.getIssue.mock.callCount(), calls);
+});
+
+test('does not call the model once the signal is aborted', async () => {
+    const controller = new AbortController();
+    controller.abort(new Error('Generation timed out'));
+    await assert.rejects(
+        generateForIssue({ issueKey: 'PROJ-1', provider: 'fake' }, { signal: controller.signal }),
+        error => error instanceof GenerationError && /timed out/.test(error.message)
+    );
+});
@@ -0,0 +1,108 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+    verifyJiraSignature,
+    parseTriggerRules,
+    readIssueEvent,
+    matchTrigger
+} from '../src/services/webhookService.js';
+
+const SECRET = 'webhook-secret';
+const BODY = Buffer.from(JSON.stringify({ webhookEvent: 'jira:issue_created', issue: { key: 'PROJ-1' } }));
+const sign = (body, secret = SECRET) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+describe('verifyJiraSignature', () => {
+    test('accepts the HMAC of the raw body', () => {
+        assert.equal(verifyJiraSignature(BODY, sign(BODY), SECRET), true);
+    });
+
+    test('rejects a signature made with another secret or over another body', () => {
+        assert.equal(verifyJiraSignature(BODY, sign(BODY, 'other-secret'), SECRET), false);
+        assert.equal(verifyJiraSignature(BODY, sign(Buffer.from('{}')), SECRET), false);
+    });
+
+    test('rejects malformed signatures', () => {
+        const hex = sign(BODY).slice('sha256='.length);
+        for (const header of [
+            `sha256=${'z'.repeat(64)}`,
+            `sha256=${hex.slice(0, 32)}`,
+            `sha256=${hex}00`,
+            `sha1=${hex}`,
+            'sha256=',
+            hex
+        ]) {
+            assert.equal(verifyJiraSignature(BODY, header, SECRET), false, header);
+        }
+    });
+
+    test('rejects a missing header or body', () => {
+        assert.equal(verifyJiraSignature(BODY, undefined, SECRET), false);
+        assert.equal(verifyJiraSignature(BODY, ['sha256=abc'], SECRET), false);
+        assert.equal(verifyJiraSignature(undefined, sign(BODY), SECRET), false);
+    });
+});
+
+describe('parseTriggerRules', () => {
+    test('normalizes valid rules', () => {
+        const { value, error } = parseTriggerRules([
+            { name: ' Ready for QA ', statuses: ['Ready for QA', ' Ready for QA'], labels: ['api'] },
+            { name: 'Bugs', statuses: ['Open'], issueTypes: ['Bug'], mode: 'auto', enabled: false, provider: 'openai' }
+        ]);
+        assert.equal(error, undefined);
+        assert.deepEqual(value, [
+            { name: 'Ready for QA', enabled: true, statuses: ['Ready for QA'], issueTypes: [], labels: ['api'], mode: 'manual', provider: undefined, model: undefined },
+            { name: 'Bugs', enabled: false, statuses: ['Open'], issueTypes: ['Bug'], labels: [], mode: 'auto', provider: 'openai', model: undefined }
+        ]);
+    });
+
+    const invalid = [
+        ['not an array', { name: 'x' }, 'triggers must be an array'],
+        ['a rule without a name', [{ statuses: ['Open'] }], 'triggers[0].name is required'],
+        ['duplicate names', [{ name: 'A', statuses: ['Open'] }, { name: 'a', statuses: ['Done'] }], 'Duplicate trigger name: a'],
+        ['no statuses', [{ name: 'A', statuses: [] }], 'triggers[0].statuses must name at least one status'],
+        ['a status list that is not names', [{ name: 'A', statuses: 'Open' }], 'triggers[0].statuses must be an array of names'],
+        ['an unknown mode', [{ name: 'A', statuses: ['Open'], mode: 'fast' }], 'triggers[0].mode must be "manual" or "auto"'],
+        ['an unknown provider', [{ name: 'A', statuses: ['Open'], provider: 'nope' }], 'triggers[0]: unknown LLM provider: nope']
+    ];
+    for (const [name, rules, error] of invalid) {
+        test(`rejects ${name}`, () => assert.deepEqual(parseTriggerRules(rules), { error }));
+    }
+});
+
+describe('matchTrigger', () => {
+    const { value: RULES } = parseTriggerRules([
+        { name: 'Disabled', statuses: ['Ready for QA'], enabled: false },
+        { name: 'API stories', statuses: ['Ready for QA'], issueTypes: ['Story'], labels: ['api'] },
+        { name: 'Bugs', statuses: ['ready for qa', 'Reopened'], issueTypes: ['Bug'] }
+    ]);
+
+    const issue = (fields = {}) => ({
+        key: 'PROJ-1',
+        fields: { status: { name: 'Ready for QA' }, issuetype: { name: 'Story' }, labels: ['API'], ...fields }
+    });
+    const created = fields => readIssueEvent({ webhookEvent: 'jira:issue_created', issue: issue(fields) });
+    const updated = (items, fields) => readIssueEvent({ webhookEvent: 'jira:issue_updated', issue: issue(fields), changelog: { items } });
+    const moved = (from, to) => [{ field: 'status', fromString: from, toString: to }];
+
+    test('matches an issue created in a trigger status', () => {
+        assert.equal(matchTrigger(RULES, created())?.name, 'API stories');
+        assert.equal(matchTrigger(RULES, created({ issuetype: { name: 'Bug' }, labels: [] }))?.name, 'Bugs');
+    });
+
+    test('matches an update that moves the issue into a trigger status', () => {
+        const event = updated(moved('In Progress', 'Reopened'), { status: { name: 'Reopened' }, issuetype: { name: 'Bug' } });
+        assert.equal(matchTrigger(RULES, event)?.name, 'Bugs');
+    });
+
+    test('ignores updates without a status change', () => {
+        assert.equal(matchTrigger(RULES, updated([{ field: 'summary', fromString: 'a', toString: 'b' }])), null);
+        assert.equal(matchTrigger(RULES, updated([])), null);
+    });
+
+    test('requires the issue type and a label when the rule names them', () => {
+        assert.equal(matchTrigger(RULES, created({ labels: ['ui'] })), null);
+        assert.equal(matchTrigger(RULES, created({ issuetype: { name: 'Task' } })), null);
+        assert.equal(matchTrigger(RULES, updated(moved('Open', 'Done'), { status: { name: 'Done' } })), null);
+    });
+});